@@ -1,14 +1,22 @@
 import os
 
 from launch import LaunchDescription
-from launch.actions import DeclareLaunchArgument
+from launch.actions import DeclareLaunchArgument, OpaqueFunction
 from launch.substitutions import LaunchConfiguration
 from launch_ros.actions import Node
 from ament_index_python.packages import get_package_share_directory
 
 
-def generate_launch_description():
-    use_sim_time = LaunchConfiguration('use_sim_time', default='false')
+# Launch arguments passed to the bridge as command line overrides (empty = keep config.yaml)
+BRIDGE_ARGUMENTS = [
+    ('config_file', '--config', 'Path of the config.yaml to load'),
+    ('port', '--port', 'Listening port (server.port)'),
+    ('host', '--host', 'Bind address (server.host)'),
+    ('namespace', '--namespace', 'Namespace for all topics (ros.namespace)'),
+]
+
+
+def launch_setup(context):
     share_directory = get_package_share_directory('mobile_sensor')
 
     # Path to your main JS file (now in server folder)
@@ -20,17 +28,42 @@ def generate_launch_description():
     
     cert_directory = os.path.join(share_directory, 'dist')
 
+    arguments = [start_js_file]
+    for name, flag, _ in BRIDGE_ARGUMENTS:
+        value = LaunchConfiguration(name).perform(context)
+        if value:
+            arguments += [flag, value]
+
+    # Any config key can also be set from a ROS params file, e.g.
+    # mobile_sensor_node: {ros__parameters: {camera: {fps: 15}}}
+    parameters = [{'use_sim_time': LaunchConfiguration('use_sim_time')}]
+    params_file = LaunchConfiguration('params_file').perform(context)
+    if params_file:
+        parameters.append(params_file)
+
     sensor_node = Node(
         name='mobile_sensor_node',
         executable='node',
         output='screen',
-        parameters=[{'use_sim_time': use_sim_time}],
-        arguments=[
-            start_js_file
-        ],
+        parameters=parameters,
+        arguments=arguments,
         cwd=cert_directory)
 
+    return [sensor_node]
+
+
+def generate_launch_description():
     ld = LaunchDescription()
-    ld.add_action(sensor_node)
+    ld.add_action(DeclareLaunchArgument(
+        'use_sim_time',
+        default_value='false',
+        description='Stamp headers from /clock instead of the system clock'))
+    ld.add_action(DeclareLaunchArgument(
+        'params_file',
+        default_value='',
+        description='ROS params file with config.yaml keys for mobile_sensor_node'))
+    for name, _, description in BRIDGE_ARGUMENTS:
+        ld.add_action(DeclareLaunchArgument(name, default_value='', description=description))
+    ld.add_action(OpaqueFunction(function=launch_setup))
 
-    return ld
\ No newline at end of file
+    return ld
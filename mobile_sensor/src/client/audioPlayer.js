@@ -266,7 +266,7 @@
   // Get configuration from server
   async function fetchConfig() {
     try {
-      const response = await fetch('/api/config');
+      const response = await BridgeClient.apiFetch('/api/config');
       const config = await response.json();
       audioConfig = config.audio || audioConfig;
       debugLog('Audio configuration loaded:', audioConfig);
@@ -319,9 +319,7 @@
       return;
     }
     
-    const protocol = window.location.protocol === 'https:' ? 'wss:' : 'ws:';
-    const baseUrl = `${protocol}//${window.location.host}`;
-    const wsUrl = `${baseUrl}/wav_audio`;
+    const wsUrl = BridgeClient.socketUrl('/wav_audio');
     
     // Update UI status to connecting
     updateUIStatus('connecting');
@@ -691,7 +689,7 @@
     if (audioCheckbox) {
       audioCheckbox.addEventListener('change', async (e) => {
         try {
-          const response = await fetch('/api/config');
+          const response = await BridgeClient.apiFetch('/api/config');
           const config = await response.json();
           const currentAudioConfig = config.audio || { mode: 'wav', enabled: true };
           
@@ -0,0 +1,387 @@
+/**
+ * Bridge Client
+ * Shared helpers for talking to the sensor bridge server
+ * Builds WebSocket URLs, carries the device ID announced on every connection
+ * and handles pairing with the bridge (token for API requests and WebSockets)
+ * Also holds the control channel, which delivers config changes (and later
+ * commands) from the bridge to the sensor managers on this page
+ */
+
+const BridgeClient = {
+  DEVICE_ID_KEY: 'mobile_sensor_device_id',
+  TOKEN_KEY: 'mobile_sensor_token',
+  
+  // Pending authentication, shared by everything waiting for a token
+  _readyPromise: null,
+
+  // Send interval multiplier per stream, raised while the bridge reports it is saturated
+  _throttle: {},
+  MAX_THROTTLE: 8,
+
+  // Control channel socket and the handlers registered per message type
+  _control: null,
+  _controlHandlers: {},
+  _controlRetryMs: 1000,
+  MAX_CONTROL_RETRY_MS: 30000,
+
+  // Latest client config pushed by the bridge (null until the control channel delivers one)
+  config: null,
+
+  // Path the bridge is served under, taken from the page location so the
+  // client works unchanged behind a reverse proxy sub-path ('' = root)
+  basePath() {
+    return new URL('.', window.location.href).pathname.replace(/\/$/, '');
+  },
+
+  // Absolute path of a bridge route, e.g. url('/api/config') -> '/sensors/api/config'
+  url(path) {
+    return `${this.basePath()}${path}`;
+  },
+
+  // Device ID used to namespace this phone's topics on the bridge ('' = default topics)
+  getDeviceId() {
+    try {
+      return localStorage.getItem(this.DEVICE_ID_KEY) || '';
+    } catch (error) {
+      return '';
+    }
+  },
+
+  setDeviceId(deviceId) {
+    const value = (deviceId || '').trim();
+    try {
+      if (value) {
+        localStorage.setItem(this.DEVICE_ID_KEY, value);
+      } else {
+        localStorage.removeItem(this.DEVICE_ID_KEY);
+      }
+    } catch (error) {
+      console.warn('Could not store device ID:', error);
+    }
+    console.log(`Device ID set to: ${value || '(default)'}`);
+
+    // The control channel announces the device ID, so reopen it under the new one
+    if (this._control) {
+      this.reconnectControl();
+    }
+  },
+
+  // Pairing token issued by the bridge
+  getToken() {
+    try {
+      return localStorage.getItem(this.TOKEN_KEY) || '';
+    } catch (error) {
+      return '';
+    }
+  },
+
+  setToken(token) {
+    try {
+      localStorage.setItem(this.TOKEN_KEY, token);
+    } catch (error) {
+      console.warn('Could not store pairing token:', error);
+    }
+  },
+
+  clearToken() {
+    try {
+      localStorage.removeItem(this.TOKEN_KEY);
+    } catch (error) {
+      // Nothing stored
+    }
+  },
+
+  authHeaders() {
+    const token = this.getToken();
+    return token ? { 'Authorization': `Bearer ${token}` } : {};
+  },
+
+  // Resolves once the page holds a valid token (or the bridge does not require pairing)
+  ready() {
+    if (!this._readyPromise) {
+      this._readyPromise = this.authenticate();
+    }
+    return this._readyPromise;
+  },
+
+  async authenticate() {
+    while (true) {
+      try {
+        const response = await fetch(this.url('/api/auth'), { headers: this.authHeaders() });
+        const status = await response.json();
+        if (status.authorized) {
+          // Already paired, drop any scanned code from the address bar
+          this.takeQueryParam('pair');
+          return true;
+        }
+      } catch (error) {
+        // Bridge unreachable, try again shortly
+        console.error('Failed to check pairing status:', error);
+        await new Promise(resolve => setTimeout(resolve, 2000));
+        continue;
+      }
+
+      console.log('Bridge requires pairing');
+      this.clearToken();
+
+      // A scanned connect QR code carries the pairing code in ?pair=
+      const code = this.takeQueryParam('pair');
+      if (code) {
+        try {
+          await this.pairWithCode(code);
+          continue;
+        } catch (error) {
+          console.error('Pairing with scanned code failed:', error);
+        }
+      }
+      await this.promptPairing();
+    }
+  },
+
+  // Read a query parameter and remove it from the address bar (so reloads don't reuse it)
+  takeQueryParam(name) {
+    const url = new URL(window.location.href);
+    const value = url.searchParams.get(name);
+    if (value !== null) {
+      url.searchParams.delete(name);
+      window.history.replaceState(null, '', url.toString());
+    }
+    return value;
+  },
+
+  // Exchange a pairing code for a token and store it
+  async pairWithCode(code) {
+    const response = await fetch(this.url('/api/pair'), {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ code: String(code).trim(), label: this.getDeviceId() })
+    });
+    const result = await response.json();
+    if (!response.ok) {
+      throw new Error(result.error || `HTTP error! status: ${response.status}`);
+    }
+
+    this.setToken(result.token);
+    console.log('Paired with bridge');
+  },
+
+  // Show the pairing form and resolve after a code has been exchanged for a token
+  async promptPairing() {
+    if (document.readyState === 'loading') {
+      await new Promise(resolve => document.addEventListener('DOMContentLoaded', resolve, { once: true }));
+    }
+
+    const section = document.getElementById('pairing-section');
+    const input = document.getElementById('pairing-code');
+    const button = document.getElementById('pairing-button');
+    const errorEl = document.getElementById('pairing-error');
+    section.style.display = 'block';
+
+    return new Promise((resolve) => {
+      const submit = async () => {
+        errorEl.textContent = '';
+        button.disabled = true;
+        try {
+          await this.pairWithCode(input.value);
+          section.style.display = 'none';
+          input.value = '';
+          button.removeEventListener('click', submit);
+          input.removeEventListener('keydown', onKey);
+          resolve();
+        } catch (error) {
+          console.error('Pairing failed:', error);
+          errorEl.textContent = error.message;
+        } finally {
+          button.disabled = false;
+        }
+      };
+      const onKey = (e) => {
+        if (e.key === 'Enter') submit();
+      };
+
+      button.addEventListener('click', submit);
+      input.addEventListener('keydown', onKey);
+    });
+  },
+
+  // fetch() for bridge API routes, waits for pairing and re-pairs if the token was revoked
+  async apiFetch(path, options = {}) {
+    await this.ready();
+
+    const request = () => fetch(this.url(path), Object.assign({}, options, {
+      headers: Object.assign({}, options.headers, this.authHeaders())
+    }));
+
+    const response = await request();
+    if (response.status !== 401) {
+      return response;
+    }
+
+    console.warn('Pairing token rejected, pairing again');
+    this.clearToken();
+    this._readyPromise = null;
+    await this.ready();
+    return request();
+  },
+
+  // Handle bridge control messages on a sensor socket: flow control
+  // ({ type: 'flow', stream, state }), clock sync pings ({ type: 'clock', id, t0 })
+  // and keyframe requests on the camera socket ({ type: 'keyframe' }, passed to the
+  // onControl handlers). Returns true if the message was one of them
+  handleSocketMessage(event) {
+    if (typeof event.data !== 'string') return false;
+    // Receive time first, before any parsing delays it
+    const receivedAt = Date.now();
+
+    let message;
+    try {
+      message = JSON.parse(event.data);
+    } catch (error) {
+      return false;
+    }
+    if (!message) return false;
+
+    if (message.type === 'clock') {
+      // Answer right away with our receive and send times (same clock as sensor timestamps)
+      event.target.send(JSON.stringify({
+        type: 'clock',
+        id: message.id,
+        t0: message.t0,
+        t1: receivedAt,
+        t2: Date.now()
+      }));
+      return true;
+    }
+    if (message.type === 'keyframe') {
+      this.dispatchControl(message);
+      return true;
+    }
+    if (message.type !== 'flow') return false;
+
+    const current = this._throttle[message.stream] || 1;
+    if (message.state === 'slow') {
+      // Halve the send rate each time the bridge is still saturated
+      this._throttle[message.stream] = Math.min(current * 2, this.MAX_THROTTLE);
+      console.warn(`Bridge saturated on ${message.stream} (${message.dropped} dropped), sending at 1/${this._throttle[message.stream]} rate`);
+    } else if (message.state === 'resume') {
+      this._throttle[message.stream] = 1;
+      console.log(`Bridge caught up on ${message.stream}, sending at full rate`);
+    }
+    return true;
+  },
+
+  // Factor to stretch a stream's send interval by (1 = full rate)
+  throttleFactor(stream) {
+    return this._throttle[stream] || 1;
+  },
+
+  // Register handler(message) for a control message type, e.g. onControl('config', ...)
+  onControl(type, handler) {
+    if (!this._controlHandlers[type]) {
+      this._controlHandlers[type] = [];
+    }
+    this._controlHandlers[type].push(handler);
+  },
+
+  // Open the control channel once paired, reconnecting with backoff while the page is open
+  async connectControl() {
+    await this.ready();
+    if (this._control) return;
+
+    const ws = new WebSocket(this.socketUrl('/control'));
+    this._control = ws;
+
+    ws.onopen = () => {
+      this._controlRetryMs = 1000;
+      console.log('Control channel connected');
+    };
+    ws.onmessage = (event) => this.handleControlMessage(event);
+    ws.onclose = (event) => {
+      if (this._control !== ws) return;
+      this._control = null;
+
+      if (event.code === 4001) {
+        // Token revoked, pair again before reconnecting
+        this.clearToken();
+        this._readyPromise = null;
+      }
+      setTimeout(() => this.connectControl(), this._controlRetryMs);
+      this._controlRetryMs = Math.min(this._controlRetryMs * 2, this.MAX_CONTROL_RETRY_MS);
+    };
+  },
+
+  reconnectControl() {
+    const ws = this._control;
+    this._control = null;
+    if (ws) {
+      ws.close();
+    }
+    this.connectControl();
+  },
+
+  // Send a message to the bridge over the control channel, returns false if it is not open
+  sendControl(message) {
+    if (!this._control || this._control.readyState !== WebSocket.OPEN) return false;
+    this._control.send(JSON.stringify(message));
+    return true;
+  },
+
+  // Send binary data on the control channel, e.g. the photos for a capture request
+  sendControlData(data) {
+    if (!this._control || this._control.readyState !== WebSocket.OPEN) return false;
+    this._control.send(data);
+    return true;
+  },
+
+  handleControlMessage(event) {
+    let message;
+    try {
+      message = JSON.parse(event.data);
+    } catch (error) {
+      console.error('Invalid control message:', error);
+      return;
+    }
+    if (!message || !message.type) return;
+
+    if (message.type === 'config') {
+      this.config = message.config;
+      console.log('Configuration received from bridge');
+    }
+    this.dispatchControl(message);
+  },
+
+  // Run the handlers registered with onControl for a message
+  dispatchControl(message) {
+    (this._controlHandlers[message.type] || []).forEach(handler => {
+      try {
+        handler(message);
+      } catch (error) {
+        console.error(`Error handling ${message.type} control message:`, error);
+      }
+    });
+  },
+
+  // Build the WebSocket URL for a bridge route, e.g. socketUrl('/camera'), with optional
+  // query parameters, e.g. socketUrl('/camera', { channel: 'front' })
+  // Uses the page's own host and protocol, so behind a TLS proxy this becomes wss://<proxy host>/<base>/camera
+  socketUrl(path, params = {}) {
+    const protocol = window.location.protocol === 'https:' ? 'wss:' : 'ws:';
+    const url = new URL(`${protocol}//${window.location.host}${this.url(path)}`);
+    Object.entries(params).forEach(([name, value]) => url.searchParams.set(name, value));
+
+    const deviceId = this.getDeviceId();
+    if (deviceId) {
+      url.searchParams.set('device', deviceId);
+    }
+
+    // Browsers cannot set headers on WebSocket upgrades, so the token goes in the query
+    const token = this.getToken();
+    if (token) {
+      url.searchParams.set('token', token);
+    }
+    return url.toString();
+  }
+};
+
+// Export the bridge client helpers
+window.BridgeClient = BridgeClient;
@@ -1,52 +1,155 @@
 class CameraManager {
     constructor() {
         this.cameraStarted = false;
-        this.videoTrack = null;
+        this.captures = []; // Running cameras: one, or one per channel (see startCapture)
         this.lastCameraFrame = null;
         this.cameraConfig = {
             facingMode: "environment", // Default value until config is loaded
             fps: 15, // Default FPS
-            quality: 0.7 // Default quality
+            quality: 0.7, // Default quality
+            transport: "binary", // "binary" (header + raw JPEG) or "json" (legacy base64)
+            codec: "jpeg", // "jpeg" frames or "h264" video (WebCodecs, binary transport only)
+            bitrate: 2000, // H.264 target bitrate in kbit/s
+            keyframe_interval: 2.0, // Seconds between H.264 keyframes
+            channels: [], // Cameras streamed at once, e.g. ["back", "front"] (see cameraChannels.js)
+            controls: { ...CameraControls.DEFAULTS }, // Torch, zoom, focus, exposure, white balance (see cameraControls.js)
+            ...FrameLayout.DEFAULTS // Streamed size, scale mode and capture resolution (see frameLayout.js)
         };
         
-        // Fetch camera configuration when created
+        // Fetch camera configuration when created, then follow changes pushed by the bridge
         this.fetchCameraConfig();
+        BridgeClient.onControl('config', (message) => this.applyConfig(message.config));
+        BridgeClient.onControl('keyframe', (message) => this.requestKeyframe(message.channel));
+        BridgeClient.onControl('capture', (message) => this.captureStill(message));
     }
     
     // New method to fetch camera configuration from the server
     async fetchCameraConfig() {
         try {
-            const response = await fetch('/api/config');
+            const response = await BridgeClient.apiFetch('/api/config');
             if (!response.ok) {
                 throw new Error(`HTTP error! status: ${response.status}`);
             }
-            const config = await response.json();
-            if (config.camera) {
-                if (config.camera.facingMode) {
-                    this.cameraConfig.facingMode = config.camera.facingMode;
-                    console.log('Using camera facing mode from config:', this.cameraConfig.facingMode);
-                }
-                if (config.camera.fps) {
-                    this.cameraConfig.fps = config.camera.fps;
-                    console.log('Using camera FPS from config:', this.cameraConfig.fps);
-                }
-                if (config.camera.quality) {
-                    this.cameraConfig.quality = config.camera.quality;
-                    console.log('Using camera quality from config:', this.cameraConfig.quality);
-                }
-            }
+            this.applyConfig(await response.json());
         } catch (error) {
             console.error('Failed to load camera config:', error);
             // Keep using the defaults
         }
     }
 
+    // Apply the camera section of the client config. FPS, quality and transport
+    // are read for every frame, bitrate and keyframe interval go to the running
+    // video encoders and controls to the running cameras; a new facing mode, codec,
+    // channel list or frame geometry restarts a running camera
+    applyConfig(config) {
+        if (!config || !config.camera) return;
+        const previous = Object.assign({}, this.cameraConfig);
+        // Compared by value, the channel list and controls are new with every config
+        const changed = (key) => JSON.stringify(this.cameraConfig[key]) !== JSON.stringify(previous[key]);
+        
+        ['facingMode', 'fps', 'quality', 'transport', 'codec', 'bitrate', 'keyframe_interval', 'channels', 'controls',
+         ...Object.keys(FrameLayout.DEFAULTS)].forEach(key => {
+            const value = config.camera[key];
+            if (value !== undefined && JSON.stringify(value) !== JSON.stringify(this.cameraConfig[key])) {
+                this.cameraConfig[key] = value;
+                console.log(`Using camera ${key} from config:`, value);
+            }
+        });
+        
+        if (!this.cameraStarted) return;
+        if (['facingMode', 'codec', 'channels', ...Object.keys(FrameLayout.DEFAULTS)].some(changed)) {
+            this.restartCamera();
+            return;
+        }
+        if (['fps', 'bitrate', 'keyframe_interval'].some(changed)) {
+            this.captures.forEach(capture => {
+                if (capture.videoStream) {
+                    capture.videoStream.configure(this.videoSettings(capture));
+                }
+            });
+        }
+        if (changed('controls')) {
+            this.applyControls();
+        }
+    }
+
+    // Apply the camera controls to every running camera and report the result
+    async applyControls() {
+        await Promise.all(this.captures.map(capture =>
+            CameraControls.apply(capture.videoTrack, this.cameraConfig.controls)));
+        this.reportControls();
+    }
+
+    // Send the capabilities and control settings of the running cameras to the bridge
+    reportControls() {
+        BridgeClient.sendControl({
+            type: 'camera_controls',
+            cameras: this.captures.map(capture => Object.assign(
+                { channel: capture.channel, facingMode: capture.facingMode },
+                CameraControls.report(capture.videoTrack)))
+        });
+    }
+
+    // Encoder settings of a camera from the camera config (see videoStream.js)
+    videoSettings(capture) {
+        return {
+            fps: this.cameraConfig.fps,
+            bitrate: this.cameraConfig.bitrate,
+            keyframeInterval: this.cameraConfig.keyframe_interval,
+            facingMode: capture.facingMode
+        };
+    }
+
+    // The H.264 encoder of a camera failed: stream JPEG frames from now on and tell the bridge
+    videoFailed(capture, error) {
+        if (capture.videoStream) {
+            capture.videoStream.close();
+            capture.videoStream = null;
+        }
+        const message = `H.264 encoder failed (${error.message}), streaming JPEG`;
+        console.warn(message + (capture.channel ? ` on channel ${capture.channel}` : ''));
+        BridgeClient.sendControl({ type: 'camera_error', channel: capture.channel, message });
+    }
+
+    // Keyframe request from the bridge, for the camera of one channel or for all of them
+    requestKeyframe(channel) {
+        this.captures.forEach(capture => {
+            if (capture.videoStream && (!channel || capture.channel === channel)) {
+                capture.videoStream.requestKeyframe();
+            }
+        });
+    }
+
+    // Take photos for a capture request from the bridge with the camera of the requested
+    // channel (the streaming camera if none is given) and reply with how it went
+    async captureStill(message) {
+        const capture = this.captures.find(capture => !message.channel || capture.channel === message.channel);
+        const reply = { type: 'reply', id: message.id, channel: capture ? capture.channel : null };
+        const result = capture ?
+            await StillCapture.capture(capture.videoTrack, capture.facingMode, message) :
+            { count: 0, message: message.channel ? `no ${message.channel} camera running` : 'camera not running' };
+        BridgeClient.sendControl(Object.assign(reply, result));
+    }
+
+    // Restart a running camera so new capture settings take effect
+    async restartCamera() {
+        if (!this.cameraStarted || !window.cameraWs) return;
+        this.stopCamera();
+        const isActive = window.isSessionActive !== undefined ? window.isSessionActive : true;
+        await this.startCamera(window.cameraWs, isActive);
+    }
+
     // Add toggle camera method to switch between front and back cameras
     async toggleCamera() {
+        if (CameraChannels.fromConfig(this.cameraConfig).length > 0) {
+            console.warn('Streaming camera channels, each has its own camera to toggle between');
+            return;
+        }
+        
         // If camera is running, stop it first
-        if (this.cameraStarted && this.videoTrack) {
-            this.videoTrack.stop();
-            this.videoTrack = null;
+        const wasStarted = this.cameraStarted;
+        if (wasStarted) {
+            this.stopCamera();
         }
         
         // Toggle the facing mode
@@ -56,7 +159,7 @@ class CameraManager {
         console.log(`Camera toggled to: ${this.cameraConfig.facingMode}`);
         
         // Restart the camera with new facing mode if it was running
-        if (this.cameraStarted && window.cameraWs) {
+        if (wasStarted && window.cameraWs) {
             // Get the session active state from window object, not global
             const isActive = window.isSessionActive !== undefined ? window.isSessionActive : true;
             await this.startCamera(window.cameraWs, isActive);
@@ -70,96 +173,215 @@ class CameraManager {
                 throw new Error('getUserMedia API not supported');
             }
 
-            // Check if 3D Position is enabled and override to user facing if it is
-            const poseEnabled = document.getElementById('pose-select').checked;
-            const facingMode = poseEnabled ? "user" : this.cameraConfig.facingMode;
-            console.log(`Starting camera with facing mode: ${facingMode} (pose enabled: ${poseEnabled})`);
+            const channels = CameraChannels.fromConfig(this.cameraConfig);
+            if (channels.length > 0) {
+                await this.startChannels(channels);
+            } else {
+                // Check if 3D Position is enabled and override to user facing if it is
+                const poseEnabled = document.getElementById('pose-select').checked;
+                const facingMode = poseEnabled ? "user" : this.cameraConfig.facingMode;
+                console.log(`Starting camera with facing mode: ${facingMode} (pose enabled: ${poseEnabled})`);
+                await this.startCapture(ws, facingMode, null);
+            }
+            this.cameraStarted = true;
+            this.reportControls();
+        } catch (err) {
+            this.stopCamera();
+            console.error('Camera error:', err);
+            alert('Camera access failed: ' + err.message);
+        }
+    }
+
+    // Open the camera of every channel, each streaming on its channel's socket. A camera
+    // the device cannot run next to the others is left out, unless none of them opens
+    async startChannels(channels) {
+        let failure = null;
+        for (const channel of channels) {
+            let ws = null;
+            try {
+                ws = await CameraChannels.open(channel, (closed) => this.channelClosed(closed));
+                console.log(`Starting the ${channel} camera`);
+                await this.startCapture(ws, CameraChannels.FACING[channel], channel);
+            } catch (err) {
+                console.warn(`Could not start the ${channel} camera:`, err);
+                failure = err;
+                this.captures.filter(capture => capture.ws === ws).forEach(capture => this.stopCapture(capture));
+                if (ws) {
+                    ws.close();
+                }
+            }
+        }
+        
+        if (this.captures.length === 0) {
+            throw failure || new Error('No camera could be opened');
+        }
+    }
+
+    // A channel socket closed: if its camera was still streaming, start over once the
+    // bridge is reachable again (the camera socket reconnecting starts the cameras too)
+    channelClosed(ws) {
+        const capture = this.captures.find(capture => capture.ws === ws);
+        if (!capture) return;
+        console.warn(`Camera channel ${capture.channel} disconnected`);
+        this.stopCamera();
+        setTimeout(() => {
+            if (window.cameraWs && window.cameraWs.readyState === WebSocket.OPEN && window.isSessionActive) {
+                this.startCamera(window.cameraWs, true);
+            }
+        }, 1000);
+    }
+
+    // Open a camera and stream its frames on ws: the camera socket, or the socket of a
+    // channel (channel is null for the camera socket)
+    async startCapture(ws, facingMode, channel) {
+        const stream = await navigator.mediaDevices.getUserMedia({
+            video: Object.assign({ facingMode: facingMode }, FrameLayout.captureConstraints(this.cameraConfig)),
+        });
+        const videoTrack = stream.getVideoTracks()[0];
+        const capture = {
+            channel,
+            ws,
+            videoTrack,
+            // The browser reports the facing it actually opened, which may differ from the request
+            facingMode: videoTrack.getSettings().facingMode || facingMode,
+            videoStream: null, // H.264 encoder while streaming video
+            frameSequence: 0
+        };
+        this.captures.push(capture);
+        
+        // Some phones end a running camera when the next one opens, keep streaming the others
+        if (channel) {
+            videoTrack.addEventListener('ended', () => {
+                if (!this.captures.includes(capture)) return;
+                console.warn(`The ${channel} camera was closed by the device, it cannot run it next to the others`);
+                this.stopCapture(capture);
+                this.reportControls();
+            });
+        }
+        await CameraControls.apply(videoTrack, this.cameraConfig.controls);
+
+        const trackProcessor = new MediaStreamTrackProcessor({ track: videoTrack });
+        const reader = trackProcessor.readable.getReader();
+
+        // Create canvas once for reuse, sized for the configured output (native mode
+        // starts from the capture size and follows the frames)
+        const trackSettings = videoTrack.getSettings();
+        const initialSize = FrameLayout.outputSize(this.cameraConfig,
+            trackSettings.width || this.cameraConfig.width, trackSettings.height || this.cameraConfig.height);
+        const canvas = new OffscreenCanvas(initialSize.width, initialSize.height);
+        const ctx = canvas.getContext('2d');
+        console.log(`Streaming ${canvas.width}x${canvas.height} (${this.cameraConfig.scale_mode})` +
+            (channel ? ` on channel ${channel}` : ''));
+
+        // H.264 video when configured and the browser can encode it, JPEG frames otherwise
+        capture.videoStream = this.cameraConfig.codec === 'h264' && this.cameraConfig.transport === 'binary' ?
+            await VideoStream.create(ws, Object.assign({ width: canvas.width, height: canvas.height }, this.videoSettings(capture)),
+                (error) => this.videoFailed(capture, error)) :
+            null;
+
+        let lastSentTime = 0;
+
+        const drawFrame = async (videoFrame) => {
+            const bitmap = await createImageBitmap(videoFrame);
+            
+            // Letterbox, crop or native size (see frameLayout.js)
+            const resized = FrameLayout.draw(ctx, bitmap, bitmap.width, bitmap.height, this.cameraConfig);
+            bitmap.close();
+            if (resized && capture.videoStream) {
+                capture.videoStream.configure({ width: canvas.width, height: canvas.height });
+            }
+        };
 
-            const stream = await navigator.mediaDevices.getUserMedia({
-                video: { facingMode: facingMode },
+        const processFrame = async (videoFrame) => {
+            await drawFrame(videoFrame);
+            
+            // Convert to JPEG blob
+            return canvas.convertToBlob({
+                type: 'image/jpeg',
+                quality: this.cameraConfig.quality // Use quality from config
             });
-            this.videoTrack = stream.getVideoTracks()[0];
-
-            const trackProcessor = new MediaStreamTrackProcessor({ track: this.videoTrack });
-            const reader = trackProcessor.readable.getReader();
-
-            // Create canvas once for reuse
-            const canvas = new OffscreenCanvas(640, 480); // Fixed size for performance
-            const ctx = canvas.getContext('2d');
-
-            let lastSentTime = 0;
-            const desiredFps = this.cameraConfig.fps; // Use FPS from config
-            const frameInterval = 1000 / desiredFps;
-            const imageQuality = this.cameraConfig.quality; // Capture quality from config
-
-            async function processFrame(videoFrame) {
-                const bitmap = await createImageBitmap(videoFrame);
-                
-                // Scale to fit canvas while maintaining aspect ratio
-                const scale = Math.min(canvas.width / bitmap.width, canvas.height / bitmap.height);
-                const x = (canvas.width - bitmap.width * scale) / 2;
-                const y = (canvas.height - bitmap.height * scale) / 2;
-                
-                // Clear canvas and draw scaled image
-                ctx.clearRect(0, 0, canvas.width, canvas.height);
-                ctx.drawImage(bitmap, x, y, bitmap.width * scale, bitmap.height * scale);
-                
-                // Convert to JPEG blob
-                const blob = await canvas.convertToBlob({
-                    type: 'image/jpeg',
-                    quality: imageQuality // Use quality from config
-                });
-                
-                // Convert blob to base64
-                const buffer = await blob.arrayBuffer();
-                const base64 = btoa(String.fromCharCode(...new Uint8Array(buffer)));
-                return `data:image/jpeg;base64,${base64}`;
+        };
+
+        // Send a JPEG blob using the configured transport
+        const sendFrame = async (blob, timestamp) => {
+            if (this.cameraConfig.transport === 'json') {
+                this.lastCameraFrame = await FrameProtocol.blobToDataUrl(blob);
+                ws.send(JSON.stringify({
+                    timestamp: timestamp,
+                    camera: this.lastCameraFrame,
+                    width: canvas.width,
+                    height: canvas.height,
+                    facingMode: capture.facingMode
+                }));
+            } else {
+                this.lastCameraFrame = blob;
+                ws.send(FrameProtocol.encodeFrame({
+                    format: FrameProtocol.FORMATS.JPEG,
+                    flags: FrameProtocol.facingFlags(capture.facingMode),
+                    width: canvas.width,
+                    height: canvas.height,
+                    timestamp: timestamp,
+                    sequence: capture.frameSequence++
+                }, await blob.arrayBuffer()));
             }
+        };
 
-            const processFrames = async () => {
-                while (true) {
-                    const { done, value: videoFrame } = await reader.read();
-                    if (done) break;
+        const processFrames = async () => {
+            while (true) {
+                const { done, value: videoFrame } = await reader.read();
+                if (done) break;
 
-                    const currentTime = performance.now();
-                    if (currentTime - lastSentTime < frameInterval) {
-                        videoFrame.close();
-                        continue;
-                    }
+                // FPS from config, read per frame so config changes apply live
+                const frameInterval = 1000 / this.cameraConfig.fps;
+                const currentTime = performance.now();
+                if (currentTime - lastSentTime < frameInterval * BridgeClient.throttleFactor('camera')) {
+                    videoFrame.close();
+                    continue;
+                }
 
-                    if (ws && ws.readyState === WebSocket.OPEN) {
-                        try {
-                            this.lastCameraFrame = await processFrame(videoFrame);
-                            ws.send(JSON.stringify({
-                                timestamp: Date.now(),
-                                camera: this.lastCameraFrame,
-                                width: canvas.width,
-                                height: canvas.height
-                            }));
-                            lastSentTime = currentTime;
-                        } catch (err) {
-                            console.error('Frame processing error:', err);
+                if (ws && ws.readyState === WebSocket.OPEN) {
+                    try {
+                        const timestamp = Date.now();
+                        if (capture.videoStream) {
+                            await drawFrame(videoFrame);
+                            capture.videoStream.encode(canvas, timestamp);
+                        } else {
+                            const blob = await processFrame(videoFrame);
+                            await sendFrame(blob, timestamp);
                         }
+                        lastSentTime = currentTime;
+                    } catch (err) {
+                        console.error('Frame processing error:', err);
                     }
-                    videoFrame.close();
                 }
-            };
+                videoFrame.close();
+            }
+        };
 
-            processFrames().catch(console.error);
-            this.cameraStarted = true;
-        } catch (err) {
-            console.error('Camera error:', err);
-            alert('Camera access failed: ' + err.message);
+        processFrames().catch(console.error);
+    }
+
+    // Stop one camera, closing its channel socket
+    stopCapture(capture) {
+        this.captures = this.captures.filter(other => other !== capture);
+        capture.videoTrack.stop();
+        if (capture.videoStream) {
+            capture.videoStream.close();
+            capture.videoStream = null;
+        }
+        if (capture.channel) {
+            capture.ws.close();
         }
     }
 
     stopCamera() {
-        if (this.videoTrack) {
-            this.videoTrack.stop();
-            this.videoTrack = null;
-        }
+        const wasStarted = this.captures.length > 0;
+        this.captures.forEach(capture => this.stopCapture(capture));
         this.cameraStarted = false;
         this.lastCameraFrame = null;
+        if (wasStarted) {
+            this.reportControls();
+        }
     }
 
     getLastFrame() {
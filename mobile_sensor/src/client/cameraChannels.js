@@ -0,0 +1,38 @@
+/**
+ * Camera Channels
+ * Cameras streamed at the same time (camera.channels in the config), shared by both
+ * camera managers. Each one streams on a camera socket of its own, /camera?channel=back,
+ * which the bridge publishes on the channel's topics (camera_back/image_raw/compressed, ...).
+ */
+
+const CameraChannels = {
+  // Channel name -> facing mode of its camera
+  FACING: {
+    back: 'environment',
+    front: 'user'
+  },
+
+  // Channels to stream from the camera config, [] for a single camera on the camera socket
+  fromConfig(settings) {
+    return Array.from(new Set(settings.channels || [])).filter(channel => this.FACING[channel]);
+  },
+
+  // Open the camera socket of a channel, resolves once it is connected.
+  // onClose(ws) runs when it closes, also when the camera manager closed it
+  open(channel, onClose) {
+    return new Promise((resolve, reject) => {
+      const ws = new WebSocket(BridgeClient.socketUrl('/camera', { channel }));
+      ws.onopen = () => {
+        console.log(`Camera channel ${channel} connected`);
+        resolve(ws);
+      };
+      ws.onerror = () => reject(new Error(`Camera channel ${channel} could not connect`));
+      // Flow control and keyframe requests, as on the camera socket
+      ws.onmessage = (event) => BridgeClient.handleSocketMessage(event);
+      ws.onclose = () => onClose(ws);
+    });
+  }
+};
+
+// Export the camera channel helpers
+window.CameraChannels = CameraChannels;
@@ -0,0 +1,141 @@
+/**
+ * Camera Controls
+ * Torch, zoom, focus, exposure and white balance from camera.controls in the config (so
+ * also `ros2 param set`), applied with applyConstraints to the running video tracks by
+ * both camera managers. Controls a camera does not offer are skipped with a warning.
+ *
+ * The managers report what each camera can do (getCapabilities) and the settings it
+ * ended up with to the bridge over the control channel ({ type: 'camera_controls' }).
+ */
+
+const CameraControls = {
+  // camera.controls key -> track constraint
+  CONSTRAINTS: {
+    torch: 'torch',
+    zoom: 'zoom',
+    focus_mode: 'focusMode',
+    focus_distance: 'focusDistance',
+    exposure_mode: 'exposureMode',
+    exposure_compensation: 'exposureCompensation',
+    white_balance_mode: 'whiteBalanceMode'
+  },
+
+  // Defaults until the config is loaded (same as config_schema.js): leave the camera as it opens
+  DEFAULTS: {
+    torch: false,
+    zoom: 0,
+    focus_mode: 'default',
+    focus_distance: 0,
+    exposure_mode: 'default',
+    exposure_compensation: 0,
+    white_balance_mode: 'default'
+  },
+
+  capabilities(track) {
+    return typeof track.getCapabilities === 'function' ? track.getCapabilities() : {};
+  },
+
+  // A value inside a capability range ({ min, max, step })
+  clamp(value, range) {
+    return Math.min(Math.max(value, range.min), range.max);
+  },
+
+  // Constraint sets for the requested controls, one per control so that one the browser
+  // rejects does not take the others with it. Returns { sets, unsupported }
+  constraintSets(controls, capabilities) {
+    const sets = [];
+    const unsupported = [];
+    const modes = (key) => capabilities[this.CONSTRAINTS[key]] || [];
+
+    if (capabilities.torch) {
+      sets.push({ torch: !!controls.torch });
+    } else if (controls.torch) {
+      unsupported.push('torch');
+    }
+
+    if (controls.zoom > 0) {
+      if (capabilities.zoom) {
+        sets.push({ zoom: this.clamp(controls.zoom, capabilities.zoom) });
+      } else {
+        unsupported.push('zoom');
+      }
+    }
+
+    if (controls.focus_mode !== 'default') {
+      if (modes('focus_mode').includes(controls.focus_mode)) {
+        const focus = { focusMode: controls.focus_mode };
+        // The focus distance only holds with manual focus
+        if (controls.focus_mode === 'manual' && controls.focus_distance > 0) {
+          if (capabilities.focusDistance) {
+            focus.focusDistance = this.clamp(controls.focus_distance, capabilities.focusDistance);
+          } else {
+            unsupported.push('focus_distance');
+          }
+        }
+        sets.push(focus);
+      } else {
+        unsupported.push(`focus_mode ${controls.focus_mode}`);
+      }
+    }
+
+    if (controls.exposure_mode !== 'default') {
+      if (modes('exposure_mode').includes(controls.exposure_mode)) {
+        sets.push({ exposureMode: controls.exposure_mode });
+      } else {
+        unsupported.push(`exposure_mode ${controls.exposure_mode}`);
+      }
+    }
+
+    if (capabilities.exposureCompensation) {
+      sets.push({ exposureCompensation: this.clamp(controls.exposure_compensation, capabilities.exposureCompensation) });
+    } else if (controls.exposure_compensation !== 0) {
+      unsupported.push('exposure_compensation');
+    }
+
+    if (controls.white_balance_mode !== 'default') {
+      if (modes('white_balance_mode').includes(controls.white_balance_mode)) {
+        sets.push({ whiteBalanceMode: controls.white_balance_mode });
+      } else {
+        unsupported.push(`white_balance_mode ${controls.white_balance_mode}`);
+      }
+    }
+    return { sets, unsupported };
+  },
+
+  // Apply camera.controls to a running video track
+  async apply(track, controls) {
+    const requested = Object.assign({}, this.DEFAULTS, controls);
+    const { sets, unsupported } = this.constraintSets(requested, this.capabilities(track));
+    if (unsupported.length > 0) {
+      console.warn(`Camera ${track.label || ''} does not support: ${unsupported.join(', ')}`);
+    }
+    if (sets.length === 0) return;
+
+    try {
+      await track.applyConstraints({ advanced: sets });
+    } catch (error) {
+      console.warn('Could not apply camera controls:', error);
+    }
+  },
+
+  // What a track can do and its current settings, for the controls only
+  report(track) {
+    const pick = (values) => {
+      const picked = {};
+      Object.values(this.CONSTRAINTS).forEach(name => {
+        if (values[name] !== undefined) {
+          picked[name] = values[name];
+        }
+      });
+      return picked;
+    };
+    return {
+      label: track.label,
+      capabilities: pick(this.capabilities(track)),
+      settings: pick(track.getSettings())
+    };
+  }
+};
+
+// Export the camera control helpers
+window.CameraControls = CameraControls;
@@ -0,0 +1,77 @@
+/**
+ * Camera Frame Layout
+ * Geometry of the streamed camera frames, shared by both camera managers.
+ * From the camera section of the config:
+ *
+ *   width, height                   streamed frame size (letterbox and crop)
+ *   scale_mode                      letterbox - fit the whole image, black bars fill the rest
+ *                                   crop      - fill the frame, cutting off what does not fit
+ *                                   native    - the camera's own size and aspect, width/height unused
+ *   capture_width, capture_height   resolution requested from the camera (0 = browser default)
+ *
+ * Sizes are rounded down to even numbers, as H.264 needs them.
+ */
+
+const FrameLayout = {
+  SCALE_MODES: ['letterbox', 'crop', 'native'],
+
+  // Defaults until the config is loaded (same as config_schema.js)
+  DEFAULTS: {
+    width: 640,
+    height: 480,
+    scale_mode: 'letterbox',
+    capture_width: 1280,
+    capture_height: 720
+  },
+
+  even(value) {
+    return Math.max(2, Math.floor(value / 2) * 2);
+  },
+
+  // getUserMedia video constraints for the requested capture resolution
+  captureConstraints(settings) {
+    const constraints = {};
+    if (settings.capture_width > 0) {
+      constraints.width = { ideal: settings.capture_width };
+    }
+    if (settings.capture_height > 0) {
+      constraints.height = { ideal: settings.capture_height };
+    }
+    return constraints;
+  },
+
+  // Streamed frame size for a camera image of sourceWidth x sourceHeight
+  outputSize(settings, sourceWidth, sourceHeight) {
+    if (settings.scale_mode === 'native') {
+      return { width: this.even(sourceWidth), height: this.even(sourceHeight) };
+    }
+    return { width: this.even(settings.width), height: this.even(settings.height) };
+  },
+
+  // Draw a camera image (video element, VideoFrame or bitmap) into the canvas,
+  // resizing the canvas first when the output size changed (e.g. phone rotated in
+  // native mode). Returns true if the canvas size changed
+  draw(ctx, source, sourceWidth, sourceHeight, settings) {
+    const canvas = ctx.canvas;
+    const size = this.outputSize(settings, sourceWidth, sourceHeight);
+    const resized = canvas.width !== size.width || canvas.height !== size.height;
+    if (resized) {
+      canvas.width = size.width;
+      canvas.height = size.height;
+    }
+
+    // letterbox fits the image inside the frame, crop covers the frame with it
+    const fit = settings.scale_mode === 'crop' ? Math.max : Math.min;
+    const scale = fit(canvas.width / sourceWidth, canvas.height / sourceHeight);
+    const width = sourceWidth * scale;
+    const height = sourceHeight * scale;
+
+    ctx.fillStyle = '#000';
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+    ctx.drawImage(source, (canvas.width - width) / 2, (canvas.height - height) / 2, width, height);
+    return resized;
+  }
+};
+
+// Export the frame layout helpers
+window.FrameLayout = FrameLayout;
@@ -0,0 +1,60 @@
+/**
+ * Camera Frame Protocol
+ * Encodes camera frames for the /camera WebSocket
+ *
+ * Binary frames carry a fixed 20 byte little-endian header
+ * (version, format, flags, width, height, timestamp, sequence)
+ * followed by the raw encoded image bytes. See src/server/frame_protocol.js.
+ */
+
+const FrameProtocol = {
+  VERSION: 1,
+  HEADER_SIZE: 20,
+
+  FORMATS: {
+    JPEG: 1,
+    H264: 2 // One access unit, Annex B byte stream
+  },
+
+  // Bits of the flags field
+  FLAGS: {
+    USER_FACING: 0x0001, // Front camera, the bridge picks the calibration by facing
+    KEYFRAME: 0x0002     // H.264 keyframe
+  },
+
+  // Flags for a frame captured with the given facing mode ('user' or 'environment')
+  facingFlags(facingMode) {
+    return facingMode === 'user' ? this.FLAGS.USER_FACING : 0;
+  },
+
+  // Build a binary frame from header fields and the encoded image (ArrayBuffer)
+  encodeFrame(header, imageBuffer) {
+    const frame = new ArrayBuffer(this.HEADER_SIZE + imageBuffer.byteLength);
+    const view = new DataView(frame);
+
+    view.setUint8(0, this.VERSION);
+    view.setUint8(1, header.format || this.FORMATS.JPEG);
+    view.setUint16(2, header.flags || 0, true);
+    view.setUint16(4, header.width, true);
+    view.setUint16(6, header.height, true);
+    view.setFloat64(8, header.timestamp, true);
+    view.setUint32(16, (header.sequence || 0) >>> 0, true);
+
+    new Uint8Array(frame, this.HEADER_SIZE).set(new Uint8Array(imageBuffer));
+    return frame;
+  },
+
+  // Legacy JSON transport: convert a JPEG blob to a data URL without
+  // spreading the whole buffer into String.fromCharCode
+  blobToDataUrl(blob) {
+    return new Promise((resolve, reject) => {
+      const reader = new FileReader();
+      reader.onload = () => resolve(reader.result);
+      reader.onerror = () => reject(reader.error);
+      reader.readAsDataURL(blob);
+    });
+  }
+};
+
+// Export the frame protocol helpers
+window.FrameProtocol = FrameProtocol;
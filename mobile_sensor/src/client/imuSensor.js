@@ -25,8 +25,9 @@ class IMUSensorManager {
     this.permissionGranted = false;
     this.orientationPermissionGranted = false;
     
-    // Load configuration
+    // Load configuration, then follow changes pushed by the bridge
     this.loadConfig();
+    BridgeClient.onControl('config', (message) => this.applyConfig(message.config));
   }
 
   /**
@@ -34,19 +35,41 @@ class IMUSensorManager {
    */
   async loadConfig() {
     try {
-      const response = await fetch('/api/config');
+      const response = await BridgeClient.apiFetch('/api/config');
       if (response.ok) {
-        const config = await response.json();
-        if (config.imu && config.imu.sample_rate) {
-          this.sampleRate = config.imu.sample_rate;
-          console.log('IMU sample rate loaded from config:', this.sampleRate, 'Hz');
-        }
+        this.applyConfig(await response.json());
       }
     } catch (error) {
       console.warn('Failed to load IMU config, using default sample rate:', this.sampleRate);
     }
   }
 
+  /**
+   * Apply the imu section of the client config, restarting the send interval
+   * of a running sensor when the sample rate changes
+   * @param {Object} config - Client config as served by /api/config
+   */
+  applyConfig(config) {
+    if (!config || !config.imu || !config.imu.sample_rate || config.imu.sample_rate === this.sampleRate) return;
+    
+    this.sampleRate = config.imu.sample_rate;
+    console.log('IMU sample rate loaded from config:', this.sampleRate, 'Hz');
+    
+    if (this.intervalId) {
+      this.startSendInterval();
+    }
+  }
+
+  // Send sensor data at the configured sample rate
+  startSendInterval() {
+    if (this.intervalId) {
+      clearInterval(this.intervalId);
+    }
+    this.intervalId = setInterval(() => {
+      this.sendSensorData();
+    }, 1000 / this.sampleRate);
+  }
+
   /**
    * Request permission to access device motion and orientation data
    * Required for iOS 13+ and modern Android browsers due to privacy restrictions
@@ -222,9 +245,7 @@ class IMUSensorManager {
       this.setupMagnetometer();
       
       // Start sending data at the specified sample rate
-      this.intervalId = setInterval(() => {
-        this.sendSensorData();
-      }, 1000 / this.sampleRate);
+      this.startSendInterval();
       
       const deviceType = this.isIOS ? 'iOS' : 'Android';
       console.log(`${deviceType} IMU sensor manager initialized successfully`);
@@ -258,9 +279,7 @@ class IMUSensorManager {
       this.setupMagnetometer();
       
       // Start sending data at the specified sample rate
-      this.intervalId = setInterval(() => {
-        this.sendSensorData();
-      }, 1000 / this.sampleRate);
+      this.startSendInterval();
       
       const deviceType = this.isIOS ? 'iOS' : 'Android';
       console.log(`${deviceType} IMU sensor started successfully with existing permissions`);
@@ -350,6 +369,12 @@ class IMUSensorManager {
       return;
     }
 
+    // Skip samples while the bridge asks us to slow down
+    this.sampleCount = (this.sampleCount || 0) + 1;
+    if (this.sampleCount % BridgeClient.throttleFactor('imu') !== 0) {
+      return;
+    }
+
     const timestamp = Date.now();
     
     // Create a structured payload with accelerometer, gyroscope, and magnetometer data
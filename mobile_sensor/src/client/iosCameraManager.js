@@ -6,20 +6,35 @@ class IOSCameraManager {
         this.cameraConfig = {
             facingMode: "environment", // Default value until config is loaded
             quality: 0.7,  // Default quality until config is loaded
-            fps: 20       // Default fps until config is loaded
+            fps: 20,      // Default fps until config is loaded
+            transport: "binary", // "binary" (header + raw JPEG) or "json" (legacy base64)
+            codec: "jpeg", // "jpeg" frames or "h264" video (WebCodecs, binary transport only)
+            bitrate: 2000, // H.264 target bitrate in kbit/s
+            keyframe_interval: 2.0, // Seconds between H.264 keyframes
+            channels: [], // Cameras streamed at once, Safari streams the first one only (see startCamera)
+            controls: { ...CameraControls.DEFAULTS }, // Torch, zoom, focus, exposure, white balance (see cameraControls.js)
+            ...FrameLayout.DEFAULTS // Streamed size, scale mode and capture resolution (see frameLayout.js)
         };
+        this.frameSequence = 0;
+        this.activeFacingMode = null; // Facing of the running camera, sent with every frame
+        this.videoStream = null; // H.264 encoder while streaming video
+        this.channel = null; // Camera channel streamed on, null for the camera socket
+        this.streamWs = null; // Socket the frames go out on: the camera socket or the channel's
         this.availableCameras = [];
         this.selectedCameraId = null;
         this.devicePermissionGranted = false;
         this.videoElement = null;
         this._captureInterval = null;
         
-        // Fixed dimensions that are consistent across all capture methods
-        this.fixedWidth = 480;
-        this.fixedHeight = 640;
-        
-        // Fetch camera configuration when created
+        // Fetch camera configuration when created, then follow changes pushed by the bridge
         this.fetchCameraConfig();
+        BridgeClient.onControl('config', (message) => this.applyConfig(message.config));
+        BridgeClient.onControl('keyframe', (message) => {
+            if (this.videoStream && (!message.channel || message.channel === this.channel)) {
+                this.videoStream.requestKeyframe();
+            }
+        });
+        BridgeClient.onControl('capture', (message) => this.captureStill(message));
         
         console.log('iOS Camera Manager initialized');
     }
@@ -197,41 +212,126 @@ class IOSCameraManager {
     // Method to fetch camera configuration from the server
     async fetchCameraConfig() {
         try {
-            const response = await fetch('/api/config');
+            const response = await BridgeClient.apiFetch('/api/config');
             if (!response.ok) {
                 throw new Error(`HTTP error! status: ${response.status}`);
             }
-            const config = await response.json();
-            
-            // Set facing mode if available
-            if (config.camera && config.camera.facingMode) {
-                this.cameraConfig.facingMode = config.camera.facingMode;
-                console.log('Using camera facing mode from config:', this.cameraConfig.facingMode);
-            }
-            
-            if (config.camera) {
-                if (config.camera.quality !== undefined) {
-                    this.cameraConfig.quality = parseFloat(config.camera.quality);
-                    console.log('Using camera quality from config:', this.cameraConfig.quality);
-                } else if (config.camera.quaity !== undefined) {
-                    // Fallback for the current typo in the config file
-                    this.cameraConfig.quality = parseFloat(config.camera.quaity);
-                    console.log('Using camera quality from config (with typo):', this.cameraConfig.quality);
-                }
-            }
-            
-            // Set fps if available, with maximum of 30
-            if (config.camera && config.camera.fps !== undefined) {
-                // Apply the maximum 30 fps limit
-                this.cameraConfig.fps = Math.min(parseInt(config.camera.fps), 30);
-                console.log('Using camera fps from config (limited to 30 max):', this.cameraConfig.fps);
-            }
+            this.applyConfig(await response.json());
         } catch (error) {
             console.error('Failed to load camera config:', error);
             // Keep using the defaults
         }
     }
 
+    // Apply the camera section of the client config. Quality and transport are read
+    // for every frame, bitrate and keyframe interval go to the running video encoder and
+    // controls to the camera, a new FPS restarts the capture loop and a new facing mode,
+    // codec, channel list or frame geometry the camera
+    applyConfig(config) {
+        if (!config || !config.camera) return;
+        const previous = Object.assign({}, this.cameraConfig);
+        // Compared by value, the channel list and controls are new with every config
+        const changed = (key) => JSON.stringify(this.cameraConfig[key]) !== JSON.stringify(previous[key]);
+        
+        // Set facing mode if available
+        if (config.camera.facingMode) {
+            this.cameraConfig.facingMode = config.camera.facingMode;
+        }
+        
+        if (config.camera.quality !== undefined) {
+            this.cameraConfig.quality = parseFloat(config.camera.quality);
+        }
+        
+        // Set fps if available, with maximum of 30
+        if (config.camera.fps !== undefined) {
+            this.cameraConfig.fps = Math.min(parseInt(config.camera.fps), 30);
+        }
+        
+        if (config.camera.transport) {
+            this.cameraConfig.transport = config.camera.transport;
+        }
+        
+        ['codec', 'bitrate', 'keyframe_interval', 'channels', 'controls', ...Object.keys(FrameLayout.DEFAULTS)].forEach(key => {
+            if (config.camera[key] !== undefined) {
+                this.cameraConfig[key] = config.camera[key];
+            }
+        });
+        
+        Object.keys(this.cameraConfig).filter(changed).forEach(key => {
+            console.log(`Using camera ${key} from config:`, this.cameraConfig[key]);
+        });
+        
+        if (!this.cameraStarted) return;
+        if ((changed('facingMode') && !this.selectedCameraId) ||
+            ['codec', 'channels', ...Object.keys(FrameLayout.DEFAULTS)].some(changed)) {
+            this.restartCamera();
+            return;
+        }
+        if (changed('fps') && this.videoElement && this.videoElement.srcObject) {
+            this.startCameraWithVideoCanvas(this.videoElement.srcObject, this.streamWs);
+        }
+        if (this.videoStream && ['fps', 'bitrate', 'keyframe_interval'].some(changed)) {
+            this.videoStream.configure(this.videoSettings());
+        }
+        if (changed('controls') && this.videoTrack) {
+            this.applyControls();
+        }
+    }
+
+    // Apply the camera controls to the running camera and report the result
+    async applyControls() {
+        await CameraControls.apply(this.videoTrack, this.cameraConfig.controls);
+        this.reportControls();
+    }
+
+    // Send the capabilities and control settings of the running camera to the bridge
+    reportControls() {
+        const cameras = this.videoTrack ? [Object.assign(
+            { channel: this.channel, facingMode: this.activeFacingMode },
+            CameraControls.report(this.videoTrack))] : [];
+        BridgeClient.sendControl({ type: 'camera_controls', cameras });
+    }
+
+    // The H.264 encoder failed: stream JPEG frames from now on and tell the bridge
+    videoFailed(error) {
+        if (this.videoStream) {
+            this.videoStream.close();
+            this.videoStream = null;
+        }
+        const message = `H.264 encoder failed (${error.message}), streaming JPEG`;
+        console.warn(message);
+        BridgeClient.sendControl({ type: 'camera_error', channel: this.channel, message });
+    }
+
+    // Encoder settings from the camera config (see videoStream.js)
+    videoSettings() {
+        return {
+            fps: this.cameraConfig.fps,
+            bitrate: this.cameraConfig.bitrate,
+            keyframeInterval: this.cameraConfig.keyframe_interval,
+            facingMode: this.activeFacingMode
+        };
+    }
+
+    // Take photos for a capture request from the bridge and reply with how it went.
+    // Only the running camera can take them, Safari does not open a second one
+    async captureStill(message) {
+        const running = this.videoTrack && (!message.channel || message.channel === this.channel);
+        const reply = { type: 'reply', id: message.id, channel: running ? this.channel : null };
+        const result = running ?
+            await StillCapture.capture(this.videoTrack, this.activeFacingMode, message) :
+            { count: 0, message: message.channel ? `no ${message.channel} camera running` : 'camera not running' };
+        BridgeClient.sendControl(Object.assign(reply, result));
+    }
+
+    // Restart a running camera so new capture settings take effect
+    async restartCamera() {
+        if (!this.cameraStarted || !window.cameraWs) return;
+        this.stopCamera();
+        const isActive = window.isSessionActive !== undefined ? window.isSessionActive : true;
+        await this.startCamera(window.cameraWs, isActive);
+    }
+
     async startCamera(ws, isSessionActive) {
         if (this.cameraStarted || !isSessionActive) return;
         try {
@@ -244,34 +344,50 @@ class IOSCameraManager {
                 await this.scanAvailableCameras();
             }
 
+            // Safari runs one camera at a time (opening another ends the first), so with
+            // camera channels only the first one streams, on its channel's socket
+            const channels = CameraChannels.fromConfig(this.cameraConfig);
+            if (channels.length > 1) {
+                console.warn(`Safari streams one camera at a time, streaming the ${channels[0]} channel only`);
+            }
+            this.channel = channels[0] || null;
+            this.streamWs = this.channel ?
+                await CameraChannels.open(this.channel, (closed) => this.channelClosed(closed)) :
+                ws;
+            ws = this.streamWs;
+
             // Check if 3D Position is enabled and override to user facing if it is
             const poseEnabled = document.getElementById('pose-select').checked;
             let videoConstraints = {};
             
-            if (this.selectedCameraId) {
+            if (this.channel) {
+                // The channel decides the camera
+                console.log(`Starting the ${this.channel} camera`);
+                videoConstraints = {
+                    facingMode: CameraChannels.FACING[this.channel]
+                };
+            } else if (this.selectedCameraId) {
                 // Use selected camera device ID
                 console.log(`Starting camera with device ID: ${this.selectedCameraId}`);
                 videoConstraints = {
-                    deviceId: { exact: this.selectedCameraId },
-                    width: { ideal: 1280 },
-                    height: { ideal: 720 }
+                    deviceId: { exact: this.selectedCameraId }
                 };
             } else {
                 // Fall back to facing mode if no camera selected
                 const facingMode = poseEnabled ? "user" : this.cameraConfig.facingMode;
                 console.log(`Starting camera with facing mode: ${facingMode} (pose enabled: ${poseEnabled})`);
                 videoConstraints = { 
-                    facingMode: facingMode,
-                    width: { ideal: 1280 },
-                    height: { ideal: 720 }
+                    facingMode: facingMode
                 };
             }
+            Object.assign(videoConstraints, FrameLayout.captureConstraints(this.cameraConfig));
 
             const stream = await navigator.mediaDevices.getUserMedia({
                 video: videoConstraints,
                 audio: false
             });
             this.videoTrack = stream.getVideoTracks()[0];
+            this.activeFacingMode = this.getActiveFacingMode(poseEnabled);
             
             if (this.videoTrack) {
                 // Log constraints for debugging
@@ -284,19 +400,57 @@ class IOSCameraManager {
                     // Refresh camera list to update the interface with proper labels
                     await this.scanAvailableCameras();
                 }
+                await CameraControls.apply(this.videoTrack, this.cameraConfig.controls);
             }
 
+            // H.264 video when configured and the browser can encode it, JPEG frames otherwise
+            // (created for the configured size, the capture loop resizes it to the actual frames)
+            this.videoStream = this.cameraConfig.codec === 'h264' && this.cameraConfig.transport === 'binary' ?
+                await VideoStream.create(ws, Object.assign(
+                    { width: FrameLayout.even(this.cameraConfig.width), height: FrameLayout.even(this.cameraConfig.height) },
+                    this.videoSettings()),
+                    (error) => this.videoFailed(error)) :
+                null;
+
             // Use fallback for Safari/iOS
             this.startCameraWithVideoCanvas(stream, ws);
 
             this.cameraStarted = true;
+            this.reportControls();
         } catch (err) {
+            this.stopCamera();
             console.error('iOS Camera error:', err);
             alert('Camera access failed: ' + err.message);
         }
     }
 
     // Method for Safari/iOS using video+canvas approach
+    // Facing of the opened camera: reported by the track, else the selected camera's type or the requested mode
+    getActiveFacingMode(poseEnabled) {
+        const reported = this.videoTrack && this.videoTrack.getSettings().facingMode;
+        if (reported) return reported;
+        if (this.channel) return CameraChannels.FACING[this.channel];
+
+        if (this.selectedCameraId) {
+            const camera = this.availableCameras.find(camera => camera.deviceId === this.selectedCameraId);
+            return (camera && camera._cameraType) || this.cameraConfig.facingMode;
+        }
+        return poseEnabled ? "user" : this.cameraConfig.facingMode;
+    }
+
+    // The channel socket closed: if the camera was still streaming on it, start over once the
+    // bridge is reachable again (the camera socket reconnecting starts the camera too)
+    channelClosed(ws) {
+        if (!this.channel || ws !== this.streamWs) return;
+        console.warn(`Camera channel ${this.channel} disconnected`);
+        this.stopCamera();
+        setTimeout(() => {
+            if (window.cameraWs && window.cameraWs.readyState === WebSocket.OPEN && window.isSessionActive) {
+                this.startCamera(window.cameraWs, true);
+            }
+        }, 1000);
+    }
+
     startCameraWithVideoCanvas(stream, ws) {
         console.log('Using video+canvas method for iOS camera streaming');
         
@@ -319,11 +473,10 @@ class IOSCameraManager {
             document.body.appendChild(this.videoElement);
         }
         
-        // Use consistent dimensions
-        console.log(`Creating DOM canvas with dimensions: ${this.fixedWidth}x${this.fixedHeight}`);
+        // Sized by FrameLayout.draw from the config and the video dimensions
         const canvas = document.createElement('canvas');
-        canvas.width = this.fixedWidth;
-        canvas.height = this.fixedHeight;
+        canvas.width = FrameLayout.even(this.cameraConfig.width);
+        canvas.height = FrameLayout.even(this.cameraConfig.height);
         const ctx = canvas.getContext('2d', { willReadFrequently: true });
         
         // Set video source to stream
@@ -341,7 +494,7 @@ class IOSCameraManager {
             const captureInterval = setInterval(() => {
                 try {
                     const currentTime = performance.now();
-                    if (currentTime - lastSentTime < frameInterval) return;
+                    if (currentTime - lastSentTime < frameInterval * BridgeClient.throttleFactor('camera')) return;
                     
                     if (ws && ws.readyState === WebSocket.OPEN && 
                         this.videoElement && 
@@ -352,28 +505,50 @@ class IOSCameraManager {
                         const videoHeight = this.videoElement.videoHeight;
                         
                         if (videoWidth && videoHeight) {
-                            // Scale to fit canvas while maintaining aspect ratio
-                            const scale = Math.min(canvas.width / videoWidth, canvas.height / videoHeight);
-                            const x = (canvas.width - videoWidth * scale) / 2;
-                            const y = (canvas.height - videoHeight * scale) / 2;
-                            
-                            ctx.clearRect(0, 0, canvas.width, canvas.height);
-                            ctx.drawImage(this.videoElement, x, y, videoWidth * scale, videoHeight * scale);
+                            // Letterbox, crop or native size (see frameLayout.js)
+                            if (FrameLayout.draw(ctx, this.videoElement, videoWidth, videoHeight, this.cameraConfig)) {
+                                console.log(`Streaming ${canvas.width}x${canvas.height} (${this.cameraConfig.scale_mode})`);
+                                if (this.videoStream) {
+                                    this.videoStream.configure({ width: canvas.width, height: canvas.height });
+                                }
+                            }
                             
                             try {
-                                // Convert canvas to base64 JPEG using quality from config
-                                const dataUrl = canvas.toDataURL('image/jpeg', this.cameraConfig.quality);
-                                this.lastCameraFrame = dataUrl;
+                                const timestamp = Date.now();
                                 
-                                ws.send(JSON.stringify({
-                                    timestamp: Date.now(),
-                                    camera: dataUrl,
-                                    width: this.fixedWidth,
-                                    height: this.fixedHeight
-                                }));
+                                if (this.videoStream) {
+                                    // H.264: the encoder sends the access unit when it is ready
+                                    this.videoStream.encode(canvas, timestamp);
+                                } else if (this.cameraConfig.transport === 'json') {
+                                    // Legacy: convert canvas to base64 JPEG using quality from config
+                                    const dataUrl = canvas.toDataURL('image/jpeg', this.cameraConfig.quality);
+                                    this.lastCameraFrame = dataUrl;
+                                    
+                                    ws.send(JSON.stringify({
+                                        timestamp: timestamp,
+                                        camera: dataUrl,
+                                        width: canvas.width,
+                                        height: canvas.height,
+                                        facingMode: this.activeFacingMode
+                                    }));
+                                } else {
+                                    // Binary: header + raw JPEG bytes
+                                    canvas.toBlob(async (blob) => {
+                                        if (!blob || ws.readyState !== WebSocket.OPEN) return;
+                                        this.lastCameraFrame = blob;
+                                        ws.send(FrameProtocol.encodeFrame({
+                                            format: FrameProtocol.FORMATS.JPEG,
+                                            flags: FrameProtocol.facingFlags(this.activeFacingMode),
+                                            width: canvas.width,
+                                            height: canvas.height,
+                                            timestamp: timestamp,
+                                            sequence: this.frameSequence++
+                                        }, await blob.arrayBuffer()));
+                                    }, 'image/jpeg', this.cameraConfig.quality);
+                                }
                                 lastSentTime = currentTime;
                             } catch (canvasErr) {
-                                console.error('Canvas to dataURL error:', canvasErr);
+                                console.error('Canvas to JPEG error:', canvasErr);
                             }
                         }
                     }
@@ -460,6 +635,20 @@ class IOSCameraManager {
             this.videoTrack.stop();
             this.videoTrack = null;
             console.log('Video track stopped');
+            this.reportControls();
+        }
+        
+        if (this.videoStream) {
+            this.videoStream.close();
+            this.videoStream = null;
+        }
+        
+        // Close the channel socket, channelClosed ignores it once the channel is cleared
+        const channelWs = this.channel ? this.streamWs : null;
+        this.channel = null;
+        this.streamWs = null;
+        if (channelWs) {
+            channelWs.close();
         }
         
         // Clean up video element and interval for Safari fallback
@@ -4,6 +4,7 @@ let xrRefSpace = null;
 const xrButton = document.getElementById('xr-button');
 const poseDiv = document.getElementById('pose');
 let poseWs = null;  // Separate WebSocket for pose data
+let poseFrameCount = 0;
 let cameraWs = null;  // Separate WebSocket for camera data
 let ttsWs = null;  // Reference to TTS WebSocket
 let isSessionActive = false;
@@ -28,11 +29,22 @@ let enabledSensors = {
 // Shared audio context for iOS to ensure microphone and audio playback work together
 let sharedAudioContext = null;
 
+// Sensors the bridge can switch from ROS (mobile_sensor/<sensor>/enable services)
+const REMOTE_SENSORS = ['camera', 'microphone', 'imu', 'gps'];
+// Longest wait for a remotely enabled sensor to start before its state is reported
+// (the bridge gives up on the reply after 5 s)
+const REMOTE_ENABLE_TIMEOUT_MS = 4000;
+// Latest start of each remote sensor: { promise, settled, ok }, settled once it started or failed
+const sensorStarts = {};
+
 // Initialize when DOM is ready
 document.addEventListener('DOMContentLoaded', () => {
   // Initialize UI and add event listeners
   initializeUI();
   
+  // Control channel: config.yaml changes reach the sensor managers without a reload
+  BridgeClient.connectControl();
+  
   // Load audio configuration
   loadAudioScript().then(audioConfig => {
     if (window.TextToSpeech && (!window.tts || !window.tts.isReady)) {
@@ -71,6 +83,24 @@ document.addEventListener('DOMContentLoaded', () => {
   checkSupported();
 });
 
+// Check exactly the sensors listed in the ?sensors= query parameter
+function applySensorPreset() {
+  const preset = new URLSearchParams(window.location.search).get('sensors');
+  if (!preset) return;
+  
+  const selected = preset.split(',').map(name => name.trim().toLowerCase());
+  Object.keys(enabledSensors).forEach(sensor => {
+    const checkbox = document.getElementById(`${sensor}-select`);
+    const checked = selected.includes(sensor);
+    if (checkbox && checkbox.checked !== checked) {
+      checkbox.checked = checked;
+      // Run the regular change handler so dependent UI stays in sync
+      checkbox.dispatchEvent(new Event('change'));
+    }
+  });
+  console.log(`Sensor preset applied: ${selected.join(', ')}`);
+}
+
 // Function to initialize UI and attach event listeners
 function initializeUI() {
   // Check sensor data
@@ -81,6 +111,13 @@ function initializeUI() {
   // Hide pose data display by default since 3D positioning is disabled
   poseDiv.style.display = 'none';
   
+  // Device ID namespaces this phone's topics on the bridge (e.g. /phone_front/mobile_sensor/imu)
+  const deviceIdInput = document.getElementById('device-id');
+  deviceIdInput.value = BridgeClient.getDeviceId();
+  deviceIdInput.addEventListener('change', (e) => {
+    BridgeClient.setDeviceId(e.target.value);
+  });
+  
   // Add checkbox event listeners
   document.getElementById('camera-select').addEventListener('change', (e) => {
     enabledSensors.camera = e.target.checked;
@@ -95,12 +132,11 @@ function initializeUI() {
     } else if (e.target.checked && isSessionActive && currentCameraManager) {
       // Directly start the camera with current WebSocket if available
       if (cameraWs && cameraWs.readyState === WebSocket.OPEN) {
-        currentCameraManager.startCamera(cameraWs, isSessionActive);
+        const started = beginSensorStart('camera');
+        currentCameraManager.startCamera(cameraWs, isSessionActive).finally(() => started(currentCameraManager.cameraStarted));
       } else {
         // Reconnect camera WebSocket if needed
-        const protocol = window.location.protocol === 'https:' ? 'wss:' : 'ws:';
-        const baseUrl = `${protocol}//${window.location.host}`;
-        connectCameraWebSocket(baseUrl);
+        connectCameraWebSocket();
       }
     }
   });
@@ -146,9 +182,7 @@ function initializeUI() {
         console.log('IMU WebSocket already connected');
       } else {
         // Connect the WebSocket
-        const protocol = window.location.protocol === 'https:' ? 'wss:' : 'ws:';
-        const baseUrl = `${protocol}//${window.location.host}`;
-        connectIMUWebSocket(baseUrl);
+        connectIMUWebSocket();
       }
     } else if (!e.target.checked && imuWs) {
       console.log('Stopping IMU sensor');
@@ -181,9 +215,7 @@ function initializeUI() {
         console.log('GPS WebSocket already connected');
       } else {
         // Connect the WebSocket
-        const protocol = window.location.protocol === 'https:' ? 'wss:' : 'ws:';
-        const baseUrl = `${protocol}//${window.location.host}`;
-        connectGPSWebSocket(baseUrl);
+        connectGPSWebSocket();
       }
     } else if (!e.target.checked && gpsWs) {
       console.log('Stopping GPS sensor');
@@ -226,6 +258,12 @@ function initializeUI() {
     }
   });
   
+  // Preselect sensors from a scanned connect QR code (?sensors=camera,imu)
+  applySensorPreset();
+  
+  // ROS services switch sensors through the control channel
+  BridgeClient.onControl('enable', handleEnableRequest);
+  
   // Add XR button event listener
   xrButton.addEventListener('click', async () => {
     if (!isSessionActive) {
@@ -299,6 +337,94 @@ function initializeUI() {
   });
 }
 
+// Switch a sensor for the bridge and reply with the state it ended up in
+async function handleEnableRequest(message) {
+  const reply = { type: 'reply', id: message.id, sensor: message.sensor };
+  const checkbox = document.getElementById(`${message.sensor}-select`);
+  if (!REMOTE_SENSORS.includes(message.sensor) || !checkbox) {
+    BridgeClient.sendControl(Object.assign(reply, { enabled: false, message: 'unknown sensor' }));
+    return;
+  }
+  
+  if (checkbox.checked !== message.enable) {
+    console.log(`${message.enable ? 'Enabling' : 'Disabling'} ${message.sensor} from ROS`);
+    checkbox.checked = message.enable;
+    // Same path as tapping the checkbox, so the manager starts or stops
+    checkbox.dispatchEvent(new Event('change'));
+    
+    if (message.enable && isSessionActive) {
+      await waitForSensorStart(message.sensor);
+    }
+  }
+  const state = getSensorState(message.sensor);
+  if (message.enable && !state.enabled && !state.message) {
+    // The page switched the sensor back off when it could not start it
+    state.message = 'failed to start';
+  }
+  BridgeClient.sendControl(Object.assign(reply, state));
+}
+
+// Track a new start of a sensor, returns the function to call once it started (true) or
+// failed. Only the first call counts
+function beginSensorStart(sensor) {
+  const start = { settled: false, ok: false };
+  start.promise = new Promise(resolve => {
+    start.settle = (ok = false) => {
+      if (start.settled) return;
+      start.settled = true;
+      start.ok = ok === true;
+      resolve();
+    };
+  });
+  sensorStarts[sensor] = start;
+  return start.settle;
+}
+
+// Wait for the latest start of a sensor, at most REMOTE_ENABLE_TIMEOUT_MS
+function waitForSensorStart(sensor) {
+  return Promise.race([
+    sensorStarts[sensor] ? sensorStarts[sensor].promise : Promise.resolve(),
+    new Promise(resolve => setTimeout(resolve, REMOTE_ENABLE_TIMEOUT_MS))
+  ]);
+}
+
+// Whether a sensor is actually streaming to the bridge: its manager running and its socket open.
+// The IMU and GPS managers stay active after a failed start, so their start result counts
+function isSensorRunning(sensor) {
+  const open = (socket) => !!socket && socket.readyState === WebSocket.OPEN;
+  const startedOk = !!sensorStarts[sensor] && sensorStarts[sensor].ok;
+  switch (sensor) {
+    case 'camera':
+      return open(cameraWs) && !!window.cameraManager && window.cameraManager.cameraStarted;
+    case 'microphone':
+      return open(microphoneWs) && !!window.speechRecognitionManager &&
+        window.speechRecognitionManager.speechRecognitionStarted;
+    case 'imu':
+      return open(imuWs) && startedOk;
+    case 'gps':
+      return open(gpsWs) && startedOk;
+    default:
+      return false;
+  }
+}
+
+// The sensor's real state for the bridge, with why an enabled one is not streaming
+function getSensorState(sensor) {
+  const sockets = { camera: cameraWs, microphone: microphoneWs, imu: imuWs, gps: gpsWs };
+  const socket = sockets[sensor];
+  const enabled = isSensorRunning(sensor);
+  
+  let message = '';
+  if (enabled) {
+    message = 'streaming';
+  } else if (enabledSensors[sensor] && !isSessionActive) {
+    message = 'starts with the session';
+  } else if (enabledSensors[sensor]) {
+    message = socket && socket.readyState === WebSocket.OPEN ? 'failed to start' : 'not connected';
+  }
+  return { enabled, message };
+}
+
 // Helper function to ensure iOS audio is unlocked
 async function ensureIOSAudioUnlocked() {
   if (!sharedAudioContext) {
@@ -340,7 +466,7 @@ function connectAudioServices() {
   });
   
   // Then check if WAV audio is enabled in config
-  fetch('/api/config')
+  BridgeClient.apiFetch('/api/config')
     .then(response => response.json())
     .then(config => {
       if (config.audio && config.audio.mode === 'wav' && config.audio.enabled) {
@@ -395,7 +521,7 @@ function connectAudioServices() {
 // Function to load audio script based on config
 async function loadAudioScript() {
   try {
-    const response = await fetch('/api/config');
+    const response = await BridgeClient.apiFetch('/api/config');
     const config = await response.json();
     return config.audio || { mode: 'tts', enabled: true };
   } catch (error) {
@@ -474,19 +600,16 @@ function connectWebSockets() {
     }
   }
   
-  const protocol = window.location.protocol === 'https:' ? 'wss:' : 'ws:';
-  const baseUrl = `${protocol}//${window.location.host}`;
-  
   if (enabledSensors.pose) {
-    connectPoseWebSocket(baseUrl);
+    connectPoseWebSocket();
   }
 
   if (enabledSensors.camera) {
-    connectCameraWebSocket(baseUrl);
+    connectCameraWebSocket();
   }
 
   if (enabledSensors.microphone) {
-    connectMicrophoneWebSocket(baseUrl);
+    connectMicrophoneWebSocket();
   }
 
   // Connect Audio WebSocket (output) - now using the helper function
@@ -508,25 +631,27 @@ function connectWebSockets() {
   
   // Connect IMU sensor for iOS and Android devices
   if (enabledSensors.imu && ((/iPad|iPhone|iPod/.test(navigator.userAgent) && !window.MSStream) || /Android/.test(navigator.userAgent))) {
-    connectIMUWebSocket(baseUrl);
+    connectIMUWebSocket();
   }
   
   // Connect GPS sensor for all devices (works best on mobile)
   if (enabledSensors.gps) {
-    connectGPSWebSocket(baseUrl);
+    connectGPSWebSocket();
   }
 }
 
 // Function to connect pose WebSocket
-function connectPoseWebSocket(baseUrl) {
+function connectPoseWebSocket() {
   updateConnectionStatus('pose', 'connecting');
   
   // Connect pose WebSocket
-  poseWs = new WebSocket(`${baseUrl}/pose`);
+  poseWs = new WebSocket(BridgeClient.socketUrl('/pose'));
   poseWs.onopen = () => {
     console.log('Pose WebSocket connected');
     updateConnectionStatus('pose', 'connected');
   };
+  // Flow control and clock sync messages from the bridge
+  poseWs.onmessage = (event) => BridgeClient.handleSocketMessage(event);
   poseWs.onerror = (error) => {
     console.error('Pose WebSocket error:', error);
     updateConnectionStatus('pose', 'disconnected');
@@ -536,7 +661,7 @@ function connectPoseWebSocket(baseUrl) {
     if (isSessionActive) {
       setTimeout(() => {
         if (enabledSensors.pose && isSessionActive) {
-          connectPoseWebSocket(baseUrl);
+          connectPoseWebSocket();
         }
       }, 1000);
     }
@@ -544,32 +669,38 @@ function connectPoseWebSocket(baseUrl) {
 }
 
 // Function to connect camera WebSocket
-function connectCameraWebSocket(baseUrl) {
+function connectCameraWebSocket() {
   updateConnectionStatus('camera', 'connecting');
   
   // Connect camera WebSocket
-  cameraWs = new WebSocket(`${baseUrl}/camera`);
+  cameraWs = new WebSocket(BridgeClient.socketUrl('/camera'));
   window.cameraWs = cameraWs;  // Expose to window for camera.js
+  const started = beginSensorStart('camera');
   
   cameraWs.onopen = () => {
     console.log('Camera WebSocket connected');
     updateConnectionStatus('camera', 'connected');
     // The camera manager will now handle frame sending directly
     if (isSessionActive && window.cameraManager && enabledSensors.camera) {
-      window.cameraManager.startCamera(cameraWs, isSessionActive);
+      window.cameraManager.startCamera(cameraWs, isSessionActive).finally(() => started(window.cameraManager.cameraStarted));
+    } else {
+      started();
     }
   };
+  cameraWs.onmessage = (event) => BridgeClient.handleSocketMessage(event);
   cameraWs.onerror = (error) => {
     console.error('Camera WebSocket error:', error);
     updateConnectionStatus('camera', 'disconnected');
+    started();
   };
   cameraWs.onclose = () => {
     updateConnectionStatus('camera', 'disconnected');
+    started();
     window.cameraWs = null;
     if (isSessionActive) {
       setTimeout(() => {
         if (enabledSensors.camera && isSessionActive) {
-          connectCameraWebSocket(baseUrl);
+          connectCameraWebSocket();
         }
       }, 1000);
     }
@@ -577,25 +708,30 @@ function connectCameraWebSocket(baseUrl) {
 }
 
 // Function to connect microphone WebSocket
-function connectMicrophoneWebSocket(baseUrl) {
+function connectMicrophoneWebSocket() {
   updateConnectionStatus('microphone', 'connecting');
   
-  microphoneWs = new WebSocket(`${baseUrl}/microphone`);
+  microphoneWs = new WebSocket(BridgeClient.socketUrl('/microphone'));
+  const started = beginSensorStart('microphone');
   microphoneWs.onopen = () => {
     console.log('Microphone WebSocket connected');
     updateConnectionStatus('microphone', 'connected');
-    window.speechRecognitionManager.startSpeechRecognition(microphoneWs, isSessionActive);
+    window.speechRecognitionManager.startSpeechRecognition(microphoneWs, isSessionActive)
+      .catch(error => console.error('Error starting speech recognition:', error))
+      .finally(() => started(window.speechRecognitionManager.speechRecognitionStarted));
   };
   microphoneWs.onerror = (error) => {
     console.error('Microphone WebSocket error:', error);
     updateConnectionStatus('microphone', 'disconnected');
+    started();
   };
   microphoneWs.onclose = () => {
     updateConnectionStatus('microphone', 'disconnected');
+    started();
     if (isSessionActive) {
       setTimeout(() => {
         if (enabledSensors.microphone && isSessionActive) {
-          connectMicrophoneWebSocket(baseUrl);
+          connectMicrophoneWebSocket();
         }
       }, 1000);
     }
@@ -603,6 +739,7 @@ function connectMicrophoneWebSocket(baseUrl) {
   
   // Add message handler for transcription results
   microphoneWs.onmessage = (event) => {
+    if (BridgeClient.handleSocketMessage(event)) return;
     try {
       const data = JSON.parse(event.data);
       if (data.transcription) {
@@ -615,7 +752,7 @@ function connectMicrophoneWebSocket(baseUrl) {
 }
 
 // Function to connect IMU WebSocket for iOS and Android devices
-function connectIMUWebSocket(baseUrl) {
+function connectIMUWebSocket() {
   updateConnectionStatus('imu', 'connecting');
   
   // Initialize IMU sensor manager if it doesn't exist
@@ -624,7 +761,8 @@ function connectIMUWebSocket(baseUrl) {
   }
   
   // Connect IMU WebSocket - permission should already be granted from button click
-  imuWs = new WebSocket(`${baseUrl}/imu`);
+  imuWs = new WebSocket(BridgeClient.socketUrl('/imu'));
+  const started = beginSensorStart('imu');
   imuWs.onopen = () => {
     console.log('IMU WebSocket connected');
     updateConnectionStatus('imu', 'connected');
@@ -634,7 +772,7 @@ function connectIMUWebSocket(baseUrl) {
       if (!success) {
         console.error('Failed to start IMU sensor - using fallback to regular start');
         // Fallback to regular start if the new method doesn't exist
-        window.imuSensorManager.startIMUSensor(imuWs, isSessionActive).then(fallbackSuccess => {
+        return window.imuSensorManager.startIMUSensor(imuWs, isSessionActive).then(fallbackSuccess => {
           if (!fallbackSuccess) {
             console.error('Failed to start IMU sensor completely');
             updateConnectionStatus('imu', 'disconnected');
@@ -642,23 +780,28 @@ function connectIMUWebSocket(baseUrl) {
             const imuCheckbox = document.getElementById('imu-select');
             if (imuCheckbox) imuCheckbox.checked = false;
           }
+          started(fallbackSuccess);
         });
       } else {
         console.log('IMU sensor started successfully');
+        started(true);
       }
     }).catch(error => {
       console.error('Error starting IMU sensor:', error);
       updateConnectionStatus('imu', 'disconnected');
-    });
+    }).finally(started);
   };
   
+  imuWs.onmessage = (event) => BridgeClient.handleSocketMessage(event);
   imuWs.onerror = (error) => {
     console.error('IMU WebSocket error:', error);
     updateConnectionStatus('imu', 'disconnected');
+    started();
   };
   
   imuWs.onclose = () => {
     updateConnectionStatus('imu', 'disconnected');
+    started();
     // Also stop the IMU sensor manager
     if (window.imuSensorManager) {
       window.imuSensorManager.stopIMUSensor();
@@ -667,7 +810,7 @@ function connectIMUWebSocket(baseUrl) {
     if (isSessionActive) {
       setTimeout(() => {
         if (enabledSensors.imu && isSessionActive) {
-          connectIMUWebSocket(baseUrl);
+          connectIMUWebSocket();
         }
       }, 1000);
     }
@@ -675,7 +818,7 @@ function connectIMUWebSocket(baseUrl) {
 }
 
 // Function to connect GPS WebSocket for iOS and Android devices
-function connectGPSWebSocket(baseUrl) {
+function connectGPSWebSocket() {
   updateConnectionStatus('gps', 'connecting');
   
   // Initialize GPS sensor manager if it doesn't exist
@@ -684,7 +827,8 @@ function connectGPSWebSocket(baseUrl) {
   }
   
   // Connect GPS WebSocket
-  gpsWs = new WebSocket(`${baseUrl}/gps`);
+  gpsWs = new WebSocket(BridgeClient.socketUrl('/gps'));
+  const started = beginSensorStart('gps');
   gpsWs.onopen = () => {
     console.log('GPS WebSocket connected');
     updateConnectionStatus('gps', 'connected');
@@ -694,7 +838,7 @@ function connectGPSWebSocket(baseUrl) {
       if (!success) {
         console.log('GPS sensor startup without permission failed, trying with permission request');
         // Fallback to regular start if the new method doesn't work
-        window.gpsSensorManager.startGPSSensor(gpsWs, isSessionActive).then(fallbackSuccess => {
+        return window.gpsSensorManager.startGPSSensor(gpsWs, isSessionActive).then(fallbackSuccess => {
           if (!fallbackSuccess) {
             console.error('Failed to start GPS sensor completely');
             updateConnectionStatus('gps', 'disconnected');
@@ -702,23 +846,28 @@ function connectGPSWebSocket(baseUrl) {
             const gpsCheckbox = document.getElementById('gps-select');
             if (gpsCheckbox) gpsCheckbox.checked = false;
           }
+          started(fallbackSuccess);
         });
       } else {
         console.log('GPS sensor started successfully');
+        started(true);
       }
     }).catch(error => {
       console.error('Error starting GPS sensor:', error);
       updateConnectionStatus('gps', 'disconnected');
-    });
+    }).finally(started);
   };
   
+  gpsWs.onmessage = (event) => BridgeClient.handleSocketMessage(event);
   gpsWs.onerror = (error) => {
     console.error('GPS WebSocket error:', error);
     updateConnectionStatus('gps', 'disconnected');
+    started();
   };
   
   gpsWs.onclose = () => {
     updateConnectionStatus('gps', 'disconnected');
+    started();
     
     // Also stop the GPS sensor manager
     if (window.gpsSensorManager) {
@@ -728,7 +877,7 @@ function connectGPSWebSocket(baseUrl) {
     if (isSessionActive) {
       setTimeout(() => {
         if (enabledSensors.gps && isSessionActive) {
-          connectGPSWebSocket(baseUrl);
+          connectGPSWebSocket();
         }
       }, 1000);
     }
@@ -754,9 +903,7 @@ function startCameraSending() {
     window.cameraManager.startCamera(cameraWs, isSessionActive);
   } else {
     // Otherwise reconnect the WebSocket
-    const protocol = window.location.protocol === 'https:' ? 'wss:' : 'ws:';
-    const baseUrl = `${protocol}//${window.location.host}`;
-    connectCameraWebSocket(baseUrl);
+    connectCameraWebSocket();
   }
 }
 
@@ -784,6 +931,9 @@ function stopCameraSending() {
 // Function to start the AR/XR session
 async function startSession() {
   try {
+    // Sensor connections need a pairing token
+    await BridgeClient.ready();
+    
     // First attempt to unlock audio for iOS to ensure it's available when needed
     // This needs to happen for ALL sessions, regardless of microphone state
     if (/iPad|iPhone|iPod/.test(navigator.userAgent) && !window.MSStream) {
@@ -823,6 +973,7 @@ async function startSession() {
     // Update global isSessionActive state
     window.isSessionActive = isSessionActive;
     xrButton.textContent = 'Stop';
+    document.getElementById('device-id').disabled = true;
     
     // Connect WebSockets first
     connectWebSockets();
@@ -945,6 +1096,7 @@ function onSessionEnded() {
 
   // Update UI
   xrButton.textContent = 'Start';
+  document.getElementById('device-id').disabled = false;
   poseDiv.textContent = 'Session ended.';
 }
 
@@ -960,8 +1112,10 @@ function onXRFrame(time, frame) {
     // Print on mobile screen
     poseDiv.textContent = text;
     
-    // Send pose data via dedicated WebSocket
-    if (poseWs && poseWs.readyState === WebSocket.OPEN) {
+    // Send pose data via dedicated WebSocket (every n-th XR frame while the bridge is saturated)
+    poseFrameCount++;
+    if (poseWs && poseWs.readyState === WebSocket.OPEN &&
+        poseFrameCount % BridgeClient.throttleFactor('pose') === 0) {
       const poseData = {
         timestamp: Date.now(),
         pose: {
@@ -8,19 +8,16 @@ class SpeechRecognitionManager {
         this.logDiv = document.getElementById('transcription-log');
         console.log('Speech Recognition Manager initialized');
         
-        // Load the keyword from config file
+        // Load the keyword from config file, then follow changes pushed by the bridge
         this.loadConfigFromServer();
+        BridgeClient.onControl('config', (message) => this.applyConfig(message.config));
     }
 
     async loadConfigFromServer() {
         try {
-            const response = await fetch('/api/config');
+            const response = await BridgeClient.apiFetch('/api/config');
             if (response.ok) {
-                const config = await response.json();
-                if (config.microphone && config.microphone.wake_word) {
-                    this.keyword = config.microphone.wake_word;
-                    console.log(`Wake word loaded from config: "${this.keyword}"`);
-                }
+                this.applyConfig(await response.json());
             } else {
                 console.error('Failed to load config:', response.statusText);
             }
@@ -29,6 +26,15 @@ class SpeechRecognitionManager {
         }
     }
 
+    // Apply the microphone section of the client config (used by the running recognizer right away)
+    applyConfig(config) {
+        if (config && config.microphone && config.microphone.wake_word &&
+            config.microphone.wake_word !== this.keyword) {
+            this.keyword = config.microphone.wake_word;
+            console.log(`Wake word loaded from config: "${this.keyword}"`);
+        }
+    }
+
     logTranscription(prompt) {
         // Log to console
         console.log(`Transcribed: "${prompt}"`);
@@ -0,0 +1,168 @@
+/**
+ * Still Capture
+ * Full-resolution photos for the bridge's capture service (mobile_sensor/camera/capture),
+ * shared by both camera managers. Photos are taken with ImageCapture.takePhoto() where the
+ * browser has it (Chrome on Android), otherwise grabbed from a copy of the camera track
+ * opened at its highest resolution (Safari).
+ *
+ * Each photo goes to the bridge on the control channel as a binary JPEG frame (see
+ * frameProtocol.js) whose sequence is the id of the capture request.
+ */
+
+const StillCapture = {
+  // JPEG quality of grabbed photos, takePhoto() photos come encoded by the camera
+  QUALITY: 0.95,
+
+  // Time the track copy gets to deliver its first frame at the new resolution
+  GRAB_TIMEOUT_MS: 5000,
+
+  isAvailable() {
+    return typeof ImageCapture !== 'undefined';
+  },
+
+  // Take request.count photos with a running video track and send them for request.id,
+  // request.interval seconds apart. Resolves with the reply fields { count, message }
+  async capture(track, facingMode, request) {
+    const method = this.isAvailable() ? 'takePhoto' : 'grabbed from video';
+    let count = 0;
+    let shooter = null;
+    try {
+      shooter = this.isAvailable() ?
+        await this.photoShooter(track, request.photo || {}) :
+        await this.grabShooter(track, request.photo || {});
+
+      for (let i = 0; i < request.count; i++) {
+        if (i > 0 && request.interval > 0) {
+          await new Promise(resolve => setTimeout(resolve, request.interval * 1000));
+        }
+        const timestamp = Date.now();
+        const blob = await shooter.take();
+        if (!this.send(await this.frame(blob, facingMode, timestamp, request.id))) {
+          throw new Error('control channel closed');
+        }
+        count++;
+      }
+      console.log(`Sent ${count} photo(s) for capture request ${request.id} (${method})`);
+      return { count, message: method };
+    } catch (error) {
+      console.error('Photo capture failed:', error);
+      return { count, message: `${method} failed: ${error.message}` };
+    } finally {
+      if (shooter) {
+        shooter.close();
+      }
+    }
+  },
+
+  // Photo settings for takePhoto() from the request, limited to what the camera offers
+  // (see ImageCapture.getPhotoCapabilities). A size of 0 asks for the largest
+  photoSettings(settings, capabilities) {
+    const photoSettings = {};
+    const size = (requested, range) =>
+      requested > 0 ? Math.min(Math.max(requested, range.min), range.max) : range.max;
+    if (capabilities.imageWidth) {
+      photoSettings.imageWidth = size(settings.image_width, capabilities.imageWidth);
+    }
+    if (capabilities.imageHeight) {
+      photoSettings.imageHeight = size(settings.image_height, capabilities.imageHeight);
+    }
+    if (settings.fill_light_mode && (capabilities.fillLightMode || []).includes(settings.fill_light_mode)) {
+      photoSettings.fillLightMode = settings.fill_light_mode;
+    }
+    if (capabilities.redEyeReduction === 'controllable') {
+      photoSettings.redEyeReduction = !!settings.red_eye_reduction;
+    }
+    return photoSettings;
+  },
+
+  // Photos with ImageCapture.takePhoto(), at the sensor's resolution
+  async photoShooter(track, settings) {
+    const imageCapture = new ImageCapture(track);
+    const photoSettings = this.photoSettings(settings, await imageCapture.getPhotoCapabilities());
+    console.log('Taking photos with', photoSettings);
+    return {
+      take: () => imageCapture.takePhoto(photoSettings),
+      close() {}
+    };
+  },
+
+  // Photos grabbed from a copy of the track raised to the requested (or highest) resolution,
+  // so the stream keeps its own
+  async grabShooter(track, settings) {
+    const copy = track.clone();
+    const capabilities = typeof copy.getCapabilities === 'function' ? copy.getCapabilities() : {};
+    const constraints = {};
+    const width = settings.image_width || (capabilities.width && capabilities.width.max);
+    const height = settings.image_height || (capabilities.height && capabilities.height.max);
+    if (width) {
+      constraints.width = { ideal: width };
+    }
+    if (height) {
+      constraints.height = { ideal: height };
+    }
+    try {
+      await copy.applyConstraints(constraints);
+    } catch (error) {
+      console.warn('Could not raise the camera resolution for the photo:', error);
+    }
+
+    const video = document.createElement('video');
+    video.muted = true;
+    video.playsInline = true;
+    video.srcObject = new MediaStream([copy]);
+    const close = () => {
+      copy.stop();
+      video.srcObject = null;
+    };
+
+    try {
+      await new Promise((resolve, reject) => {
+        const timer = setTimeout(() => reject(new Error('the camera delivered no frame')), this.GRAB_TIMEOUT_MS);
+        video.onloadeddata = () => {
+          clearTimeout(timer);
+          resolve();
+        };
+        video.play().catch(reject);
+      });
+    } catch (error) {
+      close();
+      throw error;
+    }
+
+    const canvas = document.createElement('canvas');
+    return {
+      take: () => {
+        canvas.width = video.videoWidth;
+        canvas.height = video.videoHeight;
+        canvas.getContext('2d').drawImage(video, 0, 0);
+        return new Promise((resolve, reject) => canvas.toBlob(
+          blob => (blob ? resolve(blob) : reject(new Error('JPEG encoding failed'))),
+          'image/jpeg', this.QUALITY));
+      },
+      close
+    };
+  },
+
+  // Binary frame for a photo, the sequence carries the request id
+  async frame(blob, facingMode, timestamp, requestId) {
+    const bitmap = await createImageBitmap(blob);
+    const width = bitmap.width;
+    const height = bitmap.height;
+    bitmap.close();
+    return FrameProtocol.encodeFrame({
+      format: FrameProtocol.FORMATS.JPEG,
+      flags: FrameProtocol.facingFlags(facingMode),
+      width: width,
+      height: height,
+      timestamp: timestamp,
+      sequence: requestId
+    }, await blob.arrayBuffer());
+  },
+
+  send(frame) {
+    return BridgeClient.sendControlData(frame);
+  }
+};
+
+// Export the still capture helpers
+window.StillCapture = StillCapture;
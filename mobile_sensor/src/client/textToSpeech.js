@@ -24,6 +24,9 @@ class TextToSpeech {
             voice_preference: ""
         };
         
+        // Follow config changes pushed by the bridge
+        BridgeClient.onControl('config', (message) => this.onConfigChanged(message.config));
+        
         // Initialize when created - but not immediately on iOS to avoid premature audio setup
         if (!this.isIOSDevice()) {
             this.init();
@@ -124,19 +127,9 @@ class TextToSpeech {
 
     async fetchConfig() {
         try {
-            const response = await fetch('/api/config');
+            const response = await BridgeClient.apiFetch('/api/config');
             const config = await response.json();
-            this.audioConfig = config.audio || this.audioConfig;
-            
-            // Get TTS specific parameters if available
-            if (config.audio && config.audio.tts) {
-                this.ttsParams = {
-                    rate: parseFloat(config.audio.tts.rate) || 1.0,
-                    pitch: parseFloat(config.audio.tts.pitch) || 1.0,
-                    volume: parseFloat(config.audio.tts.volume) || 1.0,
-                    voice_preference: config.audio.tts.voice_preference || ""
-                };
-            }
+            this.applyConfig(config);
             
             console.log('TTS loaded configuration:', {
                 audioConfig: this.audioConfig,
@@ -150,6 +143,42 @@ class TextToSpeech {
         }
     }
 
+    // Apply the audio section of the client config, the next utterance uses the new parameters
+    applyConfig(config) {
+        if (!config) return;
+        this.audioConfig = config.audio || this.audioConfig;
+        
+        // Get TTS specific parameters if available
+        if (config.audio && config.audio.tts) {
+            this.ttsParams = {
+                rate: parseFloat(config.audio.tts.rate) || 1.0,
+                pitch: parseFloat(config.audio.tts.pitch) || 1.0,
+                volume: parseFloat(config.audio.tts.volume) || 1.0,
+                voice_preference: config.audio.tts.voice_preference || ""
+            };
+        }
+    }
+
+    // Config pushed by the bridge while the page is open
+    onConfigChanged(config) {
+        const previousVoice = this.ttsParams.voice_preference;
+        this.applyConfig(config);
+        console.log('TTS configuration updated:', {
+            audioConfig: this.audioConfig,
+            ttsParams: this.ttsParams
+        });
+        
+        // Switched to TTS mode after startup: load voices (iOS waits for the unlock as before)
+        if (this.audioConfig.mode === 'tts' && this.audioConfig.enabled && !this.isReady &&
+            !this.initInProgress && (!this.isIOSDevice() || this.audioUnlocked)) {
+            this.initVoices();
+        } else if (this.isReady && this.ttsParams.voice_preference !== previousVoice) {
+            // Pick the voice again for the new preference
+            this.selectedVoice = null;
+            this.initVoices();
+        }
+    }
+
     async initVoices() {
         return new Promise((resolve) => {
             const loadVoices = () => {
@@ -492,9 +521,7 @@ class TextToSpeech {
         
         this.autoReconnect = true;
         
-        const protocol = window.location.protocol === 'https:' ? 'wss:' : 'ws:';
-        const host = window.location.host;
-        const wsUrl = `${protocol}//${host}/tts`;
+        const wsUrl = BridgeClient.socketUrl('/tts');
         
         console.log(`Connecting to WebSocket at ${wsUrl}`);
         
@@ -0,0 +1,156 @@
+/**
+ * H.264 Video Stream
+ * Encodes camera frames with the WebCodecs VideoEncoder and sends every access unit
+ * over the camera socket as a binary frame (format H264, keyframe flag on keyframes).
+ * Used by both camera managers when camera.codec is "h264".
+ *
+ * Frames are numbered from 0 per encoder, so the bridge can spot lost frames and ask
+ * for a keyframe ({ type: 'keyframe' } on the camera socket or the control channel).
+ * An encoder error closes the encoder for good; the stream then calls onFailure once,
+ * and the camera manager goes on with JPEG frames.
+ */
+
+class VideoStream {
+  // Constrained Baseline profile at the lowest level that fits the frame size at 30 FPS:
+  // [maximum 16x16 macroblocks per frame, codec string]
+  static LEVELS = [
+    [1620, 'avc1.42E01E'], // 3.0, 720x576
+    [3600, 'avc1.42E01F'], // 3.1, 1280x720
+    [8192, 'avc1.42E028'], // 4.0, 1920x1080
+    [22080, 'avc1.42E032'], // 5.0, 2560x1920
+    [36864, 'avc1.42E033'] // 5.1, 4096x2304
+  ];
+
+  // Frames waiting in the encoder before new ones are skipped
+  static MAX_ENCODE_QUEUE = 2;
+
+  static isAvailable() {
+    return typeof VideoEncoder !== 'undefined' && typeof VideoFrame !== 'undefined';
+  }
+
+  // Create a stream for the given settings, or null if the browser cannot encode H.264.
+  // onFailure(error) is called when the encoder fails while streaming
+  static async create(ws, settings, onFailure = null) {
+    if (!VideoStream.isAvailable()) {
+      console.warn('WebCodecs VideoEncoder not available, streaming JPEG');
+      return null;
+    }
+    const stream = new VideoStream(ws, settings, onFailure);
+    const support = await VideoEncoder.isConfigSupported(stream.encoderConfig());
+    if (!support.supported) {
+      console.warn('H.264 encoding not supported by this browser, streaming JPEG');
+      return null;
+    }
+    stream.configure(settings);
+    return stream;
+  }
+
+  // settings: { width, height, fps, bitrate (kbit/s), keyframeInterval (s), facingMode }
+  constructor(ws, settings, onFailure = null) {
+    this.ws = ws;
+    this.onFailure = onFailure;
+    this.failed = false;
+    this.settings = Object.assign({}, settings);
+    this.sequence = 0;
+    this.lastKeyframeAt = 0;
+    this.keyframeRequested = true;
+    this.encoder = new VideoEncoder({
+      output: (chunk) => this.sendChunk(chunk),
+      error: (error) => this.fail(error)
+    });
+  }
+
+  // The encoder is closed after an error, so nothing more gets encoded
+  fail(error) {
+    console.error('Video encoder error:', error);
+    if (this.failed) return;
+    this.failed = true;
+    if (this.onFailure) {
+      this.onFailure(error);
+    }
+  }
+
+  // Codec string for the configured frame size
+  codec() {
+    const macroblocks = Math.ceil(this.settings.width / 16) * Math.ceil(this.settings.height / 16);
+    const level = VideoStream.LEVELS.find(([maximum]) => macroblocks <= maximum) ||
+      VideoStream.LEVELS[VideoStream.LEVELS.length - 1];
+    return level[1];
+  }
+
+  encoderConfig() {
+    return {
+      codec: this.codec(),
+      width: this.settings.width,
+      height: this.settings.height,
+      bitrate: this.settings.bitrate * 1000,
+      framerate: this.settings.fps,
+      latencyMode: 'realtime',
+      avc: { format: 'annexb' } // SPS and PPS in-band, before every keyframe
+    };
+  }
+
+  // Apply new settings (bitrate, fps, keyframe interval, frame size) to the running encoder
+  configure(settings) {
+    Object.assign(this.settings, settings);
+    if (this.encoder.state === 'closed') return;
+    this.encoder.configure(this.encoderConfig());
+    // Start the new configuration with a keyframe
+    this.keyframeRequested = true;
+    console.log(`H.264 encoder: ${this.settings.width}x${this.settings.height}, ` +
+      `${this.settings.bitrate} kbit/s, keyframe every ${this.settings.keyframeInterval} s`);
+  }
+
+  // Encode the current content of a canvas (or a VideoFrame source) captured at timestamp (ms)
+  encode(source, timestamp) {
+    if (this.encoder.state !== 'configured') return false;
+    // Skip frames rather than build up latency when the encoder falls behind
+    if (this.encoder.encodeQueueSize > VideoStream.MAX_ENCODE_QUEUE) return false;
+
+    const keyFrame = this.keyframeRequested ||
+      timestamp - this.lastKeyframeAt >= this.settings.keyframeInterval * 1000;
+    if (keyFrame) {
+      this.keyframeRequested = false;
+      this.lastKeyframeAt = timestamp;
+    }
+
+    // The VideoFrame timestamp (µs) carries the capture time through the encoder
+    const frame = new VideoFrame(source, { timestamp: timestamp * 1000 });
+    try {
+      this.encoder.encode(frame, { keyFrame });
+    } finally {
+      frame.close();
+    }
+    return true;
+  }
+
+  requestKeyframe() {
+    this.keyframeRequested = true;
+  }
+
+  sendChunk(chunk) {
+    if (!this.ws || this.ws.readyState !== WebSocket.OPEN) return;
+
+    const data = new Uint8Array(chunk.byteLength);
+    chunk.copyTo(data);
+    const keyframe = chunk.type === 'key';
+    this.ws.send(FrameProtocol.encodeFrame({
+      format: FrameProtocol.FORMATS.H264,
+      flags: FrameProtocol.facingFlags(this.settings.facingMode) | (keyframe ? FrameProtocol.FLAGS.KEYFRAME : 0),
+      width: this.settings.width,
+      height: this.settings.height,
+      timestamp: chunk.timestamp / 1000,
+      sequence: this.sequence++
+    }, data.buffer));
+  }
+
+  close() {
+    if (this.encoder.state !== 'closed') {
+      this.encoder.close();
+    }
+    this.ws = null;
+  }
+}
+
+// Export the video stream
+window.VideoStream = VideoStream;
@@ -0,0 +1,247 @@
+/**
+ * Pairing and Token Authentication
+ * Phones pair once with a one-time code printed at startup and receive a token
+ * that must accompany every API request and WebSocket upgrade
+ */
+const crypto = require('crypto');
+const Logger = require('./logger');
+
+// Failed pairing attempts allowed per address within the window
+const MAX_PAIRING_ATTEMPTS = 5;
+const PAIRING_WINDOW_MS = 60 * 1000;
+
+// Authentication settings (updated from config in initAuth)
+let settings = {
+  enabled: true,        // Require pairing before phones can stream
+  allowLocalhost: true  // Requests from this machine skip pairing
+};
+
+// Current one-time pairing code
+let pairingCode = null;
+
+// Issued tokens keyed by token value: { id, label, address, createdAt, lastUsed }
+const tokens = new Map();
+
+// Failed pairing attempts keyed by address: { count, windowStart }
+const pairingAttempts = new Map();
+
+// Listeners notified when a token is revoked (used to drop open connections)
+const revokeListeners = [];
+
+// Listeners notified when the pairing code changes (used to reprint the QR codes)
+const pairingCodeListeners = [];
+
+// Initialize authentication from config and generate the first pairing code
+function initAuth(config = {}) {
+  const security = config.security || {};
+  if (security.pairing !== undefined) {
+    settings.enabled = security.pairing === true;
+  }
+  if (security.allow_localhost !== undefined) {
+    settings.allowLocalhost = security.allow_localhost === true;
+  }
+  // Behind a proxy on this machine every phone would count as localhost. Plain HTTP is
+  // only served behind a proxy, which may not be trusted to pass on the phone's address
+  const server = config.server || {};
+  if (settings.allowLocalhost && (server.trust_proxy === true || server.protocol === 'http')) {
+    settings.allowLocalhost = false;
+    const reason = server.trust_proxy === true ? 'server.trust_proxy' : 'server.protocol http';
+    Logger.warn('AUTH', `security.allow_localhost is ignored with ${reason}, local clients have to pair too`);
+  }
+
+  if (settings.enabled) {
+    rotatePairingCode();
+  } else {
+    Logger.warn('AUTH', 'Pairing disabled - any device on the network can connect');
+  }
+}
+
+function isEnabled() {
+  return settings.enabled;
+}
+
+function getPairingCode() {
+  return pairingCode;
+}
+
+// Generate a new 6 digit pairing code
+function rotatePairingCode() {
+  pairingCode = crypto.randomInt(0, 1000000).toString().padStart(6, '0');
+  return pairingCode;
+}
+
+// Log a security relevant event
+function audit(message) {
+  Logger.info('AUDIT', message);
+}
+
+// Compare two strings without leaking timing information
+function safeEqual(a, b) {
+  const bufferA = Buffer.from(String(a));
+  const bufferB = Buffer.from(String(b));
+  return bufferA.length === bufferB.length && crypto.timingSafeEqual(bufferA, bufferB);
+}
+
+// Track failed attempts, returns true if the address is currently locked out
+function isRateLimited(address) {
+  const attempts = pairingAttempts.get(address);
+  if (!attempts) return false;
+  if (Date.now() - attempts.windowStart > PAIRING_WINDOW_MS) {
+    pairingAttempts.delete(address);
+    return false;
+  }
+  return attempts.count >= MAX_PAIRING_ATTEMPTS;
+}
+
+function recordFailedAttempt(address) {
+  const attempts = pairingAttempts.get(address);
+  if (!attempts || Date.now() - attempts.windowStart > PAIRING_WINDOW_MS) {
+    pairingAttempts.set(address, { count: 1, windowStart: Date.now() });
+  } else {
+    attempts.count++;
+  }
+}
+
+// Exchange a pairing code for a token
+// Returns { token, id } on success or { error, status } on failure
+function pair(code, address, label = '') {
+  if (!settings.enabled) {
+    return { error: 'Pairing is disabled', status: 400 };
+  }
+
+  if (isRateLimited(address)) {
+    audit(`Pairing rejected for ${address}: too many attempts`);
+    return { error: 'Too many attempts, try again later', status: 429 };
+  }
+
+  if (!code || !safeEqual(String(code).trim(), pairingCode)) {
+    recordFailedAttempt(address);
+    audit(`Pairing failed for ${address}: invalid code`);
+    return { error: 'Invalid pairing code', status: 403 };
+  }
+
+  const token = crypto.randomBytes(24).toString('base64url');
+  const record = {
+    id: crypto.randomBytes(4).toString('hex'),
+    label: String(label || '').slice(0, 64),
+    address: address,
+    createdAt: new Date().toISOString(),
+    lastUsed: null
+  };
+  tokens.set(token, record);
+  pairingAttempts.delete(address);
+
+  // The code is single use, issue a fresh one for the next phone
+  rotatePairingCode();
+  pairingCodeListeners.forEach(listener => listener(pairingCode));
+  audit(`Paired ${address}${record.label ? ` (${record.label})` : ''} as token ${record.id}`);
+  Logger.info('AUTH', `New pairing code: ${pairingCode}`);
+
+  return { token, id: record.id };
+}
+
+// Look up a token, returns its record or null
+function validateToken(token) {
+  if (!token) return null;
+  const record = tokens.get(token);
+  if (record) {
+    record.lastUsed = new Date().toISOString();
+  }
+  return record || null;
+}
+
+// Revoke a token by its id, returns true if one was removed
+function revokeToken(id) {
+  for (const [token, record] of tokens) {
+    if (record.id === id) {
+      tokens.delete(token);
+      audit(`Revoked token ${id}`);
+      revokeListeners.forEach(listener => listener(id));
+      return true;
+    }
+  }
+  return false;
+}
+
+// Revoke every issued token
+function revokeAllTokens() {
+  const ids = Array.from(tokens.values()).map(record => record.id);
+  ids.forEach(revokeToken);
+  return ids.length;
+}
+
+function listTokens() {
+  return Array.from(tokens.values()).map(record => Object.assign({}, record));
+}
+
+function onTokenRevoked(listener) {
+  revokeListeners.push(listener);
+}
+
+function onPairingCodeChanged(listener) {
+  pairingCodeListeners.push(listener);
+}
+
+function isLoopback(address) {
+  return address === '127.0.0.1' || address === '::1' || address === '::ffff:127.0.0.1';
+}
+
+// Read the token from the Authorization header or the ?token= query parameter
+// (browsers cannot set headers on WebSocket upgrades)
+function extractToken(request) {
+  const header = request.headers.authorization || '';
+  if (header.startsWith('Bearer ')) {
+    return header.slice(7).trim();
+  }
+  const url = new URL(request.url, 'http://localhost');
+  return url.searchParams.get('token');
+}
+
+// Decide whether a request may proceed
+// Returns { allowed, tokenId, reason }
+function authorizeRequest(request, address) {
+  if (!settings.enabled) {
+    return { allowed: true, tokenId: null };
+  }
+  if (settings.allowLocalhost && isLoopback(address)) {
+    return { allowed: true, tokenId: null };
+  }
+
+  const token = extractToken(request);
+  if (!token) {
+    return { allowed: false, reason: 'missing token' };
+  }
+  const record = validateToken(token);
+  if (!record) {
+    return { allowed: false, reason: 'invalid or revoked token' };
+  }
+  return { allowed: true, tokenId: record.id };
+}
+
+// Express middleware rejecting unauthenticated API requests
+function requireAuth(req, res, next) {
+  const result = authorizeRequest(req, req.ip);
+  if (!result.allowed) {
+    audit(`Rejected ${req.method} ${req.originalUrl.split('?')[0]} from ${req.ip}: ${result.reason}`);
+    res.status(401).json({ error: 'Pairing required' });
+    return;
+  }
+  req.tokenId = result.tokenId;
+  next();
+}
+
+module.exports = {
+  initAuth,
+  isEnabled,
+  getPairingCode,
+  pair,
+  validateToken,
+  revokeToken,
+  revokeAllTokens,
+  listTokens,
+  onTokenRevoked,
+  onPairingCodeChanged,
+  authorizeRequest,
+  requireAuth,
+  audit
+};
@@ -0,0 +1,176 @@
+/**
+ * Camera Calibration
+ * Loads the intrinsics published in CameraInfo from camera_calibration YAML files
+ * (the format written by the ROS camera_calibration and camera_info_manager
+ * packages), one per device and camera facing:
+ *
+ *   <calibration.directory>/<device>_<facing>.yaml
+ *     default_environment.yaml    back camera of a phone without a Device ID
+ *     phone_front_user.yaml       front camera of the phone with Device ID phone_front
+ *
+ * A calibration is scaled to the streamed resolution, so one made at 1280x960
+ * still holds when the phone streams 640x480. Files are re-read when they change,
+ * and set_camera_info (see ros_interface.js) writes them.
+ */
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const Logger = require('./logger');
+
+const PACKAGE_ROOT = path.join(__dirname, '../..');
+
+// Relative aspect ratio difference above which a scaled calibration is reported as suspect
+const ASPECT_TOLERANCE = 0.01;
+
+let settings = {
+  directory: path.join(PACKAGE_ROOT, 'config/calibration')
+};
+
+// File path -> { mtimeMs, calibration } (calibration is null for an invalid file)
+const cache = new Map();
+
+// Calibration files already reported for an aspect ratio mismatch
+const aspectWarnings = new Set();
+
+function initCameraCalibration(config = {}) {
+  const calibration = config.calibration || {};
+  if (calibration.directory !== undefined) {
+    const directory = path.resolve(PACKAGE_ROOT, calibration.directory);
+    if (directory !== settings.directory) {
+      settings.directory = directory;
+      cache.clear();
+      Logger.info('ROS', `Camera calibrations from ${directory}`);
+    }
+  }
+}
+
+// '' (default device) -> default_environment.yaml
+function calibrationFile(deviceId, facing) {
+  return path.join(settings.directory, `${deviceId || 'default'}_${facing}.yaml`);
+}
+
+function readMatrix(content, key, size) {
+  const matrix = content[key];
+  const data = matrix && Array.isArray(matrix.data) ? matrix.data.map(Number) : null;
+  if (!data || (size && data.length !== size) || data.some(value => !Number.isFinite(value))) {
+    throw new Error(`${key} must have ${size ? `${size} ` : ''}numeric data values`);
+  }
+  return data;
+}
+
+// Parse a camera_calibration YAML file into CameraInfo fields at the calibrated size
+function parseCalibration(text) {
+  const content = yaml.load(text) || {};
+  const width = Number(content.image_width);
+  const height = Number(content.image_height);
+  if (!(width > 0) || !(height > 0)) {
+    throw new Error('image_width and image_height must be positive');
+  }
+  return {
+    width,
+    height,
+    cameraName: content.camera_name || '',
+    distortionModel: content.distortion_model || 'plumb_bob',
+    d: content.distortion_coefficients ? readMatrix(content, 'distortion_coefficients') : [],
+    k: readMatrix(content, 'camera_matrix', 9),
+    r: content.rectification_matrix ? readMatrix(content, 'rectification_matrix', 9) : [1, 0, 0, 0, 1, 0, 0, 0, 1],
+    p: readMatrix(content, 'projection_matrix', 12)
+  };
+}
+
+// Calibration for a device and facing, or null if there is no (valid) file
+function loadCalibration(deviceId, facing) {
+  const file = calibrationFile(deviceId, facing);
+  let stats;
+  try {
+    stats = fs.statSync(file);
+  } catch (error) {
+    cache.delete(file);
+    return null;
+  }
+
+  const cached = cache.get(file);
+  if (cached && cached.mtimeMs === stats.mtimeMs) {
+    return cached.calibration;
+  }
+
+  let calibration = null;
+  try {
+    calibration = parseCalibration(fs.readFileSync(file, 'utf8'));
+    Logger.info('ROS', `Loaded camera calibration ${path.basename(file)} (${calibration.width}x${calibration.height})`);
+  } catch (error) {
+    Logger.error('ROS', `Ignoring camera calibration ${file}: ${error.message}`);
+  }
+  cache.set(file, { mtimeMs: stats.mtimeMs, calibration });
+  aspectWarnings.delete(file);
+  return calibration;
+}
+
+// Scale the first row of a row-major matrix by sx and the second by sy (K and P)
+function scaleRows(matrix, columns, sx, sy) {
+  return matrix.map((value, index) => {
+    const row = Math.floor(index / columns);
+    return row === 0 ? value * sx : row === 1 ? value * sy : value;
+  });
+}
+
+// CameraInfo fields (distortion_model, d, k, r, p) for an image of the given size,
+// null if the device has no calibration for this facing
+function getCalibration(deviceId, facing, width, height) {
+  const calibration = loadCalibration(deviceId, facing);
+  if (!calibration) return null;
+
+  const sx = width / calibration.width;
+  const sy = height / calibration.height;
+  const file = calibrationFile(deviceId, facing);
+  if (Math.abs(sx / sy - 1) > ASPECT_TOLERANCE && !aspectWarnings.has(file)) {
+    aspectWarnings.add(file);
+    Logger.warn('ROS', `Camera calibration ${path.basename(file)} was made at ${calibration.width}x${calibration.height}, ` +
+      `streaming ${width}x${height} has a different aspect ratio, recalibrate at this resolution`);
+  }
+
+  return {
+    distortion_model: calibration.distortionModel,
+    d: calibration.d,
+    k: scaleRows(calibration.k, 3, sx, sy),
+    r: calibration.r,
+    p: scaleRows(calibration.p, 4, sx, sy)
+  };
+}
+
+function formatMatrix(rows, cols, data) {
+  return { rows, cols, data: Array.from(data, Number) };
+}
+
+// Store a CameraInfo message (from sensor_msgs/srv/SetCameraInfo) as the calibration
+// of a device and facing, throws if it cannot be written
+function saveCalibration(deviceId, facing, cameraInfo) {
+  if (!(cameraInfo.width > 0) || !(cameraInfo.height > 0)) {
+    throw new Error('camera_info has no image size');
+  }
+  const file = calibrationFile(deviceId, facing);
+  const content = {
+    image_width: cameraInfo.width,
+    image_height: cameraInfo.height,
+    camera_name: `${deviceId || 'default'}_${facing}`,
+    camera_matrix: formatMatrix(3, 3, cameraInfo.k),
+    distortion_model: cameraInfo.distortion_model || 'plumb_bob',
+    distortion_coefficients: formatMatrix(1, cameraInfo.d.length, cameraInfo.d),
+    rectification_matrix: formatMatrix(3, 3, cameraInfo.r),
+    projection_matrix: formatMatrix(3, 4, cameraInfo.p)
+  };
+
+  fs.mkdirSync(settings.directory, { recursive: true });
+  // Matrix data on one line, as camera_calibration writes it
+  fs.writeFileSync(file, yaml.dump(content, { flowLevel: 2 }));
+  cache.delete(file);
+  Logger.success('ROS', `Saved camera calibration ${file}`);
+  return file;
+}
+
+module.exports = {
+  initCameraCalibration,
+  calibrationFile,
+  getCalibration,
+  saveCalibration
+};
@@ -0,0 +1,277 @@
+/**
+ * Certificate Management
+ * Generates and renews the HTTPS certificate so phones can connect without
+ * running generate_ssl_cert.sh first, optionally signed by a local CA that
+ * phones install once
+ */
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const forge = require('node-forge');
+const Logger = require('./logger');
+
+const SSL_DIR = path.join(__dirname, '../ssl');
+const KEY_FILE = path.join(SSL_DIR, 'key.pem');
+const CERT_FILE = path.join(SSL_DIR, 'cert.pem');
+const CA_KEY_FILE = path.join(SSL_DIR, 'ca-key.pem');
+const CA_CERT_FILE = path.join(SSL_DIR, 'ca.pem');
+// Marks certificates created by the bridge, only those are ever replaced
+const METADATA_FILE = path.join(SSL_DIR, 'bridge-cert.json');
+
+const CA_VALID_DAYS = 3650;
+const DAY_MS = 24 * 60 * 60 * 1000;
+// How often a running bridge checks for expiry and IP changes
+const CHECK_INTERVAL_MS = 60 * 60 * 1000;
+
+// Certificate settings (updated from config in initCertificates)
+let settings = {
+  autoGenerate: true,   // Create the certificate when missing and renew it when needed
+  validDays: 365,       // Leaf certificate lifetime (iOS rejects trusted certs valid for more than 398 days)
+  renewBeforeDays: 30,  // Renew this many days before expiry
+  extraHosts: [],       // Additional hostnames/IPs to include (e.g. the Docker host IP)
+  localCa: false        // Sign with a local CA instead of self-signing
+};
+
+let checkInterval = null;
+
+function initCertificates(config = {}) {
+  const ssl = config.ssl || {};
+  if (ssl.auto_generate !== undefined) {
+    settings.autoGenerate = ssl.auto_generate === true;
+  }
+  if (ssl.valid_days !== undefined) {
+    settings.validDays = Number(ssl.valid_days);
+  }
+  if (ssl.renew_before_days !== undefined) {
+    settings.renewBeforeDays = Number(ssl.renew_before_days);
+  }
+  if (Array.isArray(ssl.extra_hosts)) {
+    settings.extraHosts = ssl.extra_hosts.map(String);
+  }
+  if (ssl.local_ca !== undefined) {
+    settings.localCa = ssl.local_ca === true;
+  }
+}
+
+function isLocalCaEnabled() {
+  return settings.localCa;
+}
+
+// Every name a phone may use to reach this machine
+function getLocalHosts() {
+  const hostname = os.hostname();
+  const hosts = ['localhost', hostname, `${hostname}.local`, '127.0.0.1'];
+
+  const nets = os.networkInterfaces();
+  for (const name of Object.keys(nets)) {
+    for (const net of nets[name]) {
+      if (net.family === 'IPv4' && !net.internal) {
+        hosts.push(net.address);
+      }
+    }
+  }
+
+  return Array.from(new Set(hosts.concat(settings.extraHosts)));
+}
+
+function isIpAddress(host) {
+  return /^\d{1,3}(\.\d{1,3}){3}$/.test(host) || host.includes(':');
+}
+
+// subjectAltName entries: type 2 = DNS name, type 7 = IP address
+function toAltNames(hosts) {
+  return hosts.map(host => isIpAddress(host) ? { type: 7, ip: host } : { type: 2, value: host });
+}
+
+function getCertificateHosts(certificate) {
+  const extension = certificate.getExtension('subjectAltName');
+  if (!extension) return [];
+  return extension.altNames.map(name => name.type === 7 ? name.ip : name.value);
+}
+
+function readMetadata() {
+  try {
+    return JSON.parse(fs.readFileSync(METADATA_FILE, 'utf8'));
+  } catch (error) {
+    return null;
+  }
+}
+
+function loadExisting() {
+  if (!fs.existsSync(KEY_FILE) || !fs.existsSync(CERT_FILE)) {
+    return null;
+  }
+  const key = fs.readFileSync(KEY_FILE);
+  const cert = fs.readFileSync(CERT_FILE);
+  return { key, cert, certificate: forge.pki.certificateFromPem(cert.toString()) };
+}
+
+// Why the certificate should be replaced, or null if it is still fine
+function renewalReason(certificate, metadata) {
+  const remaining = certificate.validity.notAfter.getTime() - Date.now();
+  if (remaining < settings.renewBeforeDays * DAY_MS) {
+    return `it expires on ${certificate.validity.notAfter.toISOString()}`;
+  }
+
+  const covered = getCertificateHosts(certificate);
+  const missing = getLocalHosts().filter(host => !covered.includes(host));
+  if (missing.length > 0) {
+    return `it does not cover ${missing.join(', ')}`;
+  }
+
+  if (metadata && Boolean(metadata.ca) !== settings.localCa) {
+    return settings.localCa ? 'it is not signed by the local CA' : 'the local CA was disabled';
+  }
+  return null;
+}
+
+function randomSerial() {
+  // Leading 01 keeps the serial positive
+  return '01' + forge.util.bytesToHex(forge.random.getBytesSync(15));
+}
+
+// Load the local CA, creating it on first use
+function ensureCa() {
+  if (fs.existsSync(CA_KEY_FILE) && fs.existsSync(CA_CERT_FILE)) {
+    return {
+      key: forge.pki.privateKeyFromPem(fs.readFileSync(CA_KEY_FILE, 'utf8')),
+      certificate: forge.pki.certificateFromPem(fs.readFileSync(CA_CERT_FILE, 'utf8'))
+    };
+  }
+
+  Logger.info('SSL', 'Creating local certificate authority');
+  const keys = forge.pki.rsa.generateKeyPair(2048);
+  const certificate = forge.pki.createCertificate();
+  const subject = [{ name: 'commonName', value: `Mobile Sensor Bridge CA (${os.hostname()})` }];
+
+  certificate.publicKey = keys.publicKey;
+  certificate.serialNumber = randomSerial();
+  certificate.validity.notBefore = new Date(Date.now() - DAY_MS);
+  certificate.validity.notAfter = new Date(Date.now() + CA_VALID_DAYS * DAY_MS);
+  certificate.setSubject(subject);
+  certificate.setIssuer(subject);
+  certificate.setExtensions([
+    { name: 'basicConstraints', cA: true, critical: true },
+    { name: 'keyUsage', keyCertSign: true, cRLSign: true, critical: true },
+    { name: 'subjectKeyIdentifier' }
+  ]);
+  certificate.sign(keys.privateKey, forge.md.sha256.create());
+
+  fs.writeFileSync(CA_KEY_FILE, forge.pki.privateKeyToPem(keys.privateKey), { mode: 0o600 });
+  fs.writeFileSync(CA_CERT_FILE, forge.pki.certificateToPem(certificate));
+  Logger.success('SSL', `Local CA written to ${CA_CERT_FILE}`);
+
+  return { key: keys.privateKey, certificate };
+}
+
+// Create a server certificate for all local hosts and write it to the ssl folder
+function generateCertificate(reason) {
+  const hosts = getLocalHosts();
+  Logger.info('SSL', `Generating certificate (${reason})`);
+
+  fs.mkdirSync(SSL_DIR, { recursive: true });
+  const keys = forge.pki.rsa.generateKeyPair(2048);
+  const certificate = forge.pki.createCertificate();
+
+  certificate.publicKey = keys.publicKey;
+  certificate.serialNumber = randomSerial();
+  certificate.validity.notBefore = new Date(Date.now() - DAY_MS);
+  certificate.validity.notAfter = new Date(Date.now() + settings.validDays * DAY_MS);
+  certificate.setSubject([{ name: 'commonName', value: os.hostname() }]);
+  certificate.setExtensions([
+    { name: 'basicConstraints', cA: false },
+    { name: 'keyUsage', digitalSignature: true, keyEncipherment: true, critical: true },
+    { name: 'extKeyUsage', serverAuth: true },
+    { name: 'subjectAltName', altNames: toAltNames(hosts) }
+  ]);
+
+  if (settings.localCa) {
+    const ca = ensureCa();
+    certificate.setIssuer(ca.certificate.subject.attributes);
+    certificate.sign(ca.key, forge.md.sha256.create());
+  } else {
+    certificate.setIssuer(certificate.subject.attributes);
+    certificate.sign(keys.privateKey, forge.md.sha256.create());
+  }
+
+  const key = forge.pki.privateKeyToPem(keys.privateKey);
+  const cert = forge.pki.certificateToPem(certificate);
+  fs.writeFileSync(KEY_FILE, key, { mode: 0o600 });
+  fs.writeFileSync(CERT_FILE, cert);
+  fs.writeFileSync(METADATA_FILE, JSON.stringify({
+    created: new Date().toISOString(),
+    expires: certificate.validity.notAfter.toISOString(),
+    ca: settings.localCa,
+    hosts: hosts
+  }, null, 2));
+
+  Logger.success('SSL', `Certificate valid for ${hosts.join(', ')} until ${certificate.validity.notAfter.toISOString()}`);
+  return { key: Buffer.from(key), cert: Buffer.from(cert) };
+}
+
+// Key and certificate for the HTTPS server, generating or renewing them when needed
+// Certificates not created by the bridge are never replaced, only warned about
+function ensureCertificate() {
+  const existing = loadExisting();
+  if (!existing) {
+    if (!settings.autoGenerate) {
+      throw new Error(`No certificate found in ${SSL_DIR} (run generate_ssl_cert.sh or set ssl.auto_generate: true)`);
+    }
+    return generateCertificate('no certificate found');
+  }
+
+  const metadata = readMetadata();
+  const reason = renewalReason(existing.certificate, metadata);
+  if (reason) {
+    if (settings.autoGenerate && metadata) {
+      return generateCertificate(`renewing because ${reason}`);
+    }
+    Logger.warn('SSL', `Certificate in ${SSL_DIR} should be replaced: ${reason}`);
+  }
+
+  return { key: existing.key, cert: existing.cert };
+}
+
+// Periodically re-check the certificate and swap it into the running server
+function watchCertificate(server) {
+  if (!settings.autoGenerate || checkInterval) return;
+
+  checkInterval = setInterval(() => {
+    try {
+      const before = fs.existsSync(CERT_FILE) ? fs.readFileSync(CERT_FILE, 'utf8') : null;
+      const credentials = ensureCertificate();
+      if (credentials.cert.toString() !== before) {
+        server.setSecureContext(credentials);
+        Logger.info('SSL', 'Reloaded renewed certificate');
+      }
+    } catch (error) {
+      Logger.error('SSL', `Certificate check failed: ${error.message}`);
+    }
+  }, CHECK_INTERVAL_MS);
+  checkInterval.unref();
+}
+
+function stopWatching() {
+  if (checkInterval) {
+    clearInterval(checkInterval);
+    checkInterval = null;
+  }
+}
+
+// Root certificate of the local CA (PEM), or null when the CA is disabled
+function getCaCertificate() {
+  if (!settings.localCa || !fs.existsSync(CA_CERT_FILE)) {
+    return null;
+  }
+  return fs.readFileSync(CA_CERT_FILE);
+}
+
+module.exports = {
+  initCertificates,
+  isLocalCaEnabled,
+  getLocalHosts,
+  ensureCertificate,
+  watchCertificate,
+  stopWatching,
+  getCaCertificate
+};
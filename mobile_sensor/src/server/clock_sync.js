@@ -0,0 +1,196 @@
+/**
+ * Clock Synchronization
+ * NTP-style ping/pong over each sensor socket to estimate how far the phone's
+ * clock is from the bridge's, so device timestamps can be moved to server time
+ * before they end up in header.stamp.
+ *
+ *   server -> phone  { type: 'clock', id, t0 }            t0 = server send time
+ *   phone -> server  { type: 'clock', id, t0, t1, t2 }    t1/t2 = phone receive/send time
+ *   server receives the reply at t3
+ *
+ *   offset = ((t1 - t0) + (t2 - t3)) / 2    (phone clock minus server clock)
+ *   delay  = (t3 - t0) - (t2 - t1)          (network round trip)
+ *
+ * The sample with the smallest round trip gives the offset (uncertainty = delay / 2),
+ * drift is the slope of the offsets over time.
+ */
+const Logger = require('./logger');
+
+// Samples kept per connection
+const MAX_SAMPLES = 16;
+// Quick pings right after connecting so an estimate is available early
+const INITIAL_PINGS = 5;
+const INITIAL_INTERVAL_MS = 200;
+// Drift needs samples spread over at least this long
+const MIN_DRIFT_SPAN_MS = 10000;
+// How often the current estimate is logged per connection
+const LOG_INTERVAL_MS = 60000;
+
+// Prefix of every clock reply, lets the message handler skip JSON parsing for everything else
+const REPLY_PREFIX = '{"type":"clock"';
+
+// Clock sync settings (updated from config in initClockSync)
+let settings = {
+  enabled: true,
+  intervalMs: 2000   // Ping interval once the initial burst is done
+};
+
+// Active estimators, for the status endpoints
+const estimators = new Set();
+
+function initClockSync(config = {}) {
+  const clockSync = config.clock_sync || {};
+  if (clockSync.enabled !== undefined) {
+    settings.enabled = clockSync.enabled === true;
+  }
+  if (clockSync.interval !== undefined) {
+    settings.intervalMs = Math.max(100, Number(clockSync.interval) * 1000);
+  }
+}
+
+// Start pinging a sensor connection (stream and device name it in logs and status)
+function attachClockSync(ws, stream, deviceId) {
+  if (!settings.enabled) return;
+
+  const estimator = {
+    stream,
+    deviceId,
+    samples: [],
+    nextId: 1,
+    pending: new Map(),
+    offset: null,
+    uncertainty: null,
+    drift: 0,
+    reference: 0,
+    lastLogAt: 0
+  };
+  ws.clockSync = estimator;
+  estimators.add(estimator);
+
+  let pings = 0;
+  let timer = null;
+
+  const ping = () => {
+    if (ws.readyState !== ws.OPEN) return;
+    const id = estimator.nextId++;
+    const t0 = Date.now();
+    estimator.pending.set(id, t0);
+    // Forget pings the phone never answered (old clients ignore them)
+    if (estimator.pending.size > MAX_SAMPLES) {
+      estimator.pending.delete(estimator.pending.keys().next().value);
+    }
+    try {
+      ws.send(JSON.stringify({ type: 'clock', id, t0 }));
+    } catch (error) {
+      Logger.debug('CLOCK', `Failed to send clock ping: ${error.message}`);
+    }
+
+    pings++;
+    timer = setTimeout(ping, pings < INITIAL_PINGS ? INITIAL_INTERVAL_MS : settings.intervalMs);
+  };
+
+  ping();
+  ws.on('close', () => {
+    clearTimeout(timer);
+    estimators.delete(estimator);
+  });
+}
+
+// Handle a clock reply, returns false if the message is not one
+function handleClockReply(ws, message, isBinary) {
+  if (isBinary || !ws.clockSync || message.length > 256) return false;
+  const text = message.toString();
+  if (!text.startsWith(REPLY_PREFIX)) return false;
+
+  const t3 = Date.now();
+  const estimator = ws.clockSync;
+  try {
+    const reply = JSON.parse(text);
+    const t0 = estimator.pending.get(reply.id);
+    if (t0 === undefined || reply.t0 !== t0) return true;
+    estimator.pending.delete(reply.id);
+
+    addSample(estimator, {
+      time: t3,
+      offset: ((reply.t1 - t0) + (reply.t2 - t3)) / 2,
+      delay: Math.max(0, (t3 - t0) - (reply.t2 - reply.t1))
+    });
+  } catch (error) {
+    Logger.debug('CLOCK', `Invalid clock reply: ${error.message}`);
+  }
+  return true;
+}
+
+function addSample(estimator, sample) {
+  estimator.samples.push(sample);
+  if (estimator.samples.length > MAX_SAMPLES) {
+    estimator.samples.shift();
+  }
+
+  // Smallest round trip is the least affected by queuing delays
+  const best = estimator.samples.reduce((a, b) => (b.delay < a.delay ? b : a));
+  estimator.offset = best.offset;
+  estimator.uncertainty = best.delay / 2;
+  estimator.reference = best.time;
+  estimator.drift = estimateDrift(estimator.samples, best.delay);
+
+  const first = estimator.lastLogAt === 0;
+  if (first || sample.time - estimator.lastLogAt >= LOG_INTERVAL_MS) {
+    estimator.lastLogAt = sample.time;
+    Logger.info('CLOCK', `${describe(estimator)}: offset ${estimator.offset.toFixed(1)} ms ` +
+      `± ${estimator.uncertainty.toFixed(1)} ms, drift ${(estimator.drift * 1e6).toFixed(1)} ppm`);
+  }
+}
+
+// Least-squares slope of offset over time, using only samples with a short round trip
+function estimateDrift(samples, minDelay) {
+  const good = samples.filter(sample => sample.delay <= minDelay * 2 + 1);
+  if (good.length < 4 || good[good.length - 1].time - good[0].time < MIN_DRIFT_SPAN_MS) {
+    return 0;
+  }
+
+  const meanTime = good.reduce((sum, s) => sum + s.time, 0) / good.length;
+  const meanOffset = good.reduce((sum, s) => sum + s.offset, 0) / good.length;
+  let numerator = 0;
+  let denominator = 0;
+  for (const sample of good) {
+    numerator += (sample.time - meanTime) * (sample.offset - meanOffset);
+    denominator += (sample.time - meanTime) ** 2;
+  }
+  return denominator > 0 ? numerator / denominator : 0;
+}
+
+function describe(estimator) {
+  return estimator.deviceId ? `${estimator.deviceId}/${estimator.stream}` : estimator.stream;
+}
+
+// Convert a phone timestamp (ms) to server time, unchanged until an estimate exists
+function toServerTime(ws, deviceTime) {
+  const estimator = ws.clockSync;
+  if (!estimator || estimator.offset === null) {
+    return deviceTime;
+  }
+  const offset = estimator.offset + estimator.drift * (deviceTime - estimator.offset - estimator.reference);
+  return deviceTime - offset;
+}
+
+// Current estimate for every synchronized connection
+function getClockStats() {
+  return Array.from(estimators).map(estimator => ({
+    stream: estimator.stream,
+    device: estimator.deviceId || null,
+    synchronized: estimator.offset !== null,
+    offset_ms: estimator.offset,
+    uncertainty_ms: estimator.uncertainty,
+    drift_ppm: estimator.drift * 1e6,
+    samples: estimator.samples.length
+  }));
+}
+
+module.exports = {
+  initClockSync,
+  attachClockSync,
+  handleClockReply,
+  toServerTime,
+  getClockStats
+};
@@ -0,0 +1,208 @@
+/**
+ * Config Overrides
+ * Collects configuration overrides from the environment and the command line.
+ * They are applied on top of the config file, in this order (later ones win):
+ *
+ *   environment    MOBILE_SENSOR_CAMERA_FPS=15, PORT=4443, MOBILE_SENSOR_CONFIG=<file>
+ *   command line   --camera.fps=15, --port 4443, --host 127.0.0.1, --namespace robot1, --config <file>
+ *   ROS arguments  --ros-args -p camera.fps:=15 --params-file params.yaml
+ *
+ * Every config.yaml key can be set this way; keys are the dotted paths from config_schema.js.
+ * Values are parsed as YAML (15, true, [camera, imu]) and validated like the file.
+ */
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const configSchema = require('./config_schema');
+
+const ENV_PREFIX = 'MOBILE_SENSOR_';
+
+// Short command line flags for the settings changed most often
+const FLAG_ALIASES = {
+  port: 'server.port',
+  host: 'server.host',
+  namespace: 'ros.namespace'
+};
+
+// Node name whose section of a ROS params file applies to the bridge
+const NODE_NAME = 'mobile_sensor_node';
+
+// ROS parameters handled by rcl itself rather than the config
+const ROS_ONLY_PARAMETERS = ['use_sim_time'];
+
+// MOBILE_SENSOR_CLOCK_SYNC_INTERVAL -> clock_sync.interval
+function envName(keyPath) {
+  return ENV_PREFIX + keyPath.replace(/[.-]/g, '_').toUpperCase();
+}
+
+// ROS parameter names may not contain '-': debug.mobile-debug-console -> debug.mobile_debug_console
+function parameterName(keyPath) {
+  return keyPath.replace(/-/g, '_');
+}
+
+// Config key path for a ROS parameter name (unknown names are returned unchanged)
+function keyPathForParameter(name) {
+  return configSchema.leafPaths().find(keyPath => parameterName(keyPath) === name) || name;
+}
+
+function parseEnvironment(env) {
+  const result = { configFile: env.MOBILE_SENSOR_CONFIG || null, overrides: [] };
+
+  // PORT predates the other variables and is kept for existing setups
+  if (env.PORT) {
+    result.overrides.push({ path: 'server.port', value: env.PORT, source: 'PORT' });
+  }
+  for (const keyPath of configSchema.leafPaths()) {
+    const name = envName(keyPath);
+    if (env[name] !== undefined && env[name] !== '') {
+      result.overrides.push({ path: keyPath, value: env[name], source: name });
+    }
+  }
+  return result;
+}
+
+// Flatten the parameters of a params file into dotted paths
+function flattenParameters(parameters, prefix, overrides, source) {
+  for (const [key, value] of Object.entries(parameters || {})) {
+    const keyPath = prefix ? `${prefix}.${key}` : key;
+    if (value && typeof value === 'object' && !Array.isArray(value)) {
+      flattenParameters(value, keyPath, overrides, source);
+    } else {
+      overrides.push({ path: keyPathForParameter(keyPath), value, source, ros: true });
+    }
+  }
+}
+
+// Parameters for this node from a ROS params file (node name, /node, /**/node or /** sections)
+function readParamsFile(file, overrides, errors) {
+  let content;
+  try {
+    content = yaml.load(fs.readFileSync(file, 'utf8')) || {};
+  } catch (error) {
+    errors.push({ path: '', source: `--params-file ${file}`, message: error.message.split('\n')[0] });
+    return;
+  }
+
+  for (const [nodeKey, section] of Object.entries(content)) {
+    const name = nodeKey.replace(/^\/+/, '').split('/').pop();
+    if ((nodeKey === '/**' || name === NODE_NAME) && section && section.ros__parameters) {
+      flattenParameters(section.ros__parameters, '', overrides, `--params-file ${path.basename(file)}`);
+    }
+  }
+}
+
+// Arguments between --ros-args and -- (or the end): -p/--param name:=value and --params-file
+function parseRosArgs(args, index, overrides, errors) {
+  while (index < args.length && args[index] !== '--') {
+    const arg = args[index];
+    if ((arg === '-p' || arg === '--param') && index + 1 < args.length) {
+      const [name, ...rest] = args[index + 1].split(':=');
+      overrides.push({ path: keyPathForParameter(name), value: rest.join(':='), source: `-p ${name}`, ros: true });
+      index += 2;
+    } else if (arg === '--params-file' && index + 1 < args.length) {
+      readParamsFile(args[index + 1], overrides, errors);
+      index += 2;
+    } else if (arg === '--ros-args') {
+      index++;
+    } else if (arg.startsWith('-') && index + 1 < args.length && !args[index + 1].startsWith('-')) {
+      // Other ROS options (-r, --log-level, ...) take one value
+      index += 2;
+    } else {
+      index++;
+    }
+  }
+  return index;
+}
+
+function parseCommandLine(args) {
+  const result = { configFile: null, checkConfig: false, overrides: [], errors: [] };
+
+  let index = 0;
+  while (index < args.length) {
+    const arg = args[index];
+
+    if (arg === '--ros-args') {
+      index = parseRosArgs(args, index + 1, result.overrides, result.errors) + 1;
+      continue;
+    }
+    if (arg === '--check-config') {
+      result.checkConfig = true;
+      index++;
+      continue;
+    }
+    if (!arg.startsWith('--') || arg === '--') {
+      index++;
+      continue;
+    }
+
+    // --key=value or --key value, where the next argument is only a value if it is no option itself
+    let [name, value] = arg.slice(2).split(/=(.*)/s);
+    index++;
+    if (value === undefined) {
+      if (index < args.length && !args[index].startsWith('--')) {
+        value = args[index];
+        index++;
+      } else {
+        // A boolean key on its own switches it on: --debug.debug_logging
+        const keyPath = FLAG_ALIASES[name] || name;
+        const rule = configSchema.getRule(keyPath);
+        if (!rule || rule.type !== 'boolean') {
+          result.errors.push({ path: keyPath, source: `--${name}`, message: 'expects a value' });
+          continue;
+        }
+        value = 'true';
+      }
+    }
+    // An empty value leaves the setting alone (used by the launch file for unset arguments)
+    if (value === '') continue;
+
+    if (name === 'config') {
+      result.configFile = value;
+    } else {
+      result.overrides.push({ path: FLAG_ALIASES[name] || name, value, source: `--${name}` });
+    }
+  }
+  return result;
+}
+
+// Overrides from the environment and command line, in the order they apply
+function parseOverrides(args = process.argv.slice(2), env = process.env) {
+  const fromEnv = parseEnvironment(env);
+  const fromArgs = parseCommandLine(args);
+
+  return {
+    configFile: fromArgs.configFile || fromEnv.configFile,
+    checkConfig: fromArgs.checkConfig,
+    overrides: fromEnv.overrides.concat(fromArgs.overrides)
+      .filter(override => !ROS_ONLY_PARAMETERS.includes(override.path)),
+    errors: fromArgs.errors
+  };
+}
+
+// Turn an override's text into the type its key expects
+function coerce(keyPath, value) {
+  const rule = configSchema.getRule(keyPath);
+  if (typeof value !== 'string' || !rule || rule.type === 'string') {
+    return value;
+  }
+  let parsed;
+  try {
+    parsed = yaml.load(value);
+  } catch (error) {
+    return value;
+  }
+  // Lists may also be given comma separated: --connect.sensors=camera,imu
+  if (rule.type === 'array' && typeof parsed === 'string') {
+    return parsed.split(',').map(item => item.trim()).filter(Boolean);
+  }
+  return parsed;
+}
+
+module.exports = {
+  ENV_PREFIX,
+  envName,
+  parameterName,
+  keyPathForParameter,
+  parseOverrides,
+  coerce
+};
@@ -0,0 +1,432 @@
+/**
+ * Config Schema
+ * Expected sections and keys of config.yaml with their types, ranges and allowed
+ * values. Validation reports errors (wrong type, out of range, unknown option) and
+ * warnings (unknown keys, values outside the recommended range) with the key path
+ * and the line in the file, and drops unknown keys so they never reach the phones.
+ */
+
+const QUEUE_POLICIES = ['drop-oldest', 'drop-newest', 'keep-latest'];
+const SENSORS = ['camera', 'pose', 'microphone', 'audio', 'imu', 'gps'];
+
+const bool = (value, description) => ({ type: 'boolean', default: value, description });
+const queue = (policy, size) => ({
+  type: 'object',
+  properties: {
+    policy: { type: 'string', enum: QUEUE_POLICIES, default: policy, description: 'What to drop when the queue is full' },
+    size: { type: 'integer', min: 1, default: size, description: 'Messages held per connection (ignored by keep-latest)' }
+  }
+});
+
+// ROS topic name, relative (follows the namespace) or absolute, e.g. camera/image_raw or /robot/imu
+const TOPIC_NAME = /^\/?[A-Za-z_][A-Za-z0-9_]*(\/[A-Za-z_][A-Za-z0-9_]*)*$/;
+
+// Camera control modes (MediaTrack focusMode, exposureMode, whiteBalanceMode), default = leave as the camera opens
+const CONTROL_MODES = ['default', 'continuous', 'single-shot', 'manual'];
+
+const QOS_PROFILES = ['default', 'sensor_data', 'transient_local', 'system_default', 'custom'];
+
+// QoS of a topic: a preset, or 'custom' to use the individual settings
+// (rclnodejs 0.32 only passes history, depth, reliability and durability to rcl, so
+// deadline, lifespan and liveliness have no settings)
+const qos = (profile) => ({
+  type: 'object',
+  properties: {
+    profile: { type: 'string', enum: QOS_PROFILES, default: profile, description: 'QoS preset, custom uses the settings below' },
+    reliability: { type: 'string', enum: ['reliable', 'best_effort', 'system_default'], default: 'reliable', description: 'Reliability (custom profile)' },
+    durability: { type: 'string', enum: ['volatile', 'transient_local', 'system_default'], default: 'volatile', description: 'Durability (custom profile)' },
+    history: { type: 'string', enum: ['keep_last', 'keep_all', 'system_default'], default: 'keep_last', description: 'History (custom profile)' },
+    depth: { type: 'integer', min: 1, default: 10, description: 'Queue depth for keep_last (custom profile)' }
+  }
+});
+
+// Publisher or subscriber settings, frameId for messages with a header
+const topic = (name, frameId, profile = 'default', enabled = true) => ({
+  type: 'object',
+  properties: Object.assign(
+    {
+      topic: { type: 'string', pattern: TOPIC_NAME, default: name, description: 'Topic name (relative names follow the namespace)' },
+      enabled: bool(enabled, 'Create this publisher or subscriber')
+    },
+    frameId ? { frame_id: { type: 'string', minLength: 1, default: frameId, description: 'frame_id of the message headers' } } : {},
+    { qos: qos(profile) }
+  )
+});
+
+// Rule fields: type ('object' | 'array' | 'string' | 'number' | 'integer' | 'boolean'),
+// properties (object), items (array), enum, min, max, pattern, recommended: [min, max],
+// default (the value used when neither the file nor an override sets the key) and
+// description (shown by `ros2 param describe`)
+const SCHEMA = {
+  type: 'object',
+  properties: {
+    camera: {
+      type: 'object',
+      properties: {
+        quality: { type: 'number', min: 0, max: 0.9, default: 0.8, description: 'JPEG quality of camera frames' },
+        fps: { type: 'integer', min: 1, max: 30, default: 30, description: 'Camera frames per second' },
+        facingMode: { type: 'string', enum: ['environment', 'user'], default: 'environment', description: 'Back (environment) or front (user) camera' },
+        transport: { type: 'string', enum: ['binary', 'json'], default: 'binary', description: 'Frame encoding on the camera socket' },
+        camera_info_rate: { type: 'number', min: 0, default: 1.0, description: 'CameraInfo republish rate in Hz (0 = on resolution change only)' },
+        raw_encoding: { type: 'string', enum: ['rgb8', 'bgr8', 'mono8'], default: 'rgb8', description: 'Pixel encoding of the decoded image_raw topic' },
+        codec: { type: 'string', enum: ['jpeg', 'h264'], default: 'jpeg', description: 'Camera stream encoding: JPEG frames or H.264 video (WebCodecs)' },
+        bitrate: { type: 'integer', min: 100, max: 20000, default: 2000, description: 'H.264 target bitrate in kbit/s' },
+        keyframe_interval: { type: 'number', min: 0.1, max: 60, default: 2.0, description: 'Seconds between H.264 keyframes' },
+        width: { type: 'integer', min: 16, max: 3840, default: 640, description: 'Streamed frame width in pixels (letterbox and crop)' },
+        height: { type: 'integer', min: 16, max: 3840, default: 480, description: 'Streamed frame height in pixels (letterbox and crop)' },
+        scale_mode: { type: 'string', enum: ['letterbox', 'crop', 'native'], default: 'letterbox', description: 'Fit the camera image with black bars, crop it to fill the frame, or stream its own size' },
+        capture_width: { type: 'integer', min: 0, max: 3840, default: 1280, description: 'Width requested from the camera, 0 = browser default' },
+        capture_height: { type: 'integer', min: 0, max: 3840, default: 720, description: 'Height requested from the camera, 0 = browser default' },
+        channels: { type: 'array', items: { type: 'string', enum: ['back', 'front'] }, default: [], description: 'Cameras streamed at once, each on its own topics (camera_back, camera_front), empty = one camera' },
+        controls: {
+          type: 'object',
+          properties: {
+            torch: bool(false, 'Torch (flashlight) of the back camera'),
+            zoom: { type: 'number', min: 0, max: 100, default: 0, description: 'Zoom factor, 0 = as the camera opens' },
+            focus_mode: { type: 'string', enum: CONTROL_MODES, default: 'default', description: 'Focus: continuous (auto), single-shot (focus once, then lock) or manual' },
+            focus_distance: { type: 'number', min: 0, max: 1000, default: 0, description: 'Focus distance in meters with manual focus, 0 = keep the current one' },
+            exposure_mode: { type: 'string', enum: CONTROL_MODES, default: 'default', description: 'Exposure: continuous (auto), single-shot (meter once, then lock) or manual' },
+            exposure_compensation: { type: 'number', min: -10, max: 10, default: 0, description: 'Exposure compensation in EV' },
+            white_balance_mode: { type: 'string', enum: CONTROL_MODES, default: 'default', description: 'White balance: continuous (auto), single-shot (once, then lock) or manual' }
+          }
+        }
+      }
+    },
+    calibration: {
+      type: 'object',
+      properties: {
+        directory: { type: 'string', minLength: 1, default: 'config/calibration', description: 'Directory of the camera calibration files, relative to the package' }
+      }
+    },
+    imu: {
+      type: 'object',
+      properties: {
+        sample_rate: { type: 'number', min: 1, max: 100, recommended: [10, 60], default: 30, description: 'IMU sample rate in Hz' }
+      }
+    },
+    audio: {
+      type: 'object',
+      properties: {
+        mode: { type: 'string', enum: ['wav', 'mp3', 'tts'], default: 'tts', description: 'How phones play audio from ROS' },
+        enabled: bool(true, 'Enable audio playback on the phones'),
+        tts: {
+          type: 'object',
+          properties: {
+            rate: { type: 'number', min: 0.1, max: 10, default: 1.0, description: 'Speech rate' },
+            pitch: { type: 'number', min: 0, max: 2, default: 1.0, description: 'Speech pitch' },
+            volume: { type: 'number', min: 0, max: 1, default: 1.0, description: 'Speech volume' },
+            voice_preference: { type: 'string', default: '', description: 'Preferred speech synthesis voice name (empty = phone default)' }
+          }
+        }
+      }
+    },
+    microphone: {
+      type: 'object',
+      properties: {
+        wake_word: { type: 'string', minLength: 1, default: 'robot', description: 'Word that starts a speech transcription' }
+      }
+    },
+    queues: {
+      type: 'object',
+      properties: {
+        camera: queue('keep-latest', 1),
+        pose: queue('drop-oldest', 30),
+        imu: queue('drop-oldest', 100),
+        gps: queue('drop-oldest', 10),
+        microphone: queue('drop-newest', 20)
+      }
+    },
+    clock_sync: {
+      type: 'object',
+      properties: {
+        enabled: bool(true, 'Estimate phone clock offsets to correct header stamps'),
+        interval: { type: 'number', min: 0.1, default: 2.0, description: 'Seconds between clock sync pings' }
+      }
+    },
+    topics: {
+      type: 'object',
+      properties: {
+        camera: topic('camera/image_raw/compressed', 'camera_frame', 'sensor_data'),
+        camera_info: topic('camera/camera_info', null, 'transient_local'),
+        image_raw: topic('camera/image_raw', null, 'sensor_data', false),
+        camera_video: topic('camera/video'),
+        camera_ffmpeg: topic('camera/image_raw/ffmpeg', null, 'default', false),
+        image_still: topic('camera/image_still/compressed'),
+        pose: topic('mobile_sensor/pose'),
+        microphone: topic('mobile_sensor/speech', 'microphone_frame'),
+        imu: topic('mobile_sensor/imu', 'imu_frame', 'sensor_data'),
+        gps: topic('mobile_sensor/gps', 'gps_frame', 'transient_local'),
+        tts: topic('mobile_sensor/tts'),
+        tts_wav: topic('mobile_sensor/tts_wav'),
+        wav_bytes: topic('mobile_sensor/wav_bytes')
+      }
+    },
+    time: {
+      type: 'object',
+      properties: {
+        stamp_source: { type: 'string', enum: ['device', 'receive', 'ros'], default: 'device', description: 'Time used for header stamps' }
+      }
+    },
+    ros: {
+      type: 'object',
+      properties: {
+        namespace: { type: 'string', default: '', description: 'Namespace of the node and its topics' }
+      }
+    },
+    security: {
+      type: 'object',
+      properties: {
+        pairing: bool(true, 'Require the pairing code before a phone can connect'),
+        allow_localhost: bool(true, 'Let requests from the bridge machine skip pairing (not with plain HTTP or trust_proxy)')
+      }
+    },
+    server: {
+      type: 'object',
+      properties: {
+        port: { type: 'integer', min: 1, max: 65535, default: 4000, description: 'Listening port' },
+        host: { type: 'string', minLength: 1, default: '0.0.0.0', description: 'Bind address' },
+        protocol: { type: 'string', enum: ['https', 'http'], default: 'https', description: 'https, or http behind a TLS-terminating reverse proxy' },
+        base_path: { type: 'string', default: '', description: 'Sub-path for pages, API and WebSockets' },
+        trust_proxy: bool(false, 'Trust X-Forwarded-* headers from a reverse proxy'),
+        public_url: { type: 'string', default: '', description: 'URL phones use through the proxy' }
+      }
+    },
+    ssl: {
+      type: 'object',
+      properties: {
+        auto_generate: bool(true, 'Create and renew the certificate automatically'),
+        valid_days: { type: 'integer', min: 1, recommended: [1, 398], default: 365, description: 'Certificate lifetime in days' },
+        renew_before_days: { type: 'integer', min: 0, default: 30, description: 'Renew this many days before expiry' },
+        extra_hosts: { type: 'array', items: { type: 'string' }, default: [], description: 'Additional certificate hostnames and IPs' },
+        local_ca: bool(false, 'Sign the certificate with a local CA')
+      }
+    },
+    connect: {
+      type: 'object',
+      properties: {
+        terminal_qr: bool(true, 'Print QR codes for the access URLs at startup'),
+        include_pairing_code: bool(true, 'Embed the pairing code in QR codes'),
+        sensors: { type: 'array', items: { type: 'string', enum: SENSORS }, default: [], description: 'Preset sensor selection in connect links' }
+      }
+    },
+    debug: {
+      type: 'object',
+      properties: {
+        color_logging: bool(false, 'Colored log output'),
+        debug_logging: bool(false, 'Log debug messages'),
+        'mobile-debug-console': bool(false, 'Show the debug console on the phones'),
+        benchmark: bool(false, 'Log camera publish latency and throughput')
+      }
+    }
+  }
+};
+
+// Line of every key in the YAML text, keyed by dotted path (block style and
+// single-line flow mappings such as `camera: { policy: "keep-latest", size: 1 }`)
+function locateKeys(text) {
+  const lines = new Map();
+  const stack = [];
+
+  text.split(/\r?\n/).forEach((line, index) => {
+    const match = line.match(/^(\s*)(["']?)([^\s#"'{}[\]:][^#"':]*?)\2\s*:(\s|$)/);
+    if (!match) return;
+
+    const indent = match[1].length;
+    while (stack.length > 0 && stack[stack.length - 1].indent >= indent) {
+      stack.pop();
+    }
+    stack.push({ indent, key: match[3] });
+    const keyPath = stack.map(entry => entry.key).join('.');
+    if (!lines.has(keyPath)) {
+      lines.set(keyPath, index + 1);
+    }
+
+    const flow = line.slice(match[0].length).match(/^\s*\{([^}]*)\}/);
+    if (flow) {
+      for (const inner of flow[1].matchAll(/([A-Za-z_][\w-]*)\s*:/g)) {
+        lines.set(`${keyPath}.${inner[1]}`, index + 1);
+      }
+    }
+  });
+  return lines;
+}
+
+// Line of a key, or of its closest parent found in the file
+function lineOf(lines, keyPath) {
+  const parts = keyPath.split('.');
+  while (parts.length > 0) {
+    const line = lines.get(parts.join('.'));
+    if (line) return line;
+    parts.pop();
+  }
+  return null;
+}
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  switch (type) {
+    case 'integer':
+      return Number.isInteger(value);
+    case 'number':
+      return typeof value === 'number' && Number.isFinite(value);
+    case 'object':
+      return typeOf(value) === 'object';
+    default:
+      return typeOf(value) === type;
+  }
+}
+
+// Edit distance, used to suggest the intended key for a typo
+function distance(a, b) {
+  const row = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    let previous = row[0];
+    row[0] = i;
+    for (let j = 1; j <= b.length; j++) {
+      const current = row[j];
+      row[j] = Math.min(row[j] + 1, row[j - 1] + 1, previous + (a[i - 1] === b[j - 1] ? 0 : 1));
+      previous = current;
+    }
+  }
+  return row[b.length];
+}
+
+function suggest(key, candidates) {
+  const best = candidates
+    .map(candidate => ({ candidate, score: distance(key.toLowerCase(), candidate.toLowerCase()) }))
+    .sort((a, b) => a.score - b.score)[0];
+  return best && best.score <= 2 ? ` (did you mean '${best.candidate}'?)` : '';
+}
+
+// Check a value against a rule, returns the value with unknown keys removed
+function check(value, rule, keyPath, report) {
+  if (!matchesType(value, rule.type)) {
+    report('error', keyPath, `expected ${rule.type}, got ${typeOf(value)} (${JSON.stringify(value)})`);
+    return undefined;
+  }
+
+  if (rule.type === 'object') {
+    const cleaned = {};
+    for (const [key, child] of Object.entries(value)) {
+      const childPath = keyPath ? `${keyPath}.${key}` : key;
+      const childRule = rule.properties[key];
+      if (!childRule) {
+        report('warning', childPath, `unknown key, ignored${suggest(key, Object.keys(rule.properties))}`);
+        continue;
+      }
+      // An empty section (`camera:` with everything commented out) means defaults
+      if (child === null && childRule.type === 'object') continue;
+      const checked = check(child, childRule, childPath, report);
+      if (checked !== undefined) {
+        cleaned[key] = checked;
+      }
+    }
+    return cleaned;
+  }
+
+  if (rule.type === 'array') {
+    const items = value.map((item, index) => check(item, rule.items, `${keyPath}[${index}]`, report));
+    return items.some(item => item === undefined) ? undefined : items;
+  }
+
+  if (rule.enum && !rule.enum.includes(value)) {
+    report('error', keyPath, `must be one of ${rule.enum.map(option => `"${option}"`).join(', ')}, got ${JSON.stringify(value)}`);
+    return undefined;
+  }
+  if (rule.minLength !== undefined && value.length < rule.minLength) {
+    report('error', keyPath, 'must not be empty');
+    return undefined;
+  }
+  if (rule.pattern && !rule.pattern.test(value)) {
+    report('error', keyPath, `${JSON.stringify(value)} is not a valid name`);
+    return undefined;
+  }
+  if (rule.min !== undefined && value < rule.min) {
+    report('error', keyPath, `must be at least ${rule.min}, got ${value}`);
+    return undefined;
+  }
+  if (rule.max !== undefined && value > rule.max) {
+    report('error', keyPath, `must be at most ${rule.max}, got ${value}`);
+    return undefined;
+  }
+  if (rule.recommended && (value < rule.recommended[0] || value > rule.recommended[1])) {
+    report('warning', keyPath, `${value} is outside the recommended range ${rule.recommended[0]}-${rule.recommended[1]}`);
+  }
+  return value;
+}
+
+// Validate a parsed config. text is the YAML source, used for line numbers.
+// Returns { config, errors, warnings }, issues are { path, line, message }
+function validateConfig(config, text = '') {
+  const errors = [];
+  const warnings = [];
+  const lines = locateKeys(text);
+  const report = (level, keyPath, message) => {
+    const issue = { path: keyPath, line: lineOf(lines, keyPath.replace(/\[\d+\]/g, '')), message };
+    (level === 'error' ? errors : warnings).push(issue);
+  };
+
+  // An empty file is an empty config
+  const cleaned = check(config === null || config === undefined ? {} : config, SCHEMA, '', report);
+  return { config: cleaned || {}, errors, warnings };
+}
+
+// Rule for a dotted key path, e.g. 'camera.fps' (null if the schema has no such key)
+function getRule(keyPath) {
+  let rule = SCHEMA;
+  for (const key of keyPath.split('.')) {
+    if (!rule.properties || !rule.properties[key]) return null;
+    rule = rule.properties[key];
+  }
+  return rule;
+}
+
+// Dotted paths of every settable (non-object) key
+function leafPaths(rule = SCHEMA, prefix = '') {
+  return Object.entries(rule.properties).flatMap(([key, child]) => {
+    const keyPath = prefix ? `${prefix}.${key}` : key;
+    return child.type === 'object' ? leafPaths(child, keyPath) : [keyPath];
+  });
+}
+
+// Config holding the default of every key
+function getDefaults(rule = SCHEMA) {
+  if (rule.type !== 'object') {
+    return Array.isArray(rule.default) ? rule.default.slice() : rule.default;
+  }
+  const defaults = {};
+  for (const [key, child] of Object.entries(rule.properties)) {
+    defaults[key] = getDefaults(child);
+  }
+  return defaults;
+}
+
+// Validate a single override. Returns { value, errors, warnings } like validateConfig
+function validateValue(keyPath, value) {
+  const errors = [];
+  const warnings = [];
+  const rule = getRule(keyPath);
+  if (!rule || rule.type === 'object') {
+    errors.push({ path: keyPath, line: null, message: `unknown key${suggest(keyPath, leafPaths())}` });
+    return { value: undefined, errors, warnings };
+  }
+  const report = (level, issuePath, message) => {
+    (level === 'error' ? errors : warnings).push({ path: issuePath, line: null, message });
+  };
+  return { value: check(value, rule, keyPath, report), errors, warnings };
+}
+
+module.exports = {
+  SCHEMA,
+  validateConfig,
+  validateValue,
+  getRule,
+  leafPaths,
+  getDefaults,
+  locateKeys
+};
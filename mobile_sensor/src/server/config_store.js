@@ -0,0 +1,263 @@
+/**
+ * Config Store
+ * Holds the current configuration, watches config.yaml for edits and hands
+ * validated changes to the listeners (server modules and the /control channel)
+ *
+ * The configuration is layered: schema defaults, then the config file, then the
+ * environment and command line overrides (see config_overrides.js), then values
+ * changed at runtime with setValues (ROS parameters)
+ */
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const Logger = require('./logger');
+const configSchema = require('./config_schema');
+const configOverrides = require('./config_overrides');
+
+// Polling works for editors that replace the file and for Docker bind mounts
+const WATCH_INTERVAL_MS = 1000;
+
+// Sections the phones receive from /api/config and the control channel
+const CLIENT_SECTIONS = ['camera', 'audio', 'microphone', 'imu', 'debug'];
+
+// Sections only read at startup
+const RESTART_SECTIONS = ['server', 'ssl', 'security', 'connect', 'ros', 'topics'];
+
+let config = {};
+let configFile = null;
+let watching = false;
+const listeners = [];
+
+// Overrides from the environment, command line and setValues, re-applied on every reload
+let overrides = [];
+
+function setOverrides(list) {
+  overrides = list;
+}
+
+// Deep merge of plain objects, arrays and values from source replace those in target
+function merge(target, source) {
+  for (const [key, value] of Object.entries(source || {})) {
+    if (value && typeof value === 'object' && !Array.isArray(value) &&
+        target[key] && typeof target[key] === 'object' && !Array.isArray(target[key])) {
+      merge(target[key], value);
+    } else {
+      target[key] = value;
+    }
+  }
+  return target;
+}
+
+function setPath(target, keyPath, value) {
+  const keys = keyPath.split('.');
+  const last = keys.pop();
+  let node = target;
+  for (const key of keys) {
+    if (!node[key] || typeof node[key] !== 'object') {
+      node[key] = {};
+    }
+    node = node[key];
+  }
+  node[last] = value;
+}
+
+// Apply the overrides to a config, adding their issues (located by source) to result
+function applyOverrides(target, result) {
+  for (const override of overrides) {
+    const checked = configSchema.validateValue(override.path, configOverrides.coerce(override.path, override.value));
+    // ROS tooling may pass parameters meant for other nodes, those are only worth a warning
+    const unknownRosParameter = override.ros && !configSchema.getRule(override.path);
+    checked.errors.forEach(issue => {
+      (unknownRosParameter ? result.warnings : result.errors).push(Object.assign(issue, { source: override.source }));
+    });
+    checked.warnings.forEach(issue => result.warnings.push(Object.assign(issue, { source: override.source })));
+    if (checked.value !== undefined) {
+      setPath(target, override.path, checked.value);
+    }
+  }
+}
+
+// Read, parse and validate a config file and build the layered config from it.
+// Returns { config, errors, warnings } (see config_schema.js), a missing file or
+// YAML syntax error is reported as an error
+function readConfig(file) {
+  let text;
+  try {
+    text = fs.readFileSync(file, 'utf8');
+  } catch (error) {
+    return { config: null, errors: [{ path: '', line: null, message: `cannot read file: ${error.message}` }], warnings: [] };
+  }
+
+  let parsed;
+  try {
+    parsed = yaml.load(text);
+  } catch (error) {
+    const line = error.mark ? error.mark.line + 1 : null;
+    return { config: null, errors: [{ path: '', line, message: `invalid YAML: ${error.reason || error.message}` }], warnings: [] };
+  }
+
+  const result = configSchema.validateConfig(parsed, text);
+  result.config = merge(configSchema.getDefaults(), result.config);
+  applyOverrides(result.config, result);
+  return result;
+}
+
+// Format an issue as file:line key.path: message (or source key.path: message for overrides)
+function formatIssue(file, issue) {
+  const location = issue.source || (issue.line ? `${path.basename(file)}:${issue.line}` : path.basename(file));
+  return `${location} ${issue.path ? `${issue.path}: ` : ''}${issue.message}`;
+}
+
+function reportIssues(file, result) {
+  result.warnings.forEach(issue => Logger.warn('CONFIG', formatIssue(file, issue)));
+  result.errors.forEach(issue => Logger.error('CONFIG', formatIssue(file, issue)));
+}
+
+// Load a config file, logging every warning and error; throws if there are errors
+function loadConfig(file) {
+  const result = readConfig(file);
+  reportIssues(file, result);
+  if (result.errors.length > 0) {
+    throw new Error(`configuration has ${result.errors.length} error(s)`);
+  }
+  configFile = file;
+  return result.config;
+}
+
+// Validate a config file without loading it (--check-config), returns true if it has no errors
+function checkConfig(file) {
+  const result = readConfig(file);
+  reportIssues(file, result);
+  if (result.errors.length === 0) {
+    Logger.success('CONFIG', `${file} is valid` +
+      (result.warnings.length > 0 ? ` (${result.warnings.length} warning(s))` : ''));
+  }
+  return result.errors.length === 0;
+}
+
+function setConfig(newConfig) {
+  config = newConfig;
+}
+
+function getConfig() {
+  return config;
+}
+
+// Safe subset of the config sent to the phones
+function getClientConfig() {
+  return {
+    camera: config.camera || {},
+    audio: config.audio || {},
+    microphone: config.microphone || {},
+    imu: config.imu || { sample_rate: 30 },
+    debug: {
+      'mobile-debug-console': config.debug && config.debug['mobile-debug-console'] || false
+    }
+  };
+}
+
+// listener(config, changedSections) runs after every accepted reload
+function onConfigChange(listener) {
+  listeners.push(listener);
+}
+
+// Top-level sections whose content differs between two configs
+function changedSections(previous, next) {
+  const sections = new Set([...Object.keys(previous), ...Object.keys(next)]);
+  return Array.from(sections).filter(section =>
+    JSON.stringify(previous[section]) !== JSON.stringify(next[section]));
+}
+
+// Replace the running config and notify the listeners, returns false if nothing changed
+function commit(next, description) {
+  const changed = changedSections(config, next);
+  if (changed.length === 0) return false;
+
+  config = next;
+  Logger.success('CONFIG', `${description}, changed: ${changed.join(', ')}`);
+
+  const needsRestart = changed.filter(section => RESTART_SECTIONS.includes(section));
+  if (needsRestart.length > 0) {
+    Logger.warn('CONFIG', `Changes to ${needsRestart.join(', ')} take effect after a restart`);
+  }
+
+  listeners.forEach(listener => {
+    try {
+      listener(config, changed);
+    } catch (error) {
+      Logger.error('CONFIG', `Error applying configuration change: ${error.message}`);
+    }
+  });
+  return true;
+}
+
+// Re-read the config file, keeping the current config if the new one is invalid
+function reloadConfig() {
+  const result = readConfig(configFile);
+  reportIssues(configFile, result);
+  if (result.errors.length > 0) {
+    Logger.error('CONFIG', `Ignoring ${configFile} with ${result.errors.length} error(s), keeping the running configuration`);
+    return false;
+  }
+  return commit(result.config, 'Configuration reloaded');
+}
+
+// Change settings while running, values keyed by path ({ 'camera.fps': 15 }).
+// They are kept as overrides so a config.yaml reload does not undo them.
+// Returns the validation errors, nothing is changed if there are any
+function setValues(values, source) {
+  const next = JSON.parse(JSON.stringify(config));
+  const result = { errors: [], warnings: [] };
+  for (const [keyPath, value] of Object.entries(values)) {
+    const checked = configSchema.validateValue(keyPath, value);
+    result.errors.push(...checked.errors);
+    result.warnings.push(...checked.warnings);
+    if (checked.value !== undefined) {
+      setPath(next, keyPath, checked.value);
+    }
+  }
+  result.warnings.forEach(issue => Logger.warn('CONFIG', `${source} ${issue.path}: ${issue.message}`));
+  if (result.errors.length > 0) {
+    return result.errors;
+  }
+
+  overrides = overrides
+    .filter(override => !(override.path in values))
+    .concat(Object.entries(values).map(([keyPath, value]) => ({ path: keyPath, value, source })));
+  commit(next, `Configuration changed by ${source}`);
+  return [];
+}
+
+// Watch the file loaded by loadConfig for changes
+function watchConfig() {
+  if (watching || !configFile) return;
+  watching = true;
+
+  fs.watchFile(configFile, { interval: WATCH_INTERVAL_MS }, (current, previous) => {
+    if (current.mtimeMs === previous.mtimeMs && current.size === previous.size) return;
+    reloadConfig();
+  });
+  Logger.info('CONFIG', `Watching ${configFile} for changes`);
+}
+
+function stopWatching() {
+  if (!watching) return;
+  fs.unwatchFile(configFile);
+  watching = false;
+}
+
+module.exports = {
+  CLIENT_SECTIONS,
+  RESTART_SECTIONS,
+  setOverrides,
+  loadConfig,
+  checkConfig,
+  setConfig,
+  getConfig,
+  getClientConfig,
+  onConfigChange,
+  reloadConfig,
+  setValues,
+  watchConfig,
+  stopWatching
+};
@@ -0,0 +1,147 @@
+/**
+ * Connect Links
+ * Builds the URLs a phone should open for each network interface and renders
+ * them as QR codes (terminal and SVG), entirely offline
+ */
+const os = require('os');
+const QRCode = require('qrcode');
+const Logger = require('./logger');
+const auth = require('./auth');
+const serverOptions = require('./server_options');
+
+// Sensors the client page knows how to preset
+const SENSORS = ['camera', 'pose', 'microphone', 'audio', 'imu', 'gps'];
+
+// Connect settings (updated from config in initConnect)
+let settings = {
+  terminalQr: true,          // Print a QR code for each access URL at startup
+  includePairingCode: true,  // Embed the current pairing code so scanning pairs automatically
+  sensors: []                // Preset sensor selection ([] = page defaults)
+};
+
+// Port of the printed QR codes, null until printTerminalQr ran
+let qrPort = null;
+
+function initConnect(config = {}) {
+  const connect = config.connect || {};
+  if (connect.terminal_qr !== undefined) {
+    settings.terminalQr = connect.terminal_qr === true;
+  }
+  if (connect.include_pairing_code !== undefined) {
+    settings.includePairingCode = connect.include_pairing_code === true;
+  }
+  if (connect.sensors !== undefined) {
+    settings.sensors = parseSensors(connect.sensors);
+  }
+
+  // The printed codes carry a single use pairing code, print them again with the next one
+  auth.onPairingCodeChanged(() => {
+    if (qrPort !== null && settings.includePairingCode) {
+      printTerminalQr(qrPort);
+    }
+  });
+}
+
+// Accept a list or comma separated string, keeping only known sensor names
+function parseSensors(value) {
+  const list = Array.isArray(value) ? value : String(value || '').split(',');
+  const sensors = [];
+  for (const item of list) {
+    const name = String(item).trim().toLowerCase();
+    if (!name) continue;
+    if (!SENSORS.includes(name)) {
+      Logger.warn('CONNECT', `Ignoring unknown sensor '${name}' (expected one of: ${SENSORS.join(', ')})`);
+      continue;
+    }
+    if (!sensors.includes(name)) {
+      sensors.push(name);
+    }
+  }
+  return sensors;
+}
+
+// Base access URL for every external IPv4 interface
+// (or only the public URL when the bridge sits behind a reverse proxy)
+function getAccessUrls(port) {
+  const { protocol, basePath, publicUrl } = serverOptions.getServerOptions();
+  if (publicUrl) {
+    return [{ interface: 'proxy', address: new URL(publicUrl).host, url: `${publicUrl}/` }];
+  }
+
+  const nets = os.networkInterfaces();
+  const urls = [];
+
+  for (const name of Object.keys(nets)) {
+    for (const net of nets[name]) {
+      // Skip over non-IPv4 and internal (loopback) addresses
+      if (net.family === 'IPv4' && !net.internal) {
+        urls.push({
+          interface: name,
+          address: net.address,
+          url: `${protocol}://${net.address}:${port}${basePath}/`
+        });
+      }
+    }
+  }
+
+  return urls;
+}
+
+// Add the pairing code and sensor preset to an access URL
+// options: { sensors, includePairingCode } override the configured defaults
+function buildConnectUrl(baseUrl, options = {}) {
+  const url = new URL(baseUrl);
+  const includePairingCode = options.includePairingCode !== undefined ?
+    options.includePairingCode : settings.includePairingCode;
+  const sensors = options.sensors !== undefined ? options.sensors : settings.sensors;
+
+  if (includePairingCode && auth.isEnabled() && auth.getPairingCode()) {
+    url.searchParams.set('pair', auth.getPairingCode());
+  }
+  if (sensors.length > 0) {
+    url.searchParams.set('sensors', sensors.join(','));
+  }
+  return url.toString();
+}
+
+// Connect links for every interface, with an SVG QR code for each
+async function getConnectLinks(port, options = {}) {
+  const links = [];
+  for (const access of getAccessUrls(port)) {
+    const url = buildConnectUrl(access.url, options);
+    links.push({
+      interface: access.interface,
+      address: access.address,
+      url: url,
+      svg: await QRCode.toString(url, { type: 'svg', margin: 2 })
+    });
+  }
+  return links;
+}
+
+// Print a scannable QR code for each access URL
+async function printTerminalQr(port) {
+  if (!settings.terminalQr) return;
+  qrPort = port;
+
+  for (const access of getAccessUrls(port)) {
+    const url = buildConnectUrl(access.url);
+    try {
+      const qr = await QRCode.toString(url, { type: 'terminal', small: true });
+      Logger.info('CONNECT', `Scan to connect via ${access.interface}: ${url}`);
+      console.log(qr);
+    } catch (error) {
+      Logger.error('CONNECT', `Failed to render QR code for ${url}: ${error.message}`);
+    }
+  }
+}
+
+module.exports = {
+  SENSORS,
+  initConnect,
+  parseSensors,
+  getAccessUrls,
+  buildConnectUrl,
+  getConnectLinks,
+  printTerminalQr
+};
@@ -4,59 +4,202 @@
  */
 const express = require('express');
 const path = require('path');
+const http = require('http');
 const https = require('https');
-const fs = require('fs');
 const os = require('os');
 const Logger = require('./logger'); // Import Logger module with correct capitalization
+const auth = require('./auth');
+const configStore = require('./config_store');
+const connect = require('./connect');
+const certificates = require('./certificates');
+const serverOptions = require('./server_options');
+const streamQueue = require('./stream_queue');
+const metrics = require('./metrics');
+const clockSync = require('./clock_sync');
+const rosClock = require('./ros_clock');
+const rosInterface = require('./ros_interface');
 
 // Initialize Express application
 function createExpressApp(config) {
   const app = express();
+  const { basePath } = serverOptions.getServerOptions();
+  
+  // Behind a reverse proxy, take the client address and protocol from X-Forwarded-* headers
+  app.set('trust proxy', serverOptions.getTrustProxySetting());
+  
+  // All routes live on a router mounted at the configured base path
+  const router = express.Router();
   
   // Serve static files from the "client" folder
-  app.use(express.static(path.join(__dirname, '../client')));
-  app.use(express.json());
+  router.use(express.static(path.join(__dirname, '../client')));
+  router.use(express.json());
 
-  // Serve index.html on GET /
-  app.get('/', (req, res) => {
+  // Serve index.html on GET / (relative to the base path)
+  router.get('/', (req, res) => {
     res.sendFile(path.join(__dirname, '../client', 'index.html'));
   });
 
-  // Add an API endpoint to expose configuration
-  app.get('/api/config', (req, res) => {
-    // Prepare a safe version of the config to send to the client
-    const clientConfig = {
-      camera: config.camera || {},
-      audio: config.audio || {},
-      microphone: config.microphone || {},
-      imu: config.imu || { sample_rate: 30 }, // Add IMU configuration
-      debug: {
-        // Handle nested debug properties
-        'mobile-debug-console': config.debug && config.debug['mobile-debug-console'] || false
+  // Root certificate of the local CA, installed once on each phone so the
+  // bridge certificate is trusted (public by design, phones fetch it before pairing)
+  router.get('/ca.crt', (req, res) => {
+    const caCertificate = certificates.getCaCertificate();
+    if (!caCertificate) {
+      res.status(404).send('Local CA is disabled (set ssl.local_ca: true)');
+      return;
+    }
+    res.set('Content-Type', 'application/x-x509-ca-cert');
+    res.set('Content-Disposition', 'attachment; filename="mobile-sensor-ca.crt"');
+    res.send(caCertificate);
+  });
+  
+  // Page showing a QR code per network interface for phones to scan
+  router.get('/connect', (req, res) => {
+    res.sendFile(path.join(__dirname, '../client', 'connect.html'));
+  });
+  
+  // Connect links and QR codes, they embed the pairing code so only the
+  // bridge machine (or an already paired device) may read them
+  router.get('/api/connect', auth.requireAuth, async (req, res) => {
+    try {
+      const options = {};
+      if (req.query.sensors !== undefined) {
+        options.sensors = connect.parseSensors(req.query.sensors);
       }
-    };
-    
-    res.json(clientConfig);
+      if (req.query.pair !== undefined) {
+        options.includePairingCode = req.query.pair !== 'false';
+      }
+      
+      res.json({
+        pairing_required: auth.isEnabled(),
+        pairing_code: auth.isEnabled() ? auth.getPairingCode() : null,
+        sensors: connect.SENSORS,
+        links: await connect.getConnectLinks(req.socket.localPort, options)
+      });
+    } catch (error) {
+      Logger.error('CONNECT', `Failed to build connect links: ${error.message}`);
+      res.status(500).json({ error: 'Failed to build connect links' });
+    }
+  });
+  
+  // Exchange the one-time pairing code for a token
+  router.post('/api/pair', (req, res) => {
+    const body = req.body || {};
+    const result = auth.pair(body.code, req.ip, body.label);
+    if (result.error) {
+      res.status(result.status).json({ error: result.error });
+      return;
+    }
+    res.json(result);
+  });
+  
+  // Let the client check whether its stored token is still valid
+  router.get('/api/auth', (req, res) => {
+    const result = auth.authorizeRequest(req, req.ip);
+    res.json({
+      authorized: result.allowed,
+      pairing_required: auth.isEnabled()
+    });
+  });
+  
+  // List and revoke issued tokens
+  router.get('/api/tokens', auth.requireAuth, (req, res) => {
+    res.json({ tokens: auth.listTokens() });
+  });
+  
+  router.delete('/api/tokens/:id', auth.requireAuth, (req, res) => {
+    if (!auth.revokeToken(req.params.id)) {
+      res.status(404).json({ error: 'Unknown token' });
+      return;
+    }
+    res.json({ revoked: req.params.id });
+  });
+  
+  router.delete('/api/tokens', auth.requireAuth, (req, res) => {
+    res.json({ revoked: auth.revokeAllTokens() });
+  });
+  
+  // Ingestion queue counters per stream (received, processed, dropped, queued)
+  router.get('/api/queues', auth.requireAuth, (req, res) => {
+    res.json(streamQueue.getQueueStats());
+  });
+  
+  // Bridge health as JSON
+  router.get('/api/status', auth.requireAuth, (req, res) => {
+    res.json(buildStatus());
   });
   
+  // The same statistics in Prometheus text format
+  router.get('/metrics', auth.requireAuth, (req, res) => {
+    res.set('Content-Type', 'text/plain; version=0.0.4');
+    res.send(metrics.toPrometheus(buildStatus()));
+  });
+  
+  // Add an API endpoint to expose configuration (safe subset, follows config.yaml reloads)
+  router.get('/api/config', auth.requireAuth, (req, res) => {
+    res.json(configStore.getClientConfig());
+  });
+  
+  if (basePath) {
+    // Relative asset URLs only resolve with a trailing slash, so redirect /base to /base/
+    app.get(basePath, (req, res, next) => {
+      if (req.originalUrl.split('?')[0] !== basePath) {
+        next();
+        return;
+      }
+      const query = req.originalUrl.slice(basePath.length);
+      res.redirect(301, `${basePath}/${query}`);
+    });
+  }
+  app.use(basePath || '/', router);
+  
   return app;
 }
 
+// Collect ROS node state, per-stream WebSocket statistics, queue counters,
+// phone clock offsets and process info
+function buildStatus() {
+  const ros = rosInterface.getRosStatus();
+  return Object.assign(
+    { status: ros.spinning ? 'ok' : 'degraded' },
+    metrics.getProcessMetrics(),
+    {
+      ros: ros,
+      streams: metrics.getStreamMetrics(),
+      queues: streamQueue.getQueueStats(),
+      clock: clockSync.getClockStats(),
+      time: rosClock.getTimeStatus()
+    }
+  );
+}
+
 // Create HTTPS server
 function createHttpsServer(app) {
   try {
-    const options = {
-      key: fs.readFileSync(path.join(__dirname, '../ssl/key.pem')),
-      cert: fs.readFileSync(path.join(__dirname, '../ssl/cert.pem')),
-    };
+    // Generates the certificate on first start and renews it when needed
+    const options = certificates.ensureCertificate();
     
-    return https.createServer(options, app);
+    const server = https.createServer(options, app);
+    certificates.watchCertificate(server);
+    return server;
   } catch (error) {
     Logger.error('SERVER', `Error creating HTTPS server: ${error}`);
     throw error;
   }
 }
 
+// Create plain HTTP server, for running behind a TLS-terminating reverse proxy
+function createHttpServer(app) {
+  return http.createServer(app);
+}
+
+// Create the server for the configured protocol
+function createServer(app) {
+  if (serverOptions.getServerOptions().protocol === 'http') {
+    return createHttpServer(app);
+  }
+  return createHttpsServer(app);
+}
+
 // Get local IP address for display
 function getLocalIP() {
   const { networkInterfaces } = os;
@@ -75,26 +218,28 @@ function getLocalIP() {
 }
 
 // Start the server on the specified port
-function startServer(server, port = 4000) {
+function startServer(server, port = 4000, host = '0.0.0.0') {
   return new Promise((resolve, reject) => {
     try {
-      server.listen(port, '0.0.0.0', () => {
-        Logger.info('SERVER', `HTTPS server running on port ${port}`);
+      server.listen(port, host, () => {
+        const { protocol, basePath } = serverOptions.getServerOptions();
+        Logger.info('SERVER', `${protocol.toUpperCase()} server running on ${host}:${port}` +
+          (basePath ? ` under ${basePath}/` : ''));
         
         // Display all network interfaces for easy connection
-        const { networkInterfaces } = require('os');
-        const nets = networkInterfaces();
+        for (const access of connect.getAccessUrls(port)) {
+          Logger.info('SERVER', `Access URL: ${access.url}`);
+        }
         
-        for (const name of Object.keys(nets)) {
-          for (const net of nets[name]) {
-            // Skip over non-IPv4 and internal (loopback) addresses
-            if (net.family === 'IPv4' && !net.internal) {
-              Logger.info('SERVER', `Access URL: https://${net.address}:${port}`);
-            }
-          }
+        if (auth.isEnabled()) {
+          Logger.info('SERVER', `Pairing code: ${auth.getPairingCode()}`);
+        }
+        Logger.info('SERVER', `QR codes for pairing: ${protocol}://localhost:${port}${basePath}/connect`);
+        if (protocol === 'https' && certificates.isLocalCaEnabled()) {
+          Logger.info('SERVER', `Install the local CA on phones once from: https://<ip>:${port}${basePath}/ca.crt`);
         }
         
-        resolve(server);
+        connect.printTerminalQr(port).finally(() => resolve(server));
       });
     } catch (err) {
       reject(err);
@@ -117,6 +262,8 @@ function stopServer(server) {
       resolve();
     }, 2000); // 2 second timeout
     
+    certificates.stopWatching();
+    
     try {
       server.close(err => {
         clearTimeout(timeout); // Clear the timeout as we got a response
@@ -124,7 +271,7 @@ function stopServer(server) {
         if (err) {
           Logger.error('SERVER', `Error stopping server: ${err}`);
         } else {
-          Logger.success('SERVER', 'HTTPS server closed successfully');
+          Logger.success('SERVER', 'Server closed successfully');
         }
         
         // Always resolve even if there was an error
@@ -141,6 +288,8 @@ function stopServer(server) {
 module.exports = {
   createExpressApp,
   createHttpsServer,
+  createHttpServer,
+  createServer,
   startServer,
   stopServer,
   getLocalIP
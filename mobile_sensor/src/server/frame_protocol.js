@@ -0,0 +1,109 @@
+/**
+ * Camera Frame Protocol
+ * Decodes camera frames received over the /camera WebSocket
+ *
+ * Binary frames carry a fixed little-endian header followed by the encoded image:
+ *
+ *   offset  size  field
+ *   0       1     version    (currently 1)
+ *   1       1     format     (1 = JPEG, 2 = H.264 access unit in Annex B byte stream format)
+ *   2       2     flags      (bit 0: front camera, bit 1: keyframe, other bits reserved, 0)
+ *   4       2     width      (pixels)
+ *   6       2     height     (pixels)
+ *   8       8     timestamp  (float64, ms since epoch on the phone clock)
+ *   16      4     sequence   (frame counter)
+ *   20      ...   image bytes
+ *
+ * H.264 frames are numbered consecutively from the keyframe that starts the stream;
+ * a gap in the sequence means frames were lost and the rest cannot be decoded until
+ * the next keyframe.
+ *
+ * Photos for the capture service come as JPEG frames on the /control WebSocket, with
+ * the id of the capture request as their sequence.
+ *
+ * Text frames use the legacy JSON format with a base64 data URL, which is still
+ * accepted so older clients keep working.
+ */
+
+const PROTOCOL_VERSION = 1;
+const HEADER_SIZE = 20;
+
+// Format codes used in the binary header
+const FORMATS = {
+  JPEG: 1,
+  H264: 2
+};
+
+// Bits of the flags field
+const FLAGS = {
+  USER_FACING: 0x0001, // Captured by the front (user-facing) camera, otherwise the back camera
+  KEYFRAME: 0x0002     // H.264 access unit that can be decoded on its own (IDR, with SPS and PPS)
+};
+
+// ROS CompressedImage format string for each format code
+const FORMAT_NAMES = {
+  [FORMATS.JPEG]: 'jpeg',
+  [FORMATS.H264]: 'h264'
+};
+
+// Decode a binary camera frame (Buffer) into its header fields and image bytes
+function decodeBinaryFrame(buffer) {
+  if (buffer.length < HEADER_SIZE) {
+    throw new Error(`Binary camera frame too short (${buffer.length} bytes)`);
+  }
+
+  const version = buffer.readUInt8(0);
+  if (version !== PROTOCOL_VERSION) {
+    throw new Error(`Unsupported camera frame version ${version}`);
+  }
+
+  const formatCode = buffer.readUInt8(1);
+  const format = FORMAT_NAMES[formatCode];
+  if (!format) {
+    throw new Error(`Unsupported camera frame format ${formatCode}`);
+  }
+
+  const flags = buffer.readUInt16LE(2);
+  return {
+    format: format,
+    flags: flags,
+    facing: (flags & FLAGS.USER_FACING) ? 'user' : 'environment',
+    keyframe: (flags & FLAGS.KEYFRAME) !== 0,
+    width: buffer.readUInt16LE(4),
+    height: buffer.readUInt16LE(6),
+    timestamp: buffer.readDoubleLE(8),
+    sequence: buffer.readUInt32LE(16),
+    // View into the received buffer, no copy
+    data: buffer.subarray(HEADER_SIZE)
+  };
+}
+
+// Decode a legacy JSON camera message ({ camera: dataUrl, width, height, timestamp, facingMode })
+// facing is null for clients that do not send facingMode. Returns null if the message does not contain a camera frame
+function decodeJsonFrame(data) {
+  if (!data.camera) return null;
+
+  // Remove data URL prefix if present
+  const base64Data = data.camera.includes(',') ? data.camera.split(',')[1] : data.camera;
+
+  return {
+    format: 'jpeg',
+    flags: 0,
+    facing: ['user', 'environment'].includes(data.facingMode) ? data.facingMode : null,
+    keyframe: true,
+    width: data.width || 640,
+    height: data.height || 480,
+    timestamp: data.timestamp || null,
+    sequence: 0,
+    data: Buffer.from(base64Data, 'base64')
+  };
+}
+
+module.exports = {
+  PROTOCOL_VERSION,
+  HEADER_SIZE,
+  FORMATS,
+  FLAGS,
+  decodeBinaryFrame,
+  decodeJsonFrame
+};
@@ -4,10 +4,36 @@
  * This file serves as the entry point for the mobile sensor bridge application.
  * It loads configuration, initializes components, and manages the application lifecycle.
  */
-const fs = require('fs');
 const path = require('path');
-const yaml = require('js-yaml');
 const Logger = require('./logger');
+const configStore = require('./config_store');
+const configOverrides = require('./config_overrides');
+
+// Settings from the environment and command line override the config file
+const overrides = configOverrides.parseOverrides();
+overrides.errors.forEach(issue => Logger.error('CONFIG', `${issue.source}: ${issue.message}`));
+if (overrides.errors.length > 0) {
+  process.exit(1);
+}
+configStore.setOverrides(overrides.overrides);
+
+const CONFIG_FILE = overrides.configFile ?
+  path.resolve(overrides.configFile) :
+  path.join(__dirname, '../../config/config.yaml');
+
+// --check-config: validate the config, report every problem and exit without starting the bridge
+if (overrides.checkConfig) {
+  process.exit(configStore.checkConfig(CONFIG_FILE) ? 0 : 1);
+}
+
+// Loaded after the config check, which has to work without a sourced ROS environment
+const auth = require('./auth');
+const connect = require('./connect');
+const certificates = require('./certificates');
+const serverOptions = require('./server_options');
+const streamQueue = require('./stream_queue');
+const clockSync = require('./clock_sync');
+const rosClock = require('./ros_clock');
 
 // Import modular components
 const rosInterface = require('./ros_interface');
@@ -17,13 +43,22 @@ const websocketHandlers = require('./websocket_handlers');
 // Keep app startup header
 Logger.drawHeader('MOBILE SENSOR BRIDGE');
 
-// Load configuration from YAML file
+// Load configuration from YAML file, refusing to start with an invalid one
 let config = {};
 try {
-  const configFile = fs.readFileSync(path.join(__dirname, '../../config/config.yaml'), 'utf8');
-  config = yaml.load(configFile);
-  Logger.success('CONFIG', 'Configuration loaded successfully');
-  
+  config = configStore.loadConfig(CONFIG_FILE);
+  Logger.success('CONFIG', `Configuration loaded from ${CONFIG_FILE}` +
+    (overrides.overrides.length > 0 ? ` with ${overrides.overrides.length} override(s)` : ''));
+} catch (e) {
+  // Keep error logs for configuration issues
+  Logger.error('CONFIG', `Error loading configuration: ${e.message}`);
+  Logger.error('CONFIG', 'Fix the errors above (run with --check-config to validate without starting)');
+  process.exit(1);
+}
+configStore.setConfig(config);
+
+// Apply the settings that can change while running (at startup and on every reload)
+function applyConfig(config) {
   // Set debug mode from config if available - handle new nested structure
   if (config.debug && config.debug.debug_logging !== undefined) {
     Logger.setDebugEnabled(config.debug.debug_logging === true);
@@ -34,21 +69,26 @@ try {
     Logger.setFancyLoggingEnabled(config.debug.color_logging === true);
     Logger.info('CONFIG', `Fancy logging ${config.debug.color_logging ? 'enabled' : 'disabled'}`);
   }
-} catch (e) {
-  // Keep error logs for configuration issues
-  Logger.error('CONFIG', `Error loading configuration: ${e.message}`);
-  config = { 
-    camera: { facingMode: "user" },
-    audio: { mode: "wav", enabled: true }
-  }; // Default config
-  Logger.info('CONFIG', 'Using default configuration');
+  
+  streamQueue.initStreamQueues(config);
+  clockSync.initClockSync(config);
+  rosClock.initRosClock(config);
+  rosInterface.applyConfig(config);
 }
 
+// Set up pairing before anything accepts connections
+auth.initAuth(config);
+connect.initConnect(config);
+certificates.initCertificates(config);
+serverOptions.initServerOptions(config);
+applyConfig(config);
+configStore.onConfigChange(applyConfig);
+
 // Initialize Express application
 const app = expressServer.createExpressApp(config);
 
-// Create HTTPS server
-const server = expressServer.createHttpsServer(app);
+// Create HTTPS server (or plain HTTP behind a reverse proxy)
+const server = expressServer.createServer(app);
 
 // Initialize WebSocket handlers
 const wsServers = websocketHandlers.initWebSockets(server);
@@ -57,16 +97,25 @@ const wsServers = websocketHandlers.initWebSockets(server);
 async function startApp() {
   try {
     // Initialize ROS2 node
-    await rosInterface.initRos(wsServers.tts, wsServers.wavAudio);
+    await rosInterface.initRos(wsServers.tts, wsServers.wavAudio, config);
     // Keep ROS initialization success log
     Logger.success('ROS', 'ROS2 nodes initialized successfully');
     
-    // Start the HTTPS server
-    const port = process.env.PORT || 4000;
-    await expressServer.startServer(server, port);
+    // Sensor enable services, answered by the phones over the control channel
+    rosInterface.createSensorServices(websocketHandlers.SWITCHABLE_SENSORS, websocketHandlers.setSensorEnabled);
+    rosInterface.createKeyframeService(websocketHandlers.requestKeyframe);
+    rosInterface.createCameraControlsService(websocketHandlers.getCameraControls);
+    rosInterface.createCaptureService(websocketHandlers.captureStill);
+    
+    // Start the web server
+    const { port, host } = serverOptions.getServerOptions();
+    await expressServer.startServer(server, port, host);
     
     // Start ROS2 spinning
     rosInterface.startSpinning();
+    
+    // Push config.yaml edits to the running bridge and connected phones
+    configStore.watchConfig();
     // Keep application startup success log
     Logger.success('APP', 'ROS sensor bridge activated successfully');
     
@@ -86,6 +135,7 @@ async function shutdown() {
   
   try {
     // Close all WebSocket connections
+    configStore.stopWatching();
     websocketHandlers.closeAllConnections();
     // Comment out less critical shutdown logs
     // Logger.info('WS', 'WebSocket connections closed');
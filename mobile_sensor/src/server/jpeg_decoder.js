@@ -0,0 +1,124 @@
+/**
+ * JPEG Decoder
+ * Decodes camera frames for the raw image topic in a worker thread, so the event
+ * loop keeps serving the sockets while a frame is decoded.
+ *
+ * One frame is decoded at a time. A frame arriving while the worker is busy waits
+ * in a single slot, replacing any frame already waiting there (the replaced one
+ * resolves to null), so a slow decoder skips frames instead of falling behind.
+ */
+const path = require('path');
+const { Worker } = require('worker_threads');
+const Logger = require('./logger');
+
+const WORKER_FILE = path.join(__dirname, 'jpeg_decoder_worker.js');
+
+// Pixel encodings the worker can produce (sensor_msgs/Image encoding names)
+const ENCODINGS = ['rgb8', 'bgr8', 'mono8'];
+
+let worker = null;
+let nextId = 1;
+let inFlight = null; // { id, resolve, reject }
+let waiting = null;  // { data, encoding, resolve, reject }
+
+const stats = {
+  decoded: 0,
+  skipped: 0,
+  failed: 0
+};
+
+function startWorker() {
+  worker = new Worker(WORKER_FILE);
+  worker.on('message', onMessage);
+  worker.on('error', (error) => {
+    Logger.error('ROS', `JPEG decoder worker failed: ${error.message}`);
+  });
+  worker.on('exit', (code) => {
+    worker = null;
+    if (inFlight) {
+      inFlight.reject(new Error(`JPEG decoder worker exited with code ${code}`));
+      inFlight = null;
+    }
+    // The next frame starts a new worker
+    if (waiting) {
+      const frame = waiting;
+      waiting = null;
+      send(frame);
+    }
+  });
+  // Do not keep the process alive for an idle worker
+  worker.unref();
+}
+
+function send(frame) {
+  if (!worker) {
+    startWorker();
+  }
+  const id = nextId++;
+  inFlight = { id, resolve: frame.resolve, reject: frame.reject };
+  worker.postMessage({ id, data: frame.data, encoding: frame.encoding }, [frame.data.buffer]);
+}
+
+function onMessage(result) {
+  const request = inFlight;
+  inFlight = null;
+  if (waiting) {
+    const frame = waiting;
+    waiting = null;
+    send(frame);
+  }
+  if (!request || request.id !== result.id) return;
+
+  if (result.error) {
+    stats.failed++;
+    request.reject(new Error(result.error));
+    return;
+  }
+  stats.decoded++;
+  request.resolve({
+    width: result.width,
+    height: result.height,
+    encoding: result.encoding,
+    step: result.step,
+    data: result.data
+  });
+}
+
+// Decode a JPEG (Buffer/Uint8Array) to { width, height, encoding, step, data }.
+// Resolves to null if the frame was skipped for a newer one
+function decodeJpeg(jpegData, encoding = 'rgb8') {
+  return new Promise((resolve, reject) => {
+    // Copy into a buffer of its own, it is transferred to the worker
+    const frame = { data: new Uint8Array(jpegData), encoding, resolve, reject };
+    if (!inFlight) {
+      send(frame);
+      return;
+    }
+    if (waiting) {
+      stats.skipped++;
+      waiting.resolve(null);
+    }
+    waiting = frame;
+  });
+}
+
+function getDecoderStats() {
+  return Object.assign({ running: worker !== null }, stats);
+}
+
+function stopDecoder() {
+  if (waiting) {
+    waiting.resolve(null);
+    waiting = null;
+  }
+  if (worker) {
+    worker.terminate();
+  }
+}
+
+module.exports = {
+  ENCODINGS,
+  decodeJpeg,
+  getDecoderStats,
+  stopDecoder
+};
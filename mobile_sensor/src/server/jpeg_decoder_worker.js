@@ -0,0 +1,54 @@
+/**
+ * JPEG Decoder Worker
+ * Runs in a worker thread (see jpeg_decoder.js): decodes a JPEG frame and converts
+ * it to the pixel layout of a sensor_msgs/Image encoding (rgb8, bgr8 or mono8)
+ */
+const { parentPort } = require('worker_threads');
+const jpeg = require('jpeg-js');
+
+// Refuse frames larger than any phone camera stream, a corrupt header could claim gigapixels
+const MAX_RESOLUTION_MP = 50;
+
+// Convert packed RGB to the requested encoding, in place where the size allows
+function convertPixels(rgb, width, height, encoding) {
+  const pixels = width * height;
+  if (encoding === 'bgr8') {
+    for (let i = 0; i < pixels * 3; i += 3) {
+      const red = rgb[i];
+      rgb[i] = rgb[i + 2];
+      rgb[i + 2] = red;
+    }
+    return rgb;
+  }
+  if (encoding === 'mono8') {
+    const mono = new Uint8Array(pixels);
+    for (let i = 0, j = 0; i < pixels; i++, j += 3) {
+      // ITU-R BT.601 luma, as OpenCV's RGB2GRAY
+      mono[i] = (rgb[j] * 299 + rgb[j + 1] * 587 + rgb[j + 2] * 114 + 500) / 1000;
+    }
+    return mono;
+  }
+  return rgb;
+}
+
+parentPort.on('message', ({ id, data, encoding }) => {
+  try {
+    const image = jpeg.decode(data, {
+      useTArray: true,
+      formatAsRGBA: false,
+      maxResolutionInMP: MAX_RESOLUTION_MP
+    });
+    const pixels = convertPixels(image.data, image.width, image.height, encoding);
+    const channels = encoding === 'mono8' ? 1 : 3;
+    parentPort.postMessage({
+      id,
+      width: image.width,
+      height: image.height,
+      encoding,
+      step: image.width * channels,
+      data: pixels
+    }, [pixels.buffer]);
+  } catch (error) {
+    parentPort.postMessage({ id, error: error.message });
+  }
+});
@@ -0,0 +1,162 @@
+/**
+ * Metrics
+ * Per-stream counters for the WebSocket servers and rendering of the bridge
+ * status as JSON (/api/status) and Prometheus text format (/metrics)
+ */
+
+// Message and byte rates are averaged over this window
+const RATE_WINDOW_MS = 5000;
+
+const startedAt = Date.now();
+
+// Counters keyed by stream name (the keys of the WebSocket servers in websocket_handlers.js)
+const streams = {};
+
+function getStream(name) {
+  if (!streams[name]) {
+    streams[name] = {
+      server: null,
+      messages: 0,
+      bytes: 0,
+      parseErrors: 0,
+      publishFailures: 0,
+      lastMessageAt: null,
+      messageRate: 0,
+      byteRate: 0,
+      window: { start: Date.now(), messages: 0, bytes: 0 }
+    };
+  }
+  return streams[name];
+}
+
+// Attach a WebSocket server so its client count is reported
+function registerStream(name, wss) {
+  getStream(name).server = wss;
+}
+
+// Close the rate window once it is long enough
+function rollWindow(stream, now) {
+  const elapsed = now - stream.window.start;
+  if (elapsed < RATE_WINDOW_MS) return;
+
+  stream.messageRate = stream.window.messages * 1000 / elapsed;
+  stream.byteRate = stream.window.bytes * 1000 / elapsed;
+  stream.window = { start: now, messages: 0, bytes: 0 };
+}
+
+// Count a message received from (sensors) or sent to (tts, wavAudio) a phone
+function recordMessage(name, bytes) {
+  const stream = getStream(name);
+  const now = Date.now();
+  rollWindow(stream, now);
+
+  stream.messages++;
+  stream.bytes += bytes;
+  stream.window.messages++;
+  stream.window.bytes += bytes;
+  stream.lastMessageAt = now;
+}
+
+function recordParseError(name) {
+  getStream(name).parseErrors++;
+}
+
+function recordPublishFailure(name) {
+  getStream(name).publishFailures++;
+}
+
+function getStreamMetrics() {
+  const now = Date.now();
+  const result = {};
+
+  for (const [name, stream] of Object.entries(streams)) {
+    rollWindow(stream, now);
+    result[name] = {
+      clients: stream.server ? stream.server.clients.size : 0,
+      messages_total: stream.messages,
+      bytes_total: stream.bytes,
+      message_rate: Number(stream.messageRate.toFixed(2)),
+      bytes_per_second: Math.round(stream.byteRate),
+      parse_errors: stream.parseErrors,
+      publish_failures: stream.publishFailures,
+      last_message_age_s: stream.lastMessageAt === null ? null : (now - stream.lastMessageAt) / 1000
+    };
+  }
+  return result;
+}
+
+function getProcessMetrics() {
+  const memory = process.memoryUsage();
+  return {
+    uptime_s: Math.round((Date.now() - startedAt) / 1000),
+    memory: {
+      rss: memory.rss,
+      heap_used: memory.heapUsed,
+      heap_total: memory.heapTotal,
+      external: memory.external
+    }
+  };
+}
+
+// Escape a Prometheus label value
+function label(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+// Render a status object (as served by /api/status) in Prometheus text format
+function toPrometheus(status) {
+  const lines = [];
+  const metric = (name, type, help, samples) => {
+    lines.push(`# HELP ${name} ${help}`);
+    lines.push(`# TYPE ${name} ${type}`);
+    samples.forEach(([labels, value]) => {
+      if (value === null || value === undefined) return;
+      const labelText = Object.entries(labels).map(([key, val]) => `${key}="${label(val)}"`).join(',');
+      lines.push(`${name}${labelText ? `{${labelText}}` : ''} ${value}`);
+    });
+  };
+  const perStream = (field) => Object.entries(status.streams).map(([name, s]) => [{ stream: name }, s[field]]);
+  const perQueue = (field) => Object.entries(status.queues).map(([name, q]) => [{ stream: name }, q[field]]);
+
+  metric('mobile_sensor_ws_clients', 'gauge', 'Connected WebSocket clients', perStream('clients'));
+  metric('mobile_sensor_ws_messages_total', 'counter', 'WebSocket messages handled', perStream('messages_total'));
+  metric('mobile_sensor_ws_bytes_total', 'counter', 'WebSocket payload bytes handled', perStream('bytes_total'));
+  metric('mobile_sensor_ws_message_rate', 'gauge', 'WebSocket messages per second', perStream('message_rate'));
+  metric('mobile_sensor_ws_bytes_per_second', 'gauge', 'WebSocket payload bytes per second', perStream('bytes_per_second'));
+  metric('mobile_sensor_ws_parse_errors_total', 'counter', 'Messages that could not be decoded', perStream('parse_errors'));
+  metric('mobile_sensor_ws_publish_failures_total', 'counter', 'Messages that could not be published to ROS', perStream('publish_failures'));
+  metric('mobile_sensor_ws_last_message_age_seconds', 'gauge', 'Seconds since the last message', perStream('last_message_age_s'));
+
+  metric('mobile_sensor_queue_depth', 'gauge', 'Messages waiting in ingestion queues', perQueue('queued'));
+  metric('mobile_sensor_queue_dropped_total', 'counter', 'Messages dropped by ingestion queues', perQueue('dropped'));
+
+  const perClock = (field) => status.clock
+    .filter(clock => clock.synchronized)
+    .map(clock => [{ stream: clock.stream, device: clock.device || '' }, clock[field]]);
+  metric('mobile_sensor_clock_offset_ms', 'gauge', 'Phone clock minus bridge clock', perClock('offset_ms'));
+  metric('mobile_sensor_clock_uncertainty_ms', 'gauge', 'Uncertainty of the clock offset', perClock('uncertainty_ms'));
+  metric('mobile_sensor_clock_drift_ppm', 'gauge', 'Phone clock drift relative to the bridge', perClock('drift_ppm'));
+
+  metric('mobile_sensor_ros_sim_time', 'gauge', 'Header stamps follow /clock (use_sim_time)',
+    [[{ stamp_source: status.time.stamp_source }, status.time.use_sim_time ? 1 : 0]]);
+  metric('mobile_sensor_ros_up', 'gauge', 'ROS node initialized and spinning', [[{}, status.ros.spinning ? 1 : 0]]);
+  metric('mobile_sensor_ros_devices', 'gauge', 'Phones with their own topic namespace', [[{}, status.ros.devices.length]]);
+  metric('mobile_sensor_ros_topic_subscribers', 'gauge', 'Subscribers per published topic',
+    status.ros.topics.map(topic => [{ topic: topic.name }, topic.subscribers]));
+
+  metric('mobile_sensor_process_uptime_seconds', 'gauge', 'Bridge uptime', [[{}, status.uptime_s]]);
+  metric('mobile_sensor_process_resident_memory_bytes', 'gauge', 'Resident memory', [[{}, status.memory.rss]]);
+  metric('mobile_sensor_process_heap_used_bytes', 'gauge', 'V8 heap in use', [[{}, status.memory.heap_used]]);
+
+  return lines.join('\n') + '\n';
+}
+
+module.exports = {
+  registerStream,
+  recordMessage,
+  recordParseError,
+  recordPublishFailure,
+  getStreamMetrics,
+  getProcessMetrics,
+  toPrometheus
+};
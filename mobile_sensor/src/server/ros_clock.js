@@ -0,0 +1,112 @@
+/**
+ * ROS Clock
+ * Source of every header stamp. Stamps come from the node clock, which follows
+ * /clock when use_sim_time is set (e.g. while a bag is replayed against the bridge).
+ *
+ * Stamp sources (time.stamp_source):
+ *   device   - the phone's capture time, moved to bridge time by clock_sync.js (default)
+ *   receive  - the time the bridge received the message
+ *   ros      - the node clock when the message is published
+ *
+ * Device and receive times are wall-clock events; under sim time they are placed
+ * at the same distance before the current sim time, so relative timing is kept.
+ */
+const Logger = require('./logger');
+
+const STAMP_SOURCES = ['device', 'receive', 'ros'];
+
+let settings = {
+  stampSource: 'device'
+};
+
+// Node whose clock is used, set once the node exists
+let rosNode = null;
+
+function initRosClock(config = {}) {
+  const time = config.time || {};
+  if (time.stamp_source !== undefined) {
+    if (STAMP_SOURCES.includes(time.stamp_source)) {
+      settings.stampSource = time.stamp_source;
+    } else {
+      Logger.warn('CONFIG', `Unknown time.stamp_source '${time.stamp_source}', using ${settings.stampSource}`);
+    }
+  }
+}
+
+// Use the node's clock (ROS time with use_sim_time, system time otherwise)
+function attachNode(node) {
+  rosNode = node;
+  Logger.info('ROS', `Header stamps from ${settings.stampSource} time` +
+    (isSimTime() ? ', following /clock (use_sim_time)' : ''));
+}
+
+function detachNode() {
+  rosNode = null;
+}
+
+function isSimTime() {
+  return rosNode !== null && rosNode.getClock().isRosTimeActive === true;
+}
+
+function fromMilliseconds(time) {
+  return {
+    sec: Math.floor(time / 1000),
+    nanosec: Math.floor((time % 1000) * 1000000)
+  };
+}
+
+// Current node clock time as a builtin_interfaces/Time
+function now() {
+  if (!rosNode) {
+    return fromMilliseconds(Date.now());
+  }
+  const nanoseconds = rosNode.getClock().now().nanoseconds;
+  return {
+    sec: Number(nanoseconds / 1000000000n),
+    nanosec: Number(nanoseconds % 1000000000n)
+  };
+}
+
+// Stamp for a wall-clock event (ms since epoch, bridge clock)
+function stampAt(eventTime) {
+  if (!isSimTime()) {
+    return fromMilliseconds(eventTime);
+  }
+  const current = now();
+  const age = Math.max(0, Date.now() - eventTime);
+  const time = current.sec * 1000 + current.nanosec / 1e6 - age;
+  return fromMilliseconds(Math.max(0, time));
+}
+
+// Stamp for a sensor message according to the configured source. deviceTime is
+// the phone's timestamp already converted to bridge time, or null if it sent none.
+function stampFor(deviceTime, receivedAt) {
+  switch (settings.stampSource) {
+    case 'ros':
+      return now();
+    case 'receive':
+      return stampAt(receivedAt);
+    default:
+      return stampAt(deviceTime || receivedAt);
+  }
+}
+
+// Clock state for the status endpoints
+function getTimeStatus() {
+  return {
+    stamp_source: settings.stampSource,
+    use_sim_time: isSimTime(),
+    now: now()
+  };
+}
+
+module.exports = {
+  STAMP_SOURCES,
+  initRosClock,
+  attachNode,
+  detachNode,
+  now,
+  stampAt,
+  stampFor,
+  getTimeStatus
+};
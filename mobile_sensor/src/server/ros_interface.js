@@ -5,6 +5,12 @@
 const rclnodejs = require('rclnodejs');
 const WebSocket = require('ws');
 const Logger = require('./logger');
+const metrics = require('./metrics');
+const rosClock = require('./ros_clock');
+const rosParameters = require('./ros_parameters');
+const configSchema = require('./config_schema');
+const cameraCalibration = require('./camera_calibration');
+const jpegDecoder = require('./jpeg_decoder');
 
 function eulerToQuaternion(roll, pitch, yaw) {
   // Convert degrees to radians
@@ -27,72 +33,122 @@ function eulerToQuaternion(roll, pitch, yaw) {
   return { x, y, z, w };
 }
 
-// Store all publishers for access from other modules
+// Publisher definitions shared by the default topics and per-device namespaces,
+// topic name, frame_id and enable flag come from the topics section of config.yaml
+const PUBLISHER_DEFINITIONS = {
+  compressed: { type: 'sensor_msgs/msg/CompressedImage', config: 'camera' },
+  cameraInfo: { type: 'sensor_msgs/msg/CameraInfo', config: 'camera_info' },
+  raw: { type: 'sensor_msgs/msg/Image', config: 'image_raw' }, // JPEG frames decoded while subscribed
+  video: { type: 'foxglove_msgs/msg/CompressedVideo', config: 'camera_video' }, // H.264 access units
+  ffmpeg: { type: 'ffmpeg_image_transport_msgs/msg/FFMPEGPacket', config: 'camera_ffmpeg' },
+  still: { type: 'sensor_msgs/msg/CompressedImage', config: 'image_still' }, // Photos of the capture service
+  pose: { type: 'geometry_msgs/msg/Pose', config: 'pose' },
+  microphone: { type: 'std_msgs/msg/String', config: 'microphone' }, // Changed from audio to microphone
+  imu: { type: 'sensor_msgs/msg/Imu', config: 'imu' }, // iOS and Android IMU data
+  gps: { type: 'sensor_msgs/msg/NavSatFix', config: 'gps' } // Location data as NavSatFix
+};
+
+// Camera channels (camera.channels): a phone streaming several cameras at once sends each one
+// on a camera socket of its own (/camera?channel=front), published on the channel's own topics
+// and frame_id, e.g. camera_front/image_raw/compressed in camera_front_frame.
+// Channel name -> facing of its camera, which selects the calibration
+const CAMERA_CHANNELS = { front: 'user', back: 'environment' };
+
+// Publishers a camera channel gets its own copy of
+const CAMERA_PUBLISHERS = ['compressed', 'cameraInfo', 'raw', 'video', 'ffmpeg', 'still'];
+
+// Topic settings (topics section of the config), read once in initRos
+let topicSettings = configSchema.getDefaults().topics;
+
+// QoS presets selectable per topic (topics.<name>.qos.profile)
+const { QoS } = rclnodejs;
+const QOS_PRESETS = {
+  default: () => QoS.profileDefault,                 // reliable, volatile, keep last 10
+  sensor_data: () => QoS.profileSensorData,          // best effort, volatile, keep last 5
+  system_default: () => QoS.profileSystemDefault,
+  // Late subscribers get the last message (latched), e.g. the latest GPS fix or CameraInfo
+  transient_local: () => new QoS(
+    QoS.HistoryPolicy.RMW_QOS_POLICY_HISTORY_KEEP_LAST,
+    1,
+    QoS.ReliabilityPolicy.RMW_QOS_POLICY_RELIABILITY_RELIABLE,
+    QoS.DurabilityPolicy.RMW_QOS_POLICY_DURABILITY_TRANSIENT_LOCAL
+  )
+};
+
+// Store all publishers for access from other modules (default, un-namespaced topics)
 let publishers = {
     compressed: null,
     cameraInfo: null,
+    raw: null,
+    video: null,
+    ffmpeg: null,
+    still: null,
     pose: null,
     microphone: null, // Changed from audio to microphone
     imu: null, // Added IMU publisher
     gps: null  // Added GPS publisher
 };
 
+// Per-device state keyed by device ID, the default device ('') uses the topics above.
+// Camera channels have an entry of their own, keyed by channelKey(deviceId, channel).
+// Each entry holds { publishers, services, framePrefix, channel, refCount, lastCameraInfo, facing }
+const DEFAULT_DEVICE = '';
+const devices = new Map();
+
 // Store node reference
 let rosNode = null;
+let spinning = false;
+
+// Camera publishing settings (updated from config in initRos)
+let cameraSettings = {
+  cameraInfoRate: 1.0, // Hz, CameraInfo is also republished whenever geometry changes (0 = on change only)
+  facingMode: 'environment', // Facing assumed for frames from clients that do not report it
+  rawEncoding: 'rgb8',       // Pixel encoding of the decoded image_raw topic
+  benchmark: false     // Log publish latency and throughput
+};
+
+// Publish statistics for benchmark mode
+const BENCHMARK_INTERVAL_MS = 5000;
+let benchmarkStats = {
+  frames: 0,
+  bytes: 0,
+  totalPublishMs: 0,
+  maxPublishMs: 0,
+  windowStart: Date.now()
+};
 
 // Initialize the ROS2 node and set up publishers and subscribers
-async function initRos(wssTTS, wssWavAudio) {
+async function initRos(wssTTS, wssWavAudio, config = {}) {
   await rclnodejs.init();
+  applyConfig(config);
+  if (config.topics) {
+    topicSettings = config.topics;
+  }
   
-  // Create the ROS node
-  const node = rclnodejs.createNode('mobile_sensor_node');
+  // Create the ROS node, topics are relative so they follow the configured namespace
+  const namespace = normalizeNamespace(config.ros && config.ros.namespace);
+  const node = rclnodejs.createNode('mobile_sensor_node', namespace);
   rosNode = node;
+  if (namespace) {
+    Logger.info('ROS', `Publishing under namespace ${namespace}`);
+  }
   
-  // Create publishers for camera data
-  publishers.compressed = node.createPublisher(
-    'sensor_msgs/msg/CompressedImage',
-    'camera/image_raw/compressed', // Changed to avoid topic type conflicts
-    { qos: { depth: 10 } }
-  );
-
-  publishers.cameraInfo = node.createPublisher(
-    'sensor_msgs/msg/CameraInfo',
-    'camera/camera_info', // Updated to match the new camera namespace
-    { qos: { depth: 10 } }
-  );
-
-  // Add pose publisher
-  publishers.pose = node.createPublisher(
-    'geometry_msgs/msg/Pose',
-    'mobile_sensor/pose',
-    { qos: { depth: 10 } }
-  );
-
-  // Add Microphone publisher (renamed from Audio to clarify this is input)
-  publishers.microphone = node.createPublisher(
-    'std_msgs/msg/String',
-    'mobile_sensor/speech',
-    { qos: { depth: 10 } }
-  );
+  // Header stamps follow the node clock, which honors use_sim_time
+  rosClock.attachNode(node);
   
-  // Add IMU publisher for iOS and Android sensor data
-  publishers.imu = node.createPublisher(
-    'sensor_msgs/msg/Imu',
-    'mobile_sensor/imu',
-    { qos: { depth: 10 } }
-  );
+  // Every config value is also a parameter, ros2 param set reconfigures the bridge and phones
+  rosParameters.declareParameters(node, config);
   
-  // Add GPS publisher for location data using NavSatFix
-  publishers.gps = node.createPublisher(
-    'sensor_msgs/msg/NavSatFix',
-    'mobile_sensor/gps',
-    { qos: { depth: 10 } }
-  );
+  // Create publishers for camera, pose, microphone, IMU and GPS data on the default topics
+  publishers = createPublishers(node, '');
+  devices.set(DEFAULT_DEVICE, createDeviceState(DEFAULT_DEVICE, '', null,
+    publishers, createCameraServices(node, DEFAULT_DEVICE, '')));
   
   // Add string subscriber for TTS
-  node.createSubscription(
+  createSubscription(
+    node,
+    'tts',
     'std_msgs/msg/String',
-    'mobile_sensor/tts',
     (msg) => {
       Logger.info('ROS', `Received TTS message: ${msg.data}`);
       
@@ -110,16 +166,17 @@ async function initRos(wssTTS, wssWavAudio) {
       wssTTS.clients.forEach(client => {
         if (client.readyState === WebSocket.OPEN) {
           client.send(msg.data);
+          metrics.recordMessage('tts', Buffer.byteLength(msg.data));
         }
       });
-    },
-    { qos: { depth: 10 } }
+    }
   );
   
   // Add UInt8MultiArray subscriber for WAV audio to handle both 'wav_bytes' and 'tts_wav' topics
-  node.createSubscription(
+  createSubscription(
+    node,
+    'tts_wav',
     'std_msgs/msg/UInt8MultiArray',
-    'mobile_sensor/tts_wav',
     (msg) => {
       try {
         const buffer = Buffer.from(msg.data);
@@ -136,6 +193,7 @@ async function initRos(wssTTS, wssWavAudio) {
         wssWavAudio.clients.forEach(client => {
           if (client.readyState === WebSocket.OPEN) {
             client.send(buffer);
+            metrics.recordMessage('wavAudio', buffer.length);
             clientCount++;
           }
         });
@@ -146,14 +204,14 @@ async function initRos(wssTTS, wssWavAudio) {
       } catch (error) {
         Logger.error('ROS', `Error processing audio data: ${error}`);
       }
-    },
-    { qos: { depth: 10 } }
+    }
   );
   
   // Also keep the original wav_bytes subscription for backward compatibility
-  node.createSubscription(
+  createSubscription(
+    node,
+    'wav_bytes',
     'std_msgs/msg/UInt8MultiArray',
-    'mobile_sensor/wav_bytes',
     (msg) => {
       try {
         const buffer = Buffer.from(msg.data);
@@ -170,6 +228,7 @@ async function initRos(wssTTS, wssWavAudio) {
         wssWavAudio.clients.forEach(client => {
           if (client.readyState === WebSocket.OPEN) {
             client.send(buffer);
+            metrics.recordMessage('wavAudio', buffer.length);
             clientCount++;
           }
         });
@@ -180,18 +239,370 @@ async function initRos(wssTTS, wssWavAudio) {
       } catch (error) {
         Logger.error('ROS', `Error processing audio data: ${error}`);
       }
-    },
-    { qos: { depth: 10 } }
+    }
   );
   
-  // console.log('ROS2 node initialized with camera, pose publisher, STT publishers and audio subscribers');
   return node;
 }
 
+// std_srvs/SetBool services that switch a sensor on the phones, e.g. mobile_sensor/camera/enable.
+// setSensorEnabled(sensor, enable) forwards the call and resolves with the response
+function createSensorServices(sensors, setSensorEnabled) {
+  for (const sensor of sensors) {
+    rosNode.createService('std_srvs/srv/SetBool', `mobile_sensor/${sensor}/enable`, async (request) => {
+      Logger.info('ROS', `${request.data ? 'Enabling' : 'Disabling'} ${sensor} on the phones`);
+      try {
+        const response = await setSensorEnabled(sensor, request.data);
+        Logger.info('ROS', `${sensor}/enable: ${response.message}`);
+        return response;
+      } catch (error) {
+        Logger.error('ROS', `Error switching ${sensor}: ${error.message}`);
+        return { success: false, message: error.message };
+      }
+    });
+  }
+  Logger.info('ROS', `Sensor enable services: ${sensors.map(sensor => `mobile_sensor/${sensor}/enable`).join(', ')}`);
+}
+
+// std_srvs/Trigger service asking the phones streaming H.264 for a keyframe, e.g. when a
+// viewer joins mid-stream. requestKeyframe() forwards it and returns the number of phones
+function createKeyframeService(requestKeyframe) {
+  const serviceName = 'mobile_sensor/camera/request_keyframe';
+  rosNode.createService('std_srvs/srv/Trigger', serviceName, () => {
+    const count = requestKeyframe();
+    Logger.info('ROS', `Keyframe requested from ${count} camera stream(s)`);
+    return count > 0 ?
+      { success: true, message: `Keyframe requested from ${count} camera stream(s)` } :
+      { success: false, message: 'No camera streaming' };
+  });
+  Logger.info('ROS', `Keyframe service: ${serviceName}`);
+}
+
+// mobile_sensor/CaptureStill service taking full-resolution photos with the phones (see
+// srv/CaptureStill.srv). captureStill(request) forwards it and resolves with the response.
+// Needs the package built and its rclnodejs bindings generated, without them the service is left out
+function createCaptureService(captureStill) {
+  const serviceName = 'mobile_sensor/camera/capture';
+  try {
+    rosNode.createService('mobile_sensor/srv/CaptureStill', serviceName, async (request) => {
+      try {
+        const response = await captureStill(request);
+        Logger.info('ROS', `camera/capture: ${response.message}`);
+        return response;
+      } catch (error) {
+        Logger.error('ROS', `Error capturing photos: ${error.message}`);
+        return { success: false, message: error.message, images: [] };
+      }
+    });
+  } catch (error) {
+    Logger.error('ROS', `Cannot create ${serviceName} (${error.message}), ` +
+      'build the package and run `npx generate-ros-messages` in it');
+    return;
+  }
+  Logger.info('ROS', `Capture service: ${serviceName}`);
+}
+
+// std_srvs/Trigger service reporting the camera controls of the connected phones: message is
+// JSON of getCameraControls() (capabilities and current settings of every running camera)
+function createCameraControlsService(getCameraControls) {
+  const serviceName = 'mobile_sensor/camera/get_controls';
+  rosNode.createService('std_srvs/srv/Trigger', serviceName, () => {
+    const phones = getCameraControls();
+    const cameras = phones.reduce((count, phone) => count + phone.cameras.length, 0);
+    return {
+      success: cameras > 0,
+      message: cameras > 0 ? JSON.stringify(phones) : 'No camera streaming'
+    };
+  });
+  Logger.info('ROS', `Camera controls service: ${serviceName}`);
+}
+
+// Apply camera publishing settings from config (at startup and on reload)
+function applyConfig(config = {}) {
+  const camera = config.camera || {};
+  if (camera.camera_info_rate !== undefined) {
+    cameraSettings.cameraInfoRate = Number(camera.camera_info_rate);
+  }
+  if (camera.facingMode !== undefined) {
+    cameraSettings.facingMode = camera.facingMode;
+  }
+  if (jpegDecoder.ENCODINGS.includes(camera.raw_encoding)) {
+    cameraSettings.rawEncoding = camera.raw_encoding;
+  }
+  cameraCalibration.initCameraCalibration(config);
+  const benchmark = !!(config.debug && config.debug.benchmark);
+  if (benchmark && !cameraSettings.benchmark) {
+    Logger.info('ROS', 'Benchmark mode enabled, logging camera publish statistics');
+  }
+  cameraSettings.benchmark = benchmark;
+}
+
+// Subscribe to a configured topic (topics.<key>), returns null if it is disabled
+function createSubscription(node, key, type, callback) {
+  const settings = topicSettings[key];
+  if (!settings.enabled) {
+    Logger.info('ROS', `Not subscribing to ${settings.topic} (topics.${key}.enabled is false)`);
+    return null;
+  }
+  return node.createSubscription(type, settings.topic, { qos: createQos(key) }, callback);
+}
+
+// QoS for a configured topic, a preset or the custom settings
+function createQos(key) {
+  const settings = topicSettings[key].qos;
+  if (settings.profile !== 'custom') {
+    return QOS_PRESETS[settings.profile]();
+  }
+  const policy = (value) => `RMW_QOS_POLICY_${value.toUpperCase()}`;
+  return new QoS(
+    QoS.HistoryPolicy[policy(`history_${settings.history}`)],
+    settings.depth,
+    QoS.ReliabilityPolicy[policy(`reliability_${settings.reliability}`)],
+    QoS.DurabilityPolicy[policy(`durability_${settings.durability}`)]
+  );
+}
+
+// Topic name under a device prefix: 'phone_front/' + 'mobile_sensor/imu', absolute names keep their root
+function prefixTopic(prefix, topic) {
+  return topic.startsWith('/') ? `/${prefix}${topic.slice(1)}` : `${prefix}${topic}`;
+}
+
+// Topic of a camera channel, the first name segment gets the channel:
+// 'camera/image_raw' -> 'camera_front/image_raw', '/camera/video' -> '/camera_front/video'
+function channelTopic(topic, channel) {
+  return channel ? topic.replace(/^(\/?[^/]+)/, `$1_${channel}`) : topic;
+}
+
+// frame_id of a camera channel: 'camera_frame' -> 'camera_front_frame', 'phone_cam' -> 'phone_cam_front'
+function channelFrameId(frameId, channel) {
+  if (!channel) return frameId;
+  return frameId.endsWith('_frame') ? `${frameId.slice(0, -'_frame'.length)}_${channel}_frame` : `${frameId}_${channel}`;
+}
+
+// Device state key of a camera channel ('' is the default device, device IDs have no '/')
+function channelKey(deviceId, channel) {
+  return `${deviceId}/${channel}`;
+}
+
+// Create one publisher per enabled definition, with topics under the given prefix (e.g. 'phone_front/').
+// A camera channel only gets the camera publishers, on its own topics.
+// A message type that is not installed (e.g. foxglove_msgs) leaves that publisher out
+function createPublishers(node, prefix, channel = null) {
+  const created = {};
+  for (const [key, definition] of Object.entries(PUBLISHER_DEFINITIONS)) {
+    const settings = topicSettings[definition.config];
+    created[key] = null;
+    if (!settings.enabled || (channel && !CAMERA_PUBLISHERS.includes(key))) continue;
+    const topic = prefixTopic(prefix, channelTopic(settings.topic, channel));
+    try {
+      created[key] = node.createPublisher(definition.type, topic, { qos: createQos(definition.config) });
+    } catch (error) {
+      Logger.error('ROS', `Cannot publish ${definition.type} on ${topic} (${error.message}), ` +
+        `install its message package or set topics.${definition.config}.enabled to false`);
+    }
+  }
+  return created;
+}
+
+// sensor_msgs/SetCameraInfo service next to the CameraInfo topic (camera/set_camera_info),
+// camera_calibration calls it to store a calibration for the facing the device streams
+function createCameraServices(node, deviceId, prefix, channel = null) {
+  const settings = topicSettings.camera_info;
+  if (!settings.enabled) return {};
+  
+  const key = channel ? channelKey(deviceId, channel) : deviceId;
+  const cameraInfoTopic = channelTopic(settings.topic, channel);
+  const serviceName = prefixTopic(prefix, cameraInfoTopic.replace(/[^/]*$/, 'set_camera_info'));
+  const setCameraInfo = node.createService('sensor_msgs/srv/SetCameraInfo', serviceName, (request) => {
+    const device = devices.get(key);
+    const facing = (device && device.facing) || (channel ? CAMERA_CHANNELS[channel] : cameraSettings.facingMode);
+    try {
+      const file = cameraCalibration.saveCalibration(deviceId, facing, request.camera_info);
+      if (device) {
+        // Publish the new CameraInfo with the next frame
+        device.lastCameraInfo.key = null;
+      }
+      return { success: true, status_message: `Stored calibration in ${file}` };
+    } catch (error) {
+      Logger.error('ROS', `Could not store camera calibration for ${deviceId || 'default'}_${facing}: ${error.message}`);
+      return { success: false, status_message: error.message };
+    }
+  });
+  return { setCameraInfo };
+}
+
+// frame_id for a topic's messages, under the device prefix
+function frameId(device, key) {
+  return `${device.framePrefix}${channelFrameId(topicSettings[key].frame_id, device.channel)}`;
+}
+
+// Facing of the camera behind a device state, for frames that do not report it
+function defaultFacing(device) {
+  return device.channel ? CAMERA_CHANNELS[device.channel] : cameraSettings.facingMode;
+}
+
+// State of a device (or one of its camera channels). Without publishers and services they
+// are created on first use, see openDeviceState
+function createDeviceState(deviceId, prefix, channel = null, devicePublishers = null, deviceServices = null) {
+  return {
+    deviceId: deviceId,
+    publishers: devicePublishers,
+    services: deviceServices,
+    framePrefix: prefix,
+    channel: channel,
+    refCount: 0,
+    // Last published CameraInfo, used to skip unchanged messages
+    lastCameraInfo: { key: null, time: 0 },
+    // Camera facing of the last frame, selects the calibration
+    facing: null
+  };
+}
+
+// 'robot1' -> '/robot1', '/robot1/' -> '/robot1', '' -> '' (root namespace)
+function normalizeNamespace(value) {
+  const trimmed = String(value || '').trim().replace(/^\/+|\/+$/g, '');
+  return trimmed ? `/${trimmed}` : '';
+}
+
+// Turn a client-supplied device ID into a valid ROS name token ('' = default device)
+function normalizeDeviceId(rawId) {
+  if (!rawId) return DEFAULT_DEVICE;
+  
+  let deviceId = String(rawId)
+    .trim()
+    .replace(/[^A-Za-z0-9_]/g, '_')
+    .replace(/_+/g, '_')
+    .replace(/^_|_$/g, '')
+    .slice(0, 64);
+  
+  // ROS names may not start with a digit
+  if (/^[0-9]/.test(deviceId)) {
+    deviceId = `device_${deviceId}`;
+  }
+  return deviceId;
+}
+
+// Register a connection from a device, creating its namespaced publishers on first use
+function acquireDevice(deviceId) {
+  if (!deviceId) return false;
+  acquireState(deviceId, deviceId, null);
+  return true;
+}
+
+// Release a connection from a device, destroying its publishers and services when the last one closes
+function releaseDevice(deviceId) {
+  if (!deviceId) return;
+  releaseState(deviceId);
+}
+
+// Register a camera connection streaming on a channel, creating the channel's publishers on first use
+function acquireCameraChannel(deviceId, channel) {
+  if (!CAMERA_CHANNELS[channel]) return false;
+  acquireState(channelKey(deviceId, channel), deviceId, channel);
+  return true;
+}
+
+// Release a camera connection streaming on a channel
+function releaseCameraChannel(deviceId, channel) {
+  releaseState(channelKey(deviceId, channel));
+}
+
+// 'device "phone"', 'camera channel front of device "phone"'
+function stateName(state) {
+  const device = `device "${state.deviceId}"`;
+  if (!state.channel) return device;
+  return `camera channel ${state.channel}` + (state.deviceId ? ` of ${device}` : '');
+}
+
+function acquireState(key, deviceId, channel) {
+  let state = devices.get(key);
+  if (!state) {
+    state = createDeviceState(deviceId, deviceId ? `${deviceId}/` : '', channel);
+    devices.set(key, state);
+  }
+  openDeviceState(state);
+  state.refCount++;
+}
+
+// Create the publishers and services of a device state that has none yet. A phone can
+// connect before initRos has finished, then they are created with its first message after it.
+// Returns true when the state has its publishers
+function openDeviceState(state) {
+  if (state.publishers) return true;
+  if (!rosNode) return false;
+  
+  state.publishers = createPublishers(rosNode, state.framePrefix, state.channel);
+  state.services = createCameraServices(rosNode, state.deviceId, state.framePrefix, state.channel);
+  Logger.info('ROS', `Created publishers for ${stateName(state)}` +
+    (state.framePrefix ? ` under /${state.framePrefix}` : ''));
+  return true;
+}
+
+function releaseState(key) {
+  const device = devices.get(key);
+  if (!device) return;
+  
+  device.refCount--;
+  if (device.refCount > 0) return;
+  
+  devices.delete(key);
+  if (!device.publishers) return;
+  try {
+    for (const publisher of Object.values(device.publishers)) {
+      if (publisher) {
+        rosNode.destroyPublisher(publisher);
+      }
+    }
+    for (const service of Object.values(device.services)) {
+      rosNode.destroyService(service);
+    }
+  } catch (error) {
+    Logger.error('ROS', `Error destroying publishers for ${stateName(device)}: ${error}`);
+  }
+  Logger.info('ROS', `Removed publishers for ${stateName(device)}`);
+}
+
+// Node state for the status endpoints: spinning flag, device namespaces and subscribers per topic
+function getRosStatus() {
+  const status = {
+    initialized: rosNode !== null,
+    spinning: spinning && !rclnodejs.isShutdown(),
+    node: rosNode ? rosNode.name() : null,
+    devices: Array.from(devices.entries())
+      .filter(([deviceId, device]) => deviceId !== DEFAULT_DEVICE && !device.channel)
+      .map(([deviceId]) => deviceId),
+    topics: [],
+    image_raw: jpegDecoder.getDecoderStats()
+  };
+  if (!status.spinning) return status;
+  
+  for (const device of devices.values()) {
+    if (!device.publishers) continue;
+    for (const publisher of Object.values(device.publishers)) {
+      if (!publisher) continue;
+      try {
+        status.topics.push({ name: publisher.topic, subscribers: rosNode.countSubscribers(publisher.topic) });
+      } catch (error) {
+        Logger.debug('ROS', `Could not count subscribers for ${publisher.topic}: ${error.message}`);
+      }
+    }
+  }
+  return status;
+}
+
+// Look up the device state for a message source ({ deviceId, channel }), falling back to the default topics
+function getDevice(source) {
+  const deviceId = (source && source.deviceId) || DEFAULT_DEVICE;
+  const key = source && source.channel ? channelKey(deviceId, source.channel) : deviceId;
+  const device = devices.get(key);
+  return device && openDeviceState(device) ? device : null;
+}
+
 // Method to start spinning the ROS node
 function startSpinning() {
   if (rosNode) {
     rclnodejs.spin(rosNode);
+    spinning = true;
     return true;
   }
   return false;
@@ -211,10 +622,15 @@ function shutdown() {
               publishers[pub] = null;
             }
           }
+          devices.clear();
         }
         
         // Shutdown the node
+        rosClock.detachNode();
+        rosParameters.detachNode();
+        jpegDecoder.stopDecoder();
         rclnodejs.shutdown();
+        spinning = false;
         Logger.success('ROS', 'ROS2 node shut down successfully');
       } catch (error) {
         Logger.error('ROS', `Error during ROS2 shutdown: ${error}`);
@@ -228,29 +644,10 @@ function shutdown() {
   });
 }
 
-// Method to publish camera data
-function publishCameraData(imageBuffer, width, height, timestamp) {
-  if (!publishers.compressed || !publishers.cameraInfo) return false;
-  
-  // Generate standard header
-  const header = {
-    stamp: timestamp || {
-      sec: Math.floor(Date.now() / 1000),
-      nanosec: (Date.now() % 1000) * 1000000
-    },
-    frame_id: 'camera_frame'
-  };
-  
-  // Publish CompressedImage message
-  const compressedMsg = {
-    header: header,
-    format: 'jpeg',
-    data: Array.from(imageBuffer)
-  };
-  publishers.compressed.publish(compressedMsg);
-  
-  // Publish CameraInfo message
-  const cameraInfoMsg = {
+// Build a CameraInfo message for the given image geometry, with the intrinsics of the
+// calibration (see camera_calibration.js) or an uncalibrated estimate if there is none
+function buildCameraInfo(header, width, height, calibration) {
+  return Object.assign({
     header: header,
     height: height,
     width: width,
@@ -280,15 +677,178 @@ function publishCameraData(imageBuffer, width, height, timestamp) {
       width: width,
       do_rectify: false
     }
+  }, calibration);
+}
+
+// CameraInfo only needs to go out when the geometry changes, or at the configured low rate
+function shouldPublishCameraInfo(lastCameraInfo, key, now) {
+  if (key !== lastCameraInfo.key) return true;
+  if (cameraSettings.cameraInfoRate <= 0) return false;
+  return now - lastCameraInfo.time >= 1000 / cameraSettings.cameraInfoRate;
+}
+
+// Accumulate publish statistics and log them periodically in benchmark mode
+function recordPublish(bytes, publishMs) {
+  benchmarkStats.frames++;
+  benchmarkStats.bytes += bytes;
+  benchmarkStats.totalPublishMs += publishMs;
+  benchmarkStats.maxPublishMs = Math.max(benchmarkStats.maxPublishMs, publishMs);
+  
+  const elapsedMs = Date.now() - benchmarkStats.windowStart;
+  if (elapsedMs < BENCHMARK_INTERVAL_MS) return;
+  
+  const seconds = elapsedMs / 1000;
+  Logger.info('BENCH', `Camera publish: ${(benchmarkStats.frames / seconds).toFixed(1)} fps, ` +
+    `${(benchmarkStats.bytes / seconds / 1024 / 1024).toFixed(2)} MB/s, ` +
+    `latency avg ${(benchmarkStats.totalPublishMs / benchmarkStats.frames).toFixed(3)} ms, ` +
+    `max ${benchmarkStats.maxPublishMs.toFixed(3)} ms`);
+  
+  benchmarkStats = {
+    frames: 0,
+    bytes: 0,
+    totalPublishMs: 0,
+    maxPublishMs: 0,
+    windowStart: Date.now()
+  };
+}
+
+// Method to publish camera data
+// imageBuffer is a Buffer/Uint8Array and is handed to rclnodejs as-is (no JS array copy),
+// facing ('user' or 'environment', null if the client does not report it) selects the calibration
+function publishCameraData(imageBuffer, width, height, timestamp, source, facing) {
+  const device = getDevice(source);
+  if (!device || !device.publishers.compressed) return false;
+  device.facing = facing || defaultFacing(device);
+  
+  // Generate standard header, CameraInfo shares the image's frame
+  const header = {
+    stamp: timestamp || rosClock.now(),
+    frame_id: frameId(device, 'camera')
+  };
+  
+  // Publish CompressedImage message
+  const compressedMsg = {
+    header: header,
+    format: 'jpeg',
+    data: imageBuffer
+  };
+  
+  const publishStart = cameraSettings.benchmark ? process.hrtime.bigint() : null;
+  device.publishers.compressed.publish(compressedMsg);
+  if (publishStart !== null) {
+    recordPublish(imageBuffer.length, Number(process.hrtime.bigint() - publishStart) / 1e6);
+  }
+  
+  publishCameraInfo(device, header, width, height, source);
+  publishRawImage(device, header, imageBuffer);
+  return true;
+}
+
+// Publish an H.264 access unit ({ data, width, height, keyframe, sequence, facing } from
+// frame_protocol.js) as CompressedVideo and FFMPEGPacket, whichever topics are enabled
+function publishVideoData(frame, timestamp, source) {
+  const device = getDevice(source);
+  if (!device || (!device.publishers.video && !device.publishers.ffmpeg)) return false;
+  device.facing = frame.facing || defaultFacing(device);
+  
+  const header = {
+    stamp: timestamp || rosClock.now(),
+    frame_id: frameId(device, 'camera')
   };
-  publishers.cameraInfo.publish(cameraInfoMsg);
   
+  const publishStart = cameraSettings.benchmark ? process.hrtime.bigint() : null;
+  if (device.publishers.video) {
+    device.publishers.video.publish({
+      timestamp: header.stamp,
+      frame_id: header.frame_id,
+      data: frame.data,
+      format: 'h264'
+    });
+  }
+  if (device.publishers.ffmpeg) {
+    device.publishers.ffmpeg.publish({
+      header: header,
+      width: frame.width,
+      height: frame.height,
+      encoding: 'h264',
+      // Frame number as the presentation time, the decoder hands it back with the image
+      pts: BigInt(frame.sequence),
+      flags: frame.keyframe ? 1 : 0, // AV_PKT_FLAG_KEY
+      is_bigendian: false,
+      data: frame.data
+    });
+  }
+  if (publishStart !== null) {
+    recordPublish(frame.data.length, Number(process.hrtime.bigint() - publishStart) / 1e6);
+  }
+  
+  publishCameraInfo(device, header, frame.width, frame.height, source);
   return true;
 }
 
+// Publish a photo of the capture service ({ data, facing } from frame_protocol.js) on the still
+// image topic of its device or channel. Returns the CompressedImage message, also when the
+// topic is disabled or the device has no publishers (it goes into the service response)
+function publishStillImage(frame, timestamp, source) {
+  const device = getDevice(source);
+  const deviceId = (source && source.deviceId) || DEFAULT_DEVICE;
+  // The frame_id the device's camera frames would have
+  const frameSource = device || { framePrefix: deviceId ? `${deviceId}/` : '', channel: (source && source.channel) || null };
+  const header = {
+    stamp: timestamp || rosClock.now(),
+    frame_id: frameId(frameSource, 'camera')
+  };
+  const message = {
+    header: header,
+    format: 'jpeg',
+    data: frame.data
+  };
+  if (device && device.publishers.still) {
+    device.publishers.still.publish(message);
+  }
+  return message;
+}
+
+// Publish the CameraInfo for a camera frame when needed
+function publishCameraInfo(device, header, width, height, source) {
+  const now = Date.now();
+  const infoKey = `${width}x${height}:${device.facing}`;
+  if (!device.publishers.cameraInfo || !shouldPublishCameraInfo(device.lastCameraInfo, infoKey, now)) return;
+  
+  const deviceId = (source && source.deviceId) || DEFAULT_DEVICE;
+  const calibration = cameraCalibration.getCalibration(deviceId, device.facing, width, height);
+  device.publishers.cameraInfo.publish(buildCameraInfo(header, width, height, calibration));
+  device.lastCameraInfo = { key: infoKey, time: now };
+}
+
+// Decode the frame for image_raw in the worker, only while something subscribes to it
+function publishRawImage(device, header, imageBuffer) {
+  const publisher = device.publishers.raw;
+  if (!publisher || rosNode.countSubscribers(publisher.topic) === 0) return;
+  
+  jpegDecoder.decodeJpeg(imageBuffer, cameraSettings.rawEncoding)
+    .then((image) => {
+      // Skipped for a newer frame, or the device disconnected meanwhile
+      if (!image || !Array.from(devices.values()).includes(device)) return;
+      publisher.publish({
+        header: header,
+        height: image.height,
+        width: image.width,
+        encoding: image.encoding,
+        is_bigendian: 0,
+        step: image.step,
+        data: image.data
+      });
+    })
+    .catch((error) => {
+      Logger.warn('ROS', `Could not decode camera frame for ${publisher.topic}: ${error.message}`);
+    });
+}
+
 // Method to publish pose data
-function publishPoseData(poseData, timestamp) {
-  if (!publishers.pose) return false;
+function publishPoseData(poseData, timestamp, source) {
+  const device = getDevice(source);
+  if (!device || !device.publishers.pose) return false;
   
   const poseMsg = {
     position: {
@@ -303,46 +863,40 @@ function publishPoseData(poseData, timestamp) {
       w: poseData.orientation.w
     }
   };
-  publishers.pose.publish(poseMsg);
+  device.publishers.pose.publish(poseMsg);
   
   return true;
 }
 
 // Method to publish speech transcription (renamed from publishAudioTranscription)
-function publishMicrophoneTranscription(transcription, timestamp) {
-  if (!publishers.microphone) return false;
+function publishMicrophoneTranscription(transcription, timestamp, source) {
+  const device = getDevice(source);
+  if (!device || !device.publishers.microphone) return false;
   
   // Create timestamped message with header
   const msg = {
     header: {
-      stamp: timestamp || {
-        sec: Math.floor(Date.now() / 1000),
-        nanosec: (Date.now() % 1000) * 1000000
-      },
-      frame_id: 'microphone_frame'
+      stamp: timestamp || rosClock.now(),
+      frame_id: frameId(device, 'microphone')
     },
     data: transcription
   };
-  publishers.microphone.publish(msg);
+  device.publishers.microphone.publish(msg);
   
   return true;
 }
 
 // Method to publish IMU data from iOS and Android sensors
-function publishIMUData(imuData, timestamp) {
-  if (!publishers.imu) return false;
+function publishIMUData(imuData, timestamp, source) {
+  const device = getDevice(source);
+  if (!device || !device.publishers.imu) return false;
   
   // Generate standard header
   const header = {
-    stamp: timestamp || {
-      sec: Math.floor(Date.now() / 1000),
-      nanosec: (Date.now() % 1000) * 1000000
-    },
-    frame_id: 'imu_frame'
+    stamp: timestamp || rosClock.now(),
+    frame_id: frameId(device, 'imu')
   };
 
-  // console.log(imuData.magnetometer.z);
-  
   const { 
     x: qx,
     y: qy,
@@ -354,7 +908,6 @@ function publishIMUData(imuData, timestamp) {
     imuData.magnetometer.z || 0.0
   );
     
-  // console.log(eulerToQuaternion(0, 0, imuData.magnetometer.z || 0.0)); 
   // Create IMU message according to sensor_msgs/msg/Imu format
   // http://docs.ros.org/en/melodic/api/sensor_msgs/html/msg/Imu.html
   const imuMsg = {
@@ -392,21 +945,19 @@ function publishIMUData(imuData, timestamp) {
     linear_acceleration_covariance: new Array(9).fill(-1)
   };
   
-  publishers.imu.publish(imuMsg);
+  device.publishers.imu.publish(imuMsg);
   return true;
 }
 
 // Method to publish GPS data using sensor_msgs/NavSatFix
-function publishGPSData(gpsData, timestamp) {
-  if (!publishers.gps) return false;
+function publishGPSData(gpsData, timestamp, source) {
+  const device = getDevice(source);
+  if (!device || !device.publishers.gps) return false;
   
   // Generate standard header
   const header = {
-    stamp: timestamp || {
-      sec: Math.floor(Date.now() / 1000),
-      nanosec: (Date.now() % 1000) * 1000000
-    },
-    frame_id: 'gps_frame'
+    stamp: timestamp || rosClock.now(),
+    frame_id: frameId(device, 'gps')
   };
   
   // Handle altitude - can be null from geolocation API
@@ -445,18 +996,32 @@ function publishGPSData(gpsData, timestamp) {
     position_covariance_type: 2  // COVARIANCE_TYPE_DIAGONAL_KNOWN
   };
   
-  publishers.gps.publish(navSatFixMsg);
+  device.publishers.gps.publish(navSatFixMsg);
   return true;
 }
 
 module.exports = {
   initRos,
+  applyConfig,
+  createSensorServices,
+  createKeyframeService,
+  createCameraControlsService,
+  createCaptureService,
   startSpinning,
   shutdown,
   publishCameraData,
+  publishVideoData,
+  publishStillImage,
   publishPoseData,
   publishMicrophoneTranscription, // Renamed from publishAudioTranscription
   publishIMUData, // Added for iOS IMU sensor data
   publishGPSData, // Added for GPS location data
+  normalizeDeviceId,
+  acquireDevice,
+  releaseDevice,
+  acquireCameraChannel,
+  releaseCameraChannel,
+  CAMERA_CHANNELS,
+  getRosStatus,
   getPublishers: () => publishers
 };
\ No newline at end of file
@@ -0,0 +1,187 @@
+/**
+ * ROS Parameters
+ * Declares every config value as a parameter of mobile_sensor_node, named by its
+ * key path (camera.fps, imu.sample_rate, audio.tts.voice_preference, ...), with the
+ * schema's description, range and allowed values in the descriptor.
+ *
+ * `ros2 param set` is validated against the schema and applied like a config.yaml
+ * edit, so the bridge and the connected phones (over /control) follow it live.
+ * Settings only read at startup (server, ssl, ...) are declared read-only.
+ */
+const rclnodejs = require('rclnodejs');
+const Logger = require('./logger');
+const configSchema = require('./config_schema');
+const configStore = require('./config_store');
+const configOverrides = require('./config_overrides');
+
+const { Parameter, ParameterDescriptor, ParameterType, IntegerRange, FloatingPointRange } = rclnodejs;
+
+const PARAMETER_TYPES = {
+  boolean: ParameterType.PARAMETER_BOOL,
+  integer: ParameterType.PARAMETER_INTEGER,
+  number: ParameterType.PARAMETER_DOUBLE,
+  string: ParameterType.PARAMETER_STRING,
+  array: ParameterType.PARAMETER_STRING_ARRAY
+};
+
+const SOURCE = 'ros2 param set';
+
+let rosNode = null;
+
+// Parameter name -> config key path, for the declared parameters
+const keyPaths = new Map();
+
+// Set while a change passes between parameters and config, so it is not applied back
+let syncing = false;
+
+function isReadOnly(keyPath) {
+  return configStore.RESTART_SECTIONS.includes(keyPath.split('.')[0]);
+}
+
+// Schema value -> parameter value (integers are BigInt in rclnodejs)
+function toParameterValue(rule, value) {
+  return rule.type === 'integer' ? BigInt(value) : value;
+}
+
+function fromParameterValue(value) {
+  return typeof value === 'bigint' ? Number(value) : value;
+}
+
+// Constraints as text, ros2 param describe shows them next to the description
+function describeConstraints(rule, readOnly) {
+  const constraints = [];
+  if (rule.min !== undefined && rule.max !== undefined) {
+    constraints.push(`${rule.min} to ${rule.max}`);
+  } else if (rule.min !== undefined) {
+    constraints.push(`at least ${rule.min}`);
+  }
+  const options = rule.enum || (rule.items && rule.items.enum);
+  if (options) {
+    constraints.push(`${rule.items ? 'each one' : 'one'} of: ${options.join(', ')}`);
+  }
+  if (rule.minLength) {
+    constraints.push('not empty');
+  }
+  if (rule.pattern) {
+    constraints.push('a valid ROS name');
+  }
+  if (readOnly) {
+    constraints.push('read only, set in config.yaml or on the command line and restart');
+  }
+  return constraints.join('; ');
+}
+
+function createDescriptor(keyPath, rule) {
+  const readOnly = isReadOnly(keyPath);
+  const type = PARAMETER_TYPES[rule.type];
+  const descriptor = new ParameterDescriptor(
+    configOverrides.parameterName(keyPath),
+    type,
+    rule.description || `config.yaml ${keyPath}`,
+    readOnly
+  );
+  if (rule.min !== undefined && rule.max !== undefined) {
+    descriptor.range = rule.type === 'integer' ?
+      new IntegerRange(BigInt(rule.min), BigInt(rule.max), 1n) :
+      new FloatingPointRange(rule.min, rule.max, 0);
+  }
+  descriptor.additionalConstraints = describeConstraints(rule, readOnly);
+  return descriptor;
+}
+
+function getPath(config, keyPath) {
+  return keyPath.split('.').reduce((node, key) => (node ? node[key] : undefined), config);
+}
+
+// Declare a parameter for every config key, holding the current (layered) value
+function declareParameters(node, config) {
+  rosNode = node;
+  const parameters = [];
+  const descriptors = [];
+
+  for (const keyPath of configSchema.leafPaths()) {
+    const rule = configSchema.getRule(keyPath);
+    const name = configOverrides.parameterName(keyPath);
+    const value = getPath(config, keyPath);
+    parameters.push(new Parameter(name, PARAMETER_TYPES[rule.type], toParameterValue(rule, value)));
+    descriptors.push(createDescriptor(keyPath, rule));
+    keyPaths.set(name, keyPath);
+  }
+
+  // The config already includes -p and --params-file values, so rcl's own overrides are ignored
+  node.declareParameters(parameters, descriptors, true);
+  node.addOnSetParametersCallback(onSetParameters);
+  configStore.onConfigChange(syncParameters);
+  Logger.info('ROS', `Declared ${parameters.length} config parameters, change them with ros2 param set`);
+}
+
+// Validate and apply parameter changes, rejecting the whole set if one value is invalid
+function onSetParameters(parameters) {
+  if (syncing) {
+    return { successful: true, reason: '' };
+  }
+
+  const values = {};
+  for (const parameter of parameters) {
+    const keyPath = keyPaths.get(parameter.name);
+    // use_sim_time and other parameters handled by rclnodejs
+    if (!keyPath) continue;
+    values[keyPath] = fromParameterValue(parameter.value);
+  }
+  if (Object.keys(values).length === 0) {
+    return { successful: true, reason: '' };
+  }
+
+  syncing = true;
+  let errors;
+  try {
+    errors = configStore.setValues(values, SOURCE);
+  } finally {
+    syncing = false;
+  }
+  if (errors.length > 0) {
+    const reason = errors.map(issue => `${configOverrides.parameterName(issue.path)}: ${issue.message}`).join('; ');
+    Logger.warn('ROS', `Rejected parameter change: ${reason}`);
+    return { successful: false, reason };
+  }
+  return { successful: true, reason: '' };
+}
+
+// Keep the parameters in step with config.yaml reloads
+function syncParameters(config, changed) {
+  if (!rosNode || syncing) return;
+
+  const updates = [];
+  for (const [name, keyPath] of keyPaths) {
+    if (!changed.includes(keyPath.split('.')[0]) || isReadOnly(keyPath)) continue;
+
+    const value = getPath(config, keyPath);
+    const current = rosNode.getParameter(name);
+    if (current && JSON.stringify(fromParameterValue(current.value)) === JSON.stringify(value)) continue;
+
+    const rule = configSchema.getRule(keyPath);
+    updates.push(new Parameter(name, PARAMETER_TYPES[rule.type], toParameterValue(rule, value)));
+  }
+  if (updates.length === 0) return;
+
+  syncing = true;
+  try {
+    rosNode.setParameters(updates).forEach((result, index) => {
+      if (!result.successful) {
+        Logger.warn('ROS', `Could not update parameter ${updates[index].name}: ${result.reason}`);
+      }
+    });
+  } finally {
+    syncing = false;
+  }
+}
+
+function detachNode() {
+  rosNode = null;
+  keyPaths.clear();
+}
+
+module.exports = {
+  declareParameters,
+  detachNode
+};
@@ -0,0 +1,101 @@
+/**
+ * Server Options
+ * Listener protocol, base path and reverse proxy settings shared by the
+ * Express routes, the WebSocket upgrade handler and the connect links
+ */
+const Logger = require('./logger');
+
+const PROTOCOLS = ['https', 'http'];
+
+// Server settings (updated from config in initServerOptions)
+let options = {
+  port: 4000,         // Listening port
+  host: '0.0.0.0',    // Bind address, e.g. '127.0.0.1' to only accept a local proxy
+  protocol: 'https',  // 'http' when a TLS-terminating proxy sits in front of the bridge
+  basePath: '',       // Sub-path everything is served under, e.g. '/sensors' ('' = root)
+  trustProxy: false,  // Take the client address from the hop the proxy added to X-Forwarded-For
+  publicUrl: ''       // URL phones use to reach the bridge through the proxy (used for connect links)
+};
+
+function initServerOptions(config = {}) {
+  const server = config.server || {};
+
+  if (server.port !== undefined) {
+    options.port = Number(server.port);
+  }
+  if (server.host) {
+    options.host = String(server.host);
+  }
+  if (server.protocol !== undefined) {
+    const protocol = String(server.protocol).toLowerCase();
+    if (PROTOCOLS.includes(protocol)) {
+      options.protocol = protocol;
+    } else {
+      Logger.warn('SERVER', `Unknown server.protocol '${server.protocol}', using https`);
+    }
+  }
+  if (server.base_path !== undefined) {
+    options.basePath = normalizeBasePath(server.base_path);
+  }
+  if (server.trust_proxy !== undefined) {
+    options.trustProxy = server.trust_proxy === true;
+  }
+  if (server.public_url) {
+    options.publicUrl = String(server.public_url).replace(/\/+$/, '');
+  }
+
+  if (options.protocol === 'http' && !options.trustProxy) {
+    Logger.warn('SERVER', 'Plain HTTP without server.trust_proxy: phones behind the proxy share its address in the audit log and pairing rate limit');
+  }
+}
+
+function getServerOptions() {
+  return options;
+}
+
+// '/sensors/' -> '/sensors', 'sensors' -> '/sensors', '/' -> ''
+function normalizeBasePath(value) {
+  const trimmed = String(value || '').trim().replace(/^\/+|\/+$/g, '');
+  return trimmed ? `/${trimmed}` : '';
+}
+
+// Remove the base path from a request path, returns null if the path is outside it
+function stripBasePath(pathname) {
+  if (!options.basePath) {
+    return pathname;
+  }
+  if (pathname.startsWith(`${options.basePath}/`)) {
+    return pathname.slice(options.basePath.length);
+  }
+  return null;
+}
+
+// Express 'trust proxy' setting: one hop, the proxy in front of the bridge
+function getTrustProxySetting() {
+  return options.trustProxy ? 1 : false;
+}
+
+// Client address of a raw HTTP request (WebSocket upgrades), honoring the proxy
+// header the same way Express does for req.ip. Only the rightmost X-Forwarded-For
+// entry comes from the proxy, the ones before it are whatever the client sent
+function getClientAddress(request) {
+  if (options.trustProxy) {
+    const forwarded = String(request.headers['x-forwarded-for'] || '')
+      .split(',')
+      .map(entry => entry.trim())
+      .filter(Boolean);
+    if (forwarded.length > 0) {
+      return forwarded[forwarded.length - 1];
+    }
+  }
+  return request.socket.remoteAddress;
+}
+
+module.exports = {
+  initServerOptions,
+  getServerOptions,
+  normalizeBasePath,
+  stripBasePath,
+  getTrustProxySetting,
+  getClientAddress
+};
@@ -0,0 +1,197 @@
+/**
+ * Stream Queues
+ * Bounded ingestion queue per sensor connection. Messages are queued on receipt
+ * and published one at a time between I/O events, so a phone sending faster than
+ * the bridge can publish loses messages by policy instead of growing memory and latency.
+ *
+ * Policies:
+ *   drop-oldest  - when full, discard the oldest queued message
+ *   drop-newest  - when full, discard the incoming message
+ *   keep-latest  - only the newest unprocessed message is kept (size is ignored)
+ */
+const Logger = require('./logger');
+
+const POLICIES = ['drop-oldest', 'drop-newest', 'keep-latest'];
+
+// Default policy and size for each stream, overridden by the queues config section
+const DEFAULT_QUEUE_SETTINGS = {
+  camera: { policy: 'keep-latest', size: 1 },
+  pose: { policy: 'drop-oldest', size: 30 },
+  imu: { policy: 'drop-oldest', size: 100 },
+  gps: { policy: 'drop-oldest', size: 10 },
+  microphone: { policy: 'drop-newest', size: 20 }
+};
+
+// Queue fill ratio above which the client is asked to slow down
+const HIGH_WATERMARK = 0.75;
+// Time without drops before the client may return to its normal rate
+const RESUME_AFTER_MS = 2000;
+
+let queueSettings = {};
+
+// Counters per stream, summed over all connections
+const streamStats = {};
+
+function initStreamQueues(config = {}) {
+  const queues = config.queues || {};
+  queueSettings = {};
+
+  for (const stream of Object.keys(DEFAULT_QUEUE_SETTINGS)) {
+    const settings = Object.assign({}, DEFAULT_QUEUE_SETTINGS[stream], queues[stream]);
+    if (!POLICIES.includes(settings.policy)) {
+      Logger.warn('APP', `Unknown queue policy '${settings.policy}' for ${stream}, using ${DEFAULT_QUEUE_SETTINGS[stream].policy}`);
+      settings.policy = DEFAULT_QUEUE_SETTINGS[stream].policy;
+    }
+    settings.size = Math.max(1, parseInt(settings.size, 10) || DEFAULT_QUEUE_SETTINGS[stream].size);
+    queueSettings[stream] = settings;
+  }
+}
+
+function getQueueSettings(stream) {
+  return queueSettings[stream] || DEFAULT_QUEUE_SETTINGS[stream] || { policy: 'drop-oldest', size: 10 };
+}
+
+function getStreamStats(stream) {
+  if (!streamStats[stream]) {
+    streamStats[stream] = { received: 0, processed: 0, dropped: 0, queued: 0, saturated: 0 };
+  }
+  return streamStats[stream];
+}
+
+// Create the queue for one connection. handler(message, isBinary, receivedAt) processes
+// a message and may return a promise; the next message is handled once it settles.
+function createStreamQueue(stream, ws, handler) {
+  const { policy, size } = getQueueSettings(stream);
+  const capacity = policy === 'keep-latest' ? 1 : size;
+  const highWatermark = Math.max(1, Math.floor(capacity * HIGH_WATERMARK));
+  const stats = getStreamStats(stream);
+
+  let items = [];
+  let draining = false;
+  let saturated = false;
+  let dropped = 0;
+  let lastDropAt = 0;
+  let lastSlowAt = 0;
+
+  // Tell the client to slow down or return to its normal rate
+  function sendFlow(state) {
+    if (ws.readyState !== ws.OPEN) return;
+    if (state === 'slow') {
+      lastSlowAt = Date.now();
+    }
+    try {
+      ws.send(JSON.stringify({ type: 'flow', stream, state, queued: items.length, dropped }));
+    } catch (error) {
+      Logger.debug('APP', `Failed to send flow control to ${stream} client: ${error.message}`);
+    }
+  }
+
+  function setSaturated(value) {
+    if (saturated === value) return;
+    saturated = value;
+    stats.saturated += value ? 1 : -1;
+
+    if (value) {
+      Logger.warn('APP', `${stream} queue saturated (${policy}, ${dropped} dropped), asking client to slow down`);
+      sendFlow('slow');
+    } else {
+      Logger.debug('APP', `${stream} queue recovered, client may resume`);
+      sendFlow('resume');
+    }
+  }
+
+  function drop(count) {
+    dropped += count;
+    stats.dropped += count;
+    lastDropAt = Date.now();
+
+    if (saturated && lastDropAt - lastSlowAt > RESUME_AFTER_MS) {
+      // Still dropping although the client was asked to slow down, ask again
+      sendFlow('slow');
+    } else {
+      setSaturated(true);
+    }
+  }
+
+  function push(message, isBinary) {
+    stats.received++;
+
+    if (items.length >= capacity) {
+      if (policy === 'drop-newest') {
+        drop(1);
+        return;
+      }
+      // drop-oldest and keep-latest make room for the new message
+      items.shift();
+      stats.queued--;
+      drop(1);
+    }
+
+    items.push({ message, isBinary, receivedAt: Date.now() });
+    stats.queued++;
+    if (items.length > highWatermark) {
+      setSaturated(true);
+    }
+
+    if (!draining) {
+      draining = true;
+      setImmediate(drain);
+    }
+  }
+
+  async function drain() {
+    const item = items.shift();
+    if (item) {
+      stats.queued--;
+      try {
+        await handler(item.message, item.isBinary, item.receivedAt);
+        stats.processed++;
+      } catch (error) {
+        Logger.error('APP', `Error handling ${stream} message: ${error.message}`);
+      }
+    }
+
+    if (items.length === 0 && saturated && Date.now() - lastDropAt > RESUME_AFTER_MS) {
+      setSaturated(false);
+    }
+
+    if (items.length > 0) {
+      setImmediate(drain);
+    } else {
+      draining = false;
+    }
+  }
+
+  // Discard pending messages when the connection closes
+  function clear() {
+    stats.queued -= items.length;
+    items = [];
+    if (saturated) {
+      saturated = false;
+      stats.saturated--;
+    }
+  }
+
+  return {
+    push,
+    clear,
+    getDropped: () => dropped,
+    getLength: () => items.length
+  };
+}
+
+// Queue counters and settings for every stream that has seen traffic
+function getQueueStats() {
+  const result = {};
+  for (const stream of Object.keys(streamStats)) {
+    result[stream] = Object.assign({}, getQueueSettings(stream), streamStats[stream]);
+  }
+  return result;
+}
+
+module.exports = {
+  POLICIES,
+  initStreamQueues,
+  createStreamQueue,
+  getQueueStats
+};
@@ -4,6 +4,14 @@
  */
 const WebSocket = require('ws');
 const rosInterface = require('./ros_interface');
+const frameProtocol = require('./frame_protocol');
+const auth = require('./auth');
+const serverOptions = require('./server_options');
+const streamQueue = require('./stream_queue');
+const metrics = require('./metrics');
+const clockSync = require('./clock_sync');
+const rosClock = require('./ros_clock');
+const configStore = require('./config_store');
 const Logger = require('./logger');
 
 // Store WebSocket servers for use across the module
@@ -14,12 +22,25 @@ let servers = {
   microphone: null, // Changed from audio to microphone for clarity
   wavAudio: null,
   imu: null, // Added for iOS IMU sensor data
-  gps: null  // Added for GPS location data
+  gps: null,  // Added for GPS location data
+  control: null // Config updates and commands for the page
 };
 
 // Track TTS clients
 let ttsClients = new Set();
 
+// Sensors that ROS can switch on the phones (mobile_sensor/<sensor>/enable)
+const SWITCHABLE_SENSORS = ['camera', 'microphone', 'imu', 'gps'];
+
+// Control requests waiting for the pages to reply, keyed by request id
+const CONTROL_REQUEST_TIMEOUT_MS = 5000;
+
+// Capture requests wait this long on top of the burst, focusing and encoding full-size photos takes a while
+const CAPTURE_TIMEOUT_MS = 15000;
+const MAX_BURST = 20;
+let nextControlRequestId = 1;
+const pendingControlRequests = new Map();
+
 // Initialize all WebSocket servers and attach them to the HTTP server
 function initWebSockets(server) {
   // Create WebSocket servers for different data types
@@ -30,50 +51,70 @@ function initWebSockets(server) {
   servers.wavAudio = new WebSocket.Server({ noServer: true });
   servers.imu = new WebSocket.Server({ noServer: true }); // Added for iOS and Android IMU sensor data
   servers.gps = new WebSocket.Server({ noServer: true }); // Added for GPS location data
+  servers.control = new WebSocket.Server({ noServer: true });
+  
+  // Report client counts for every server in the status endpoints
+  Object.entries(servers).forEach(([name, wss]) => metrics.registerStream(name, wss));
+  
+  // WebSocket routes and the server handling each of them
+  const routes = {
+    '/tts': servers.tts,
+    '/pose': servers.pose,
+    '/camera': servers.camera,
+    '/imu': servers.imu,
+    '/gps': servers.gps,
+    '/microphone': servers.microphone, // Changed from /audio to /microphone
+    '/wav_audio': servers.wavAudio,
+    '/control': servers.control
+  };
   
   // Set up WebSocket route handlers
   server.on('upgrade', (request, socket, head) => {
-    const pathname = new URL(request.url, `http://${request.headers.host}`).pathname;
-
-    switch (pathname) {
-      case '/tts':
-        servers.tts.handleUpgrade(request, socket, head, (ws) => {
-          servers.tts.emit('connection', ws, request);
-        });
-        break;
-      case '/pose':
-        servers.pose.handleUpgrade(request, socket, head, (ws) => {
-          servers.pose.emit('connection', ws, request);
-        });
-        break;
-      case '/camera':
-        servers.camera.handleUpgrade(request, socket, head, (ws) => {
-          servers.camera.emit('connection', ws, request);
-        });
-        break;
-      case '/imu':
-        servers.imu.handleUpgrade(request, socket, head, (ws) => {
-          servers.imu.emit('connection', ws, request);
-        });
-        break;
-      case '/gps':
-        servers.gps.handleUpgrade(request, socket, head, (ws) => {
-          servers.gps.emit('connection', ws, request);
-        });
-        break;
-      case '/microphone': // Changed from /audio to /microphone
-        servers.microphone.handleUpgrade(request, socket, head, (ws) => {
-          servers.microphone.emit('connection', ws, request);
-        });
-        break;
-      case '/wav_audio':
-        servers.wavAudio.handleUpgrade(request, socket, head, (ws) => {
-          servers.wavAudio.emit('connection', ws, request);
-        });
-        break;
-      default:
-        socket.destroy();
+    const url = new URL(request.url, `http://${request.headers.host}`);
+    // Routes live under the configured base path, e.g. /sensors/camera
+    const route = serverOptions.stripBasePath(url.pathname);
+    const wss = routes[route];
+    
+    if (!wss) {
+      socket.destroy();
+      return;
     }
+    
+    // Every upgrade must carry a valid pairing token
+    const address = serverOptions.getClientAddress(request);
+    const result = auth.authorizeRequest(request, address);
+    if (!result.allowed) {
+      auth.audit(`Rejected ${route} connection from ${address}: ${result.reason}`);
+      socket.write('HTTP/1.1 401 Unauthorized\r\nConnection: close\r\n\r\n');
+      socket.destroy();
+      return;
+    }
+    auth.audit(`Accepted ${route} connection from ${address}` +
+      (result.tokenId ? ` (token ${result.tokenId})` : ''));
+    
+    // Phones announce their device ID as ?device=<id> to get their own topic namespace
+    const deviceId = rosInterface.normalizeDeviceId(url.searchParams.get('device'));
+    
+    wss.handleUpgrade(request, socket, head, (ws) => {
+      ws.tokenId = result.tokenId;
+      // The control channel only needs to know the device, it publishes nothing
+      attachDevice(ws, deviceId, wss !== servers.control);
+      if (wss === servers.camera) {
+        attachCameraChannel(ws, url.searchParams.get('channel'));
+      }
+      wss.emit('connection', ws, request);
+    });
+  });
+  
+  // Drop open connections when their token is revoked
+  auth.onTokenRevoked((tokenId) => {
+    Object.values(servers).forEach(wsServer => {
+      wsServer.clients.forEach(client => {
+        if (client.tokenId === tokenId) {
+          client.close(4001, 'Token revoked');
+        }
+      });
+    });
   });
   
   // Initialize event handlers for each WebSocket type
@@ -84,25 +125,88 @@ function initWebSockets(server) {
   setupWavAudioHandlers();
   setupIMUHandlers(); // Added for iOS and Android IMU sensor data
   setupGPSHandlers(); // Added for GPS location data
+  setupControlHandlers();
   
   return servers;
 }
 
+// Tag a connection with its device and hold the device's publishers while it is open
+function attachDevice(ws, deviceId, holdPublishers = true) {
+  ws.source = { deviceId };
+  
+  if (deviceId && holdPublishers) {
+    rosInterface.acquireDevice(deviceId);
+    Logger.debug('APP', `Device "${deviceId}" connection opened`);
+    ws.on('close', () => {
+      rosInterface.releaseDevice(deviceId);
+    });
+  }
+}
+
+// Phones streaming several cameras at once connect each one as /camera?channel=<front|back>,
+// its frames go to the channel's topics while the connection is open
+function attachCameraChannel(ws, channel) {
+  if (!channel) return;
+  if (!rosInterface.CAMERA_CHANNELS[channel]) {
+    Logger.warn('APP', `Unknown camera channel "${channel}", publishing on the camera topics`);
+    return;
+  }
+  
+  ws.source.channel = channel;
+  const deviceId = ws.source.deviceId;
+  if (rosInterface.acquireCameraChannel(deviceId, channel)) {
+    ws.on('close', () => {
+      rosInterface.releaseCameraChannel(deviceId, channel);
+    });
+  }
+}
+
+// Queue a connection's messages (see stream_queue.js) and count them for the status endpoints
+function queueMessages(stream, ws, handler) {
+  const queue = streamQueue.createStreamQueue(stream, ws, handler);
+  clockSync.attachClockSync(ws, stream, ws.source.deviceId);
+  
+  ws.on('message', (message, isBinary) => {
+    // Clock replies skip the queue so queuing delay does not skew the round trip
+    if (clockSync.handleClockReply(ws, message, isBinary)) return;
+    
+    metrics.recordMessage(stream, message.length);
+    queue.push(message, isBinary);
+  });
+  ws.on('close', () => queue.clear());
+}
+
+// Header stamp for a message (see ros_clock.js for the stamp sources). deviceTime is the
+// phone timestamp (ms since epoch), moved to server time using the connection's clock estimate
+function headerStamp(ws, deviceTime, receivedAt) {
+  return rosClock.stampFor(deviceTime ? clockSync.toServerTime(ws, deviceTime) : null, receivedAt);
+}
+
+// Run a publish call, counting a failure when it throws or has no publisher
+function publishMessage(stream, publish) {
+  try {
+    if (publish() === false) {
+      metrics.recordPublishFailure(stream);
+    }
+  } catch (error) {
+    metrics.recordPublishFailure(stream);
+    Logger.error('ROS', `Error publishing ${stream} data to ROS2: ${error}`);
+  }
+}
+
 // Set up pose data WebSocket handlers
 function setupPoseHandlers() {
   servers.pose.on('connection', (ws) => {
     Logger.info('APP', 'Pose data sensor activated');
-    ws.on('message', async (message) => {
+    queueMessages('pose', ws, (message, isBinary, receivedAt) => {
       try {
         const data = JSON.parse(message);
         if (data.pose) {
           // Use ROS interface to publish pose data
-          rosInterface.publishPoseData(data.pose, {
-            sec: Math.floor(data.timestamp / 1000),
-            nanosec: (data.timestamp % 1000) * 1000000
-          });
+          publishMessage('pose', () => rosInterface.publishPoseData(data.pose, headerStamp(ws, data.timestamp, receivedAt), ws.source));
         }
       } catch (err) {
+        metrics.recordParseError('pose');
         Logger.error('ROS', `Error processing pose message: ${err}`);
       }
     });
@@ -114,43 +218,84 @@ function setupPoseHandlers() {
   });
 }
 
+// Minimum time between keyframe requests to a phone while its video cannot be decoded
+const KEYFRAME_REQUEST_INTERVAL_MS = 1000;
+
+// Ask a camera connection for an H.264 keyframe, the page answers with one on its next frame.
+// The channel tells a page streaming several cameras which one to ask
+function sendKeyframeRequest(ws) {
+  if (ws.readyState !== WebSocket.OPEN) return false;
+  try {
+    ws.send(JSON.stringify({ type: 'keyframe', channel: ws.source.channel }));
+    return true;
+  } catch (error) {
+    Logger.debug('APP', `Failed to request a keyframe: ${error.message}`);
+    return false;
+  }
+}
+
+// Ask every connected camera for a keyframe, returns the number of connections asked
+function requestKeyframe() {
+  let count = 0;
+  servers.camera.clients.forEach(client => {
+    if (sendKeyframeRequest(client)) count++;
+  });
+  return count;
+}
+
+// H.264 frames depend on the ones before them: after a gap in the sequence (frames
+// dropped by the queue or lost) skip frames until the next keyframe and ask for one.
+// Returns true if the frame can be published
+function checkVideoContinuity(ws, frame) {
+  const video = ws.videoState || (ws.videoState = { next: null, waiting: true, requestedAt: 0 });
+  const continuous = frame.keyframe || (!video.waiting && frame.sequence === video.next);
+  const newGap = !continuous && !video.waiting;
+  video.next = frame.sequence + 1;
+  video.waiting = !continuous;
+  if (continuous) return true;
+  
+  // Ask right away for a new gap, then again now and then until the keyframe arrives
+  const now = Date.now();
+  if (newGap || now - video.requestedAt >= KEYFRAME_REQUEST_INTERVAL_MS) {
+    video.requestedAt = now;
+    Logger.debug('APP', `Camera video frame ${frame.sequence} cannot be decoded, requesting a keyframe`);
+    sendKeyframeRequest(ws);
+  }
+  return false;
+}
+
 // Set up camera data WebSocket handlers
 function setupCameraHandlers() {
   servers.camera.on('connection', (ws) => {
-    Logger.info('APP', 'Camera sensor activated');
-    ws.on('message', async (message) => {
+    Logger.info('APP', 'Camera sensor activated' + (ws.source.channel ? ` (${ws.source.channel} channel)` : ''));
+    queueMessages('camera', ws, (message, isBinary, receivedAt) => {
       try {
-        const data = JSON.parse(message);
-        if (data.camera) {
-          try {
-            // Convert base64 string to binary data
-            const base64Data = data.camera.split(',')[1]; // Remove data URL prefix if present
-            const imageBuffer = Buffer.from(base64Data, 'base64');
-            
-            // Extract image dimensions if available, or use defaults
-            const width = data.width || 640;
-            const height = data.height || 480;
-            
-            // Generate timestamp from data or current time
-            const stamp = {
-              sec: Math.floor(data.timestamp ? data.timestamp / 1000 : Date.now() / 1000),
-              nanosec: (data.timestamp ? data.timestamp % 1000 : Date.now() % 1000) * 1000000
-            };
-            
-            // Use ROS interface to publish camera data
-            rosInterface.publishCameraData(imageBuffer, width, height, stamp);
-          } catch (error) {
-            Logger.error('ROS', `Error publishing camera data to ROS2: ${error}`);
-          }
+        // Binary frames carry a fixed header plus raw JPEG bytes or an H.264 access unit,
+        // text frames are the legacy base64-in-JSON format
+        const frame = isBinary
+          ? frameProtocol.decodeBinaryFrame(message)
+          : frameProtocol.decodeJsonFrame(JSON.parse(message));
+        if (frame && frame.format === 'h264') {
+          if (!checkVideoContinuity(ws, frame)) return;
+          const stamp = headerStamp(ws, frame.timestamp, receivedAt);
+          publishMessage('camera', () => rosInterface.publishVideoData(frame, stamp, ws.source));
+        } else if (frame) {
+          // Frame capture time corrected to server time
+          const stamp = headerStamp(ws, frame.timestamp, receivedAt);
+          
+          // Use ROS interface to publish camera data
+          publishMessage('camera', () =>
+            rosInterface.publishCameraData(frame.data, frame.width, frame.height, stamp, ws.source, frame.facing));
         }
       } catch (err) {
+        metrics.recordParseError('camera');
         Logger.error('ROS', `Error processing camera message: ${err}`);
       }
     });
     
     // Add disconnect logging
     ws.on('close', () => {
-      Logger.info('APP', 'Camera sensor deactivated');
+      Logger.info('APP', 'Camera sensor deactivated' + (ws.source.channel ? ` (${ws.source.channel} channel)` : ''));
     });
   });
 }
@@ -186,17 +331,21 @@ function setupMicrophoneHandlers() {
   servers.microphone.on('connection', (ws) => {
     Logger.info('APP', 'Microphone sensor activated');
     
-    ws.on('message', async (message) => {
+    queueMessages('microphone', ws, (message, isBinary, receivedAt) => {
       try {
         const data = JSON.parse(message);
         if (data.transcription) {
           Logger.info('ROS', `Transcription received: "${data.transcription}"`);
           
           // Use ROS interface to publish microphone transcription
-          rosInterface.publishMicrophoneTranscription(data.transcription, 
-            data.header && data.header.stamp ? data.header.stamp : null);
+          const deviceTime = data.header && data.header.stamp ?
+            data.header.stamp.sec * 1000 + data.header.stamp.nanosec / 1e6 : null;
+          const stamp = headerStamp(ws, deviceTime, receivedAt);
+          publishMessage('microphone', () => rosInterface.publishMicrophoneTranscription(data.transcription, 
+            stamp, ws.source));
         }
       } catch (err) {
+        metrics.recordParseError('microphone');
         Logger.error('ROS', `Error processing microphone message: ${err}`);
       }
     });
@@ -242,6 +391,223 @@ function setupWavAudioHandlers() {
   });
 }
 
+// Set up the control channel: one per page, used to push config changes and
+// to send requests the page answers with { type: 'reply', id, ... }.
+// Messages are JSON objects with a type, e.g. { type: 'config', config }. Pages
+// also send { type: 'camera_controls', cameras } when their cameras start, stop or
+// apply camera.controls, kept with the connection for getCameraControls(),
+// { type: 'camera_error', channel, message } when a camera falls back to JPEG, and
+// photos for a capture request as binary camera frames with the request id as sequence
+function setupControlHandlers() {
+  servers.control.on('connection', (ws) => {
+    Logger.info('APP', 'Control channel opened' + (ws.source.deviceId ? ` for "${ws.source.deviceId}"` : ''));
+    sendControl(ws, { type: 'config', config: configStore.getClientConfig() });
+    
+    ws.on('message', (message, isBinary) => {
+      if (isBinary) {
+        receiveControlFrame(ws, message);
+        return;
+      }
+      try {
+        const data = JSON.parse(message);
+        Logger.debug('APP', `Control message from page: ${data.type}`);
+        if (data.type === 'reply' && pendingControlRequests.has(data.id)) {
+          pendingControlRequests.get(data.id).receive(ws, data);
+        } else if (data.type === 'camera_controls' && Array.isArray(data.cameras)) {
+          ws.cameraControls = data.cameras;
+          logCameraControls(ws.source.deviceId, data.cameras);
+        } else if (data.type === 'camera_error') {
+          const camera = data.channel ? `${data.channel} camera` : 'camera';
+          Logger.warn('APP', `${ws.source.deviceId || 'phone'}: ${camera} ${data.message}`);
+        }
+      } catch (err) {
+        Logger.error('APP', `Error processing control message: ${err}`);
+      }
+    });
+    
+    ws.on('close', () => {
+      Logger.info('APP', 'Control channel closed');
+    });
+  });
+  
+  // Phones apply config.yaml edits without reloading the page
+  configStore.onConfigChange((config, changed) => {
+    if (!changed.some(section => configStore.CLIENT_SECTIONS.includes(section))) return;
+    broadcastControl({ type: 'config', config: configStore.getClientConfig() });
+  });
+}
+
+// A photo for a capture request, kept with the request until the page replies
+function receiveControlFrame(ws, message) {
+  try {
+    const frame = frameProtocol.decodeBinaryFrame(message);
+    const request = pendingControlRequests.get(frame.sequence);
+    if (!request) {
+      Logger.debug('APP', `Dropping ${frame.width}x${frame.height} photo for finished request ${frame.sequence}`);
+      return;
+    }
+    // Stamped with the clock estimate of the phone's camera connection, the control channel has none
+    const cameraWs = Array.from(servers.camera.clients)
+      .find(client => client.source.deviceId === ws.source.deviceId && client.clockSync) || ws;
+    frame.stamp = headerStamp(cameraWs, frame.timestamp, Date.now());
+    request.receiveFrame(ws, frame);
+  } catch (err) {
+    Logger.error('APP', `Error processing control frame: ${err}`);
+  }
+}
+
+// Log the control settings a page reported for its cameras, e.g.
+// 'phone: back camera torch true, zoom 2, focusMode continuous'
+function logCameraControls(deviceId, cameras) {
+  const name = deviceId || 'phone';
+  cameras.forEach(camera => {
+    const settings = Object.entries(camera.settings || {}).map(([key, value]) => `${key} ${value}`);
+    const label = camera.channel || camera.facingMode || 'camera';
+    Logger.info('APP', `${name}: ${label} camera ${settings.length > 0 ? settings.join(', ') : 'has no controls'}`);
+  });
+}
+
+// Capabilities and control settings of the cameras on every connected page:
+// [{ deviceId, cameras: [{ channel, facingMode, label, capabilities, settings }] }]
+function getCameraControls() {
+  return Array.from(servers.control.clients)
+    .filter(client => client.cameraControls)
+    .map(client => ({ deviceId: client.source.deviceId, cameras: client.cameraControls }));
+}
+
+function sendControl(ws, message) {
+  if (ws.readyState !== WebSocket.OPEN) return;
+  try {
+    ws.send(JSON.stringify(message));
+  } catch (error) {
+    Logger.error('APP', `Failed to send control message: ${error.message}`);
+  }
+}
+
+// Send a message to every open control channel
+function broadcastControl(message) {
+  let count = 0;
+  servers.control.clients.forEach(client => {
+    if (client.readyState === WebSocket.OPEN) {
+      sendControl(client, message);
+      count++;
+    }
+  });
+  Logger.debug('APP', `Sent ${message.type} to ${count} control channel(s)`);
+}
+
+// Send a request to every open control channel (or those matching filter) and collect the replies.
+// Resolves with [{ deviceId, reply, frames }], reply is null for pages that did not answer in time,
+// frames holds the binary frames a page sent for the request before its reply
+function requestControl(message, timeoutMs = CONTROL_REQUEST_TIMEOUT_MS, filter = () => true) {
+  return new Promise((resolve) => {
+    const clients = Array.from(servers.control.clients)
+      .filter(client => client.readyState === WebSocket.OPEN && filter(client));
+    if (clients.length === 0) {
+      resolve([]);
+      return;
+    }
+    
+    const id = nextControlRequestId++;
+    const replies = new Map(clients.map(client => [client, null]));
+    const frames = new Map(clients.map(client => [client, []]));
+    const finish = () => {
+      clearTimeout(timer);
+      pendingControlRequests.delete(id);
+      resolve(clients.map(client => ({
+        deviceId: client.source.deviceId,
+        reply: replies.get(client),
+        frames: frames.get(client)
+      })));
+    };
+    const timer = setTimeout(finish, timeoutMs);
+    
+    pendingControlRequests.set(id, {
+      receive(ws, reply) {
+        if (!replies.has(ws)) return;
+        replies.set(ws, reply);
+        if (Array.from(replies.values()).every(Boolean)) finish();
+      },
+      receiveFrame(ws, frame) {
+        if (frames.has(ws) && !replies.get(ws)) {
+          frames.get(ws).push(frame);
+        }
+      }
+    });
+    clients.forEach(client => sendControl(client, Object.assign({ id }, message)));
+  });
+}
+
+// Switch a sensor on every connected phone, resolves with a std_srvs/SetBool response:
+// success when each phone ended up in the requested state, message with each phone's state
+async function setSensorEnabled(sensor, enable) {
+  const replies = await requestControl({ type: 'enable', sensor, enable });
+  if (replies.length === 0) {
+    return { success: false, message: 'No phone connected' };
+  }
+  
+  const results = replies.map(({ deviceId, reply }) => {
+    const name = deviceId || 'phone';
+    if (!reply) {
+      return { ok: false, text: `${name}: no reply` };
+    }
+    const state = reply.enabled ? 'enabled' : 'disabled';
+    return {
+      ok: reply.enabled === enable,
+      text: `${name}: ${state}${reply.message ? ` (${reply.message})` : ''}`
+    };
+  });
+  return {
+    success: results.every(result => result.ok),
+    message: results.map(result => result.text).join('; ')
+  };
+}
+
+// Take photos with the phones for the capture service (a mobile_sensor/CaptureStill request)
+// and publish them on the still image topic. Resolves with the service response
+async function captureStill(request) {
+  const count = Math.min(Math.max(request.count || 1, 1), MAX_BURST);
+  const interval = Math.max(request.interval || 0, 0);
+  const deviceId = rosInterface.normalizeDeviceId(request.device_id);
+  const message = {
+    type: 'capture',
+    channel: request.channel || null,
+    count,
+    interval,
+    photo: {
+      image_width: request.image_width || 0,
+      image_height: request.image_height || 0,
+      fill_light_mode: request.fill_light_mode || '',
+      red_eye_reduction: !!request.red_eye_reduction
+    }
+  };
+  
+  const timeoutMs = CAPTURE_TIMEOUT_MS + count * interval * 1000;
+  const replies = await requestControl(message, timeoutMs, client => !deviceId || client.source.deviceId === deviceId);
+  if (replies.length === 0) {
+    return { success: false, message: deviceId ? `Phone "${deviceId}" not connected` : 'No phone connected', images: [] };
+  }
+  
+  const images = [];
+  const results = replies.map(({ deviceId: phone, reply, frames }) => {
+    const source = { deviceId: phone, channel: (reply && reply.channel) || undefined };
+    frames.forEach(frame => images.push(rosInterface.publishStillImage(frame, frame.stamp, source)));
+    
+    const name = phone || 'phone';
+    const size = frames.length > 0 ? ` ${frames[0].width}x${frames[0].height}` : '';
+    const text = `${name}: ${frames.length}${size} photo(s)`;
+    if (!reply) {
+      return { ok: false, text: `${text}, no reply` };
+    }
+    return { ok: frames.length === count, text: `${text}${reply.message ? ` (${reply.message})` : ''}` };
+  });
+  return {
+    success: results.every(result => result.ok),
+    message: results.map(result => result.text).join('; '),
+    images
+  };
+}
+
 // Close all WebSocket connections
 function closeAllConnections() {
   Object.values(servers).forEach(server => {
@@ -262,7 +628,7 @@ function setupIMUHandlers() {
   servers.imu.on('connection', (ws) => {
     Logger.info('APP', 'IMU sensor activated');
     
-    ws.on('message', async (message) => {
+    queueMessages('imu', ws, (message, isBinary, receivedAt) => {
       try {
         const data = JSON.parse(message);
         if (data.imu) {
@@ -270,16 +636,14 @@ function setupIMUHandlers() {
           Logger.debug('IMU', `Accelerometer: x=${data.imu.accelerometer.x.toFixed(2)}, y=${data.imu.accelerometer.y.toFixed(2)}, z=${data.imu.accelerometer.z.toFixed(2)}`);
           Logger.debug('IMU', `Gyroscope: alpha=${data.imu.gyroscope.alpha.toFixed(2)}, beta=${data.imu.gyroscope.beta.toFixed(2)}, gamma=${data.imu.gyroscope.gamma.toFixed(2)}`);
           
-          // Generate timestamp from IMU data or current time
-          const stamp = {
-            sec: Math.floor(data.imu.timestamp ? data.imu.timestamp / 1000 : Date.now() / 1000),
-            nanosec: (data.imu.timestamp ? data.imu.timestamp % 1000 : Date.now() % 1000) * 1000000
-          };
+          // IMU timestamp corrected to server time, or receive time
+          const stamp = headerStamp(ws, data.imu.timestamp, receivedAt);
           
           // Use ROS interface to publish IMU data
-          rosInterface.publishIMUData(data.imu, stamp);
+          publishMessage('imu', () => rosInterface.publishIMUData(data.imu, stamp, ws.source));
         }
       } catch (err) {
+        metrics.recordParseError('imu');
         Logger.error('ROS', `Error processing IMU message: ${err}`);
       }
     });
@@ -295,7 +659,7 @@ function setupGPSHandlers() {
   servers.gps.on('connection', (ws) => {
     Logger.info('APP', 'GPS sensor activated');
     
-    ws.on('message', async (message) => {
+    queueMessages('gps', ws, (message, isBinary, receivedAt) => {
       try {
         const data = JSON.parse(message);
         if (data.gps) {
@@ -305,16 +669,14 @@ function setupGPSHandlers() {
             Logger.debug('GPS', `Accuracy: ${data.gps.accuracy.toFixed(2)}m, Heading: ${data.gps.heading?.toFixed(2) || 'N/A'}, Speed: ${data.gps.speed?.toFixed(2) || 'N/A'}m/s`);
           }
           
-          // Generate timestamp from GPS data or current time
-          const stamp = {
-            sec: Math.floor(data.gps.timestamp ? data.gps.timestamp / 1000 : Date.now() / 1000),
-            nanosec: (data.gps.timestamp ? data.gps.timestamp % 1000 : Date.now() % 1000) * 1000000
-          };
+          // GPS fix timestamp corrected to server time, or receive time
+          const stamp = headerStamp(ws, data.gps.timestamp, receivedAt);
           
           // Use ROS interface to publish GPS data
-          rosInterface.publishGPSData(data.gps, stamp);
+          publishMessage('gps', () => rosInterface.publishGPSData(data.gps, stamp, ws.source));
         }
       } catch (err) {
+        metrics.recordParseError('gps');
         Logger.error('ROS', `Error processing GPS message: ${err}`);
       }
     });
@@ -328,6 +690,13 @@ function setupGPSHandlers() {
 module.exports = {
   initWebSockets,
   closeAllConnections,
+  broadcastControl,
+  requestControl,
+  setSensorEnabled,
+  requestKeyframe,
+  getCameraControls,
+  captureStill,
+  SWITCHABLE_SENSORS,
   getServers: () => servers,
   getTTSClients: () => ttsClients
 };
\ No newline at end of file
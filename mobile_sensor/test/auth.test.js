@@ -0,0 +1,137 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const auth = require('../src/server/auth');
+
+// Each test pairs from its own address so the rate limit of one does not affect the others
+let nextAddress = 1;
+const newAddress = () => `192.168.1.${nextAddress++}`;
+
+const request = (url, headers = {}) => ({ url, headers });
+
+beforeEach(() => {
+  auth.initAuth({ security: { pairing: true, allow_localhost: true } });
+  auth.revokeAllTokens();
+});
+
+test('issues a six digit pairing code', () => {
+  assert.match(auth.getPairingCode(), /^\d{6}$/);
+  assert.equal(auth.isEnabled(), true);
+});
+
+test('exchanges the pairing code for a token once', () => {
+  const code = auth.getPairingCode();
+  const address = newAddress();
+  const result = auth.pair(` ${code} `, address, 'Pixel');
+
+  assert.equal(typeof result.token, 'string');
+  assert.match(result.id, /^[0-9a-f]{8}$/);
+  assert.deepEqual(auth.listTokens().map(({ id, label, address: from }) => ({ id, label, address: from })), [
+    { id: result.id, label: 'Pixel', address }
+  ]);
+
+  // The code is single use
+  assert.notEqual(auth.getPairingCode(), code);
+  assert.equal(auth.pair(code, newAddress()).status, 403);
+});
+
+test('tells the listeners about the new pairing code', () => {
+  const codes = [];
+  auth.onPairingCodeChanged(code => codes.push(code));
+  auth.pair(auth.getPairingCode(), newAddress());
+  assert.deepEqual(codes, [auth.getPairingCode()]);
+});
+
+test('rejects wrong codes and locks out an address after five attempts', () => {
+  const address = newAddress();
+  for (let i = 0; i < 5; i++) {
+    assert.deepEqual(auth.pair('', address), { error: 'Invalid pairing code', status: 403 });
+  }
+  assert.equal(auth.pair(auth.getPairingCode(), address).status, 429);
+
+  // Other addresses can still pair
+  assert.ok(auth.pair(auth.getPairingCode(), newAddress()).token);
+});
+
+test('accepts a token from the Authorization header or the query', () => {
+  const { token, id } = auth.pair(auth.getPairingCode(), newAddress());
+  const address = newAddress();
+
+  assert.deepEqual(auth.authorizeRequest(request('/api/config', { authorization: `Bearer ${token}` }), address),
+    { allowed: true, tokenId: id });
+  assert.deepEqual(auth.authorizeRequest(request(`/camera?token=${token}`), address),
+    { allowed: true, tokenId: id });
+  assert.notEqual(auth.listTokens()[0].lastUsed, null);
+
+  assert.deepEqual(auth.authorizeRequest(request('/camera'), address),
+    { allowed: false, reason: 'missing token' });
+  assert.deepEqual(auth.authorizeRequest(request('/camera?token=guess'), address),
+    { allowed: false, reason: 'invalid or revoked token' });
+});
+
+test('revoked tokens are no longer accepted', () => {
+  const revoked = [];
+  auth.onTokenRevoked(id => revoked.push(id));
+  const first = auth.pair(auth.getPairingCode(), newAddress());
+  const second = auth.pair(auth.getPairingCode(), newAddress());
+
+  assert.equal(auth.revokeToken(first.id), true);
+  assert.equal(auth.revokeToken(first.id), false);
+  assert.equal(auth.validateToken(first.token), null);
+  assert.equal(auth.validateToken(second.token).id, second.id);
+
+  assert.equal(auth.revokeAllTokens(), 1);
+  assert.deepEqual(revoked, [first.id, second.id]);
+  assert.deepEqual(auth.listTokens(), []);
+});
+
+test('lets local requests skip pairing unless that is disabled', () => {
+  assert.equal(auth.authorizeRequest(request('/camera'), '127.0.0.1').allowed, true);
+  assert.equal(auth.authorizeRequest(request('/camera'), '::ffff:127.0.0.1').allowed, true);
+
+  auth.initAuth({ security: { allow_localhost: false } });
+  assert.equal(auth.authorizeRequest(request('/camera'), '127.0.0.1').allowed, false);
+});
+
+test('makes local requests pair too behind a reverse proxy', () => {
+  auth.initAuth({ security: { allow_localhost: true }, server: { trust_proxy: true } });
+  assert.deepEqual(auth.authorizeRequest(request('/camera'), '127.0.0.1'),
+    { allowed: false, reason: 'missing token' });
+
+  // Plain HTTP is served behind a proxy even when it is not trusted
+  auth.initAuth({ security: { allow_localhost: true }, server: { protocol: 'http', trust_proxy: false } });
+  assert.deepEqual(auth.authorizeRequest(request('/camera'), '127.0.0.1'),
+    { allowed: false, reason: 'missing token' });
+
+  auth.initAuth({ security: { allow_localhost: true }, server: { protocol: 'https', trust_proxy: false } });
+  assert.equal(auth.authorizeRequest(request('/camera'), '127.0.0.1').allowed, true);
+});
+
+test('allows everything when pairing is disabled', () => {
+  auth.initAuth({ security: { pairing: false } });
+  assert.equal(auth.isEnabled(), false);
+  assert.deepEqual(auth.authorizeRequest(request('/camera'), newAddress()), { allowed: true, tokenId: null });
+  assert.equal(auth.pair('123456', newAddress()).status, 400);
+});
+
+test('the middleware answers 401 without a valid token', () => {
+  let status = null;
+  let nextCalled = false;
+  const res = {
+    status(code) {
+      status = code;
+      return this;
+    },
+    json() {}
+  };
+  const req = Object.assign(request('/api/config?x=1'), { ip: newAddress(), method: 'GET', originalUrl: '/api/config?x=1' });
+
+  auth.requireAuth(req, res, () => { nextCalled = true; });
+  assert.equal(status, 401);
+  assert.equal(nextCalled, false);
+
+  const { token, id } = auth.pair(auth.getPairingCode(), newAddress());
+  req.headers.authorization = `Bearer ${token}`;
+  auth.requireAuth(req, res, () => { nextCalled = true; });
+  assert.equal(nextCalled, true);
+  assert.equal(req.tokenId, id);
+});
@@ -0,0 +1,71 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const cameraCalibration = require('../src/server/camera_calibration');
+
+let directory = null;
+
+// CameraInfo of a calibration made at 1280x960
+const cameraInfo = {
+  width: 1280,
+  height: 960,
+  distortion_model: 'plumb_bob',
+  d: [0.1, -0.2, 0, 0, 0],
+  k: [1000, 0, 640, 0, 1000, 480, 0, 0, 1],
+  r: [1, 0, 0, 0, 1, 0, 0, 0, 1],
+  p: [1000, 0, 640, 0, 0, 1000, 480, 0, 0, 0, 1, 0]
+};
+
+before(() => {
+  directory = fs.mkdtempSync(path.join(os.tmpdir(), 'mobile-sensor-'));
+  cameraCalibration.initCameraCalibration({ calibration: { directory } });
+});
+
+after(() => {
+  fs.rmSync(directory, { recursive: true, force: true });
+});
+
+test('names the files after the device and camera facing', () => {
+  assert.equal(cameraCalibration.calibrationFile('phone_front', 'user'), path.join(directory, 'phone_front_user.yaml'));
+  assert.equal(cameraCalibration.calibrationFile('', 'environment'), path.join(directory, 'default_environment.yaml'));
+});
+
+test('has no calibration for a device without a file', () => {
+  assert.equal(cameraCalibration.getCalibration('', 'user', 640, 480), null);
+});
+
+test('saves a calibration and reads it back', () => {
+  const file = cameraCalibration.saveCalibration('phone', 'environment', cameraInfo);
+  assert.equal(file, path.join(directory, 'phone_environment.yaml'));
+
+  assert.deepEqual(cameraCalibration.getCalibration('phone', 'environment', 1280, 960), {
+    distortion_model: 'plumb_bob',
+    d: cameraInfo.d,
+    k: cameraInfo.k,
+    r: cameraInfo.r,
+    p: cameraInfo.p
+  });
+  // Another facing of the same phone is not calibrated
+  assert.equal(cameraCalibration.getCalibration('phone', 'user', 1280, 960), null);
+});
+
+test('scales the calibration to the streamed resolution', () => {
+  cameraCalibration.saveCalibration('scaled', 'environment', cameraInfo);
+  const calibration = cameraCalibration.getCalibration('scaled', 'environment', 640, 480);
+
+  assert.deepEqual(calibration.k, [500, 0, 320, 0, 500, 240, 0, 0, 1]);
+  assert.deepEqual(calibration.p, [500, 0, 320, 0, 0, 500, 240, 0, 0, 0, 1, 0]);
+  // Distortion does not depend on the resolution
+  assert.deepEqual(calibration.d, cameraInfo.d);
+});
+
+test('ignores an invalid file', () => {
+  fs.writeFileSync(cameraCalibration.calibrationFile('broken', 'environment'), 'image_width: 640\nimage_height: 480\n');
+  assert.equal(cameraCalibration.getCalibration('broken', 'environment', 640, 480), null);
+});
+
+test('refuses to save a calibration without an image size', () => {
+  assert.throws(() => cameraCalibration.saveCalibration('phone', 'user', { ...cameraInfo, width: 0 }), /no image size/);
+});
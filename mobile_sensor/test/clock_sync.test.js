@@ -0,0 +1,115 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const EventEmitter = require('node:events');
+const clockSync = require('../src/server/clock_sync');
+
+// Stand-in for a ws connection, records the pings and closes like the real one
+function fakeSocket() {
+  const ws = new EventEmitter();
+  ws.OPEN = 1;
+  ws.readyState = 1;
+  ws.sent = [];
+  ws.send = (message) => ws.sent.push(JSON.parse(message));
+  ws.close = () => {
+    ws.readyState = 3;
+    ws.emit('close');
+  };
+  return ws;
+}
+
+// The reply a phone whose clock runs offsetMs ahead sends right away
+function reply(ping, offsetMs) {
+  const t1 = Date.now() + offsetMs;
+  return Buffer.from(JSON.stringify({ type: 'clock', id: ping.id, t0: ping.t0, t1, t2: t1 }));
+}
+
+clockSync.initClockSync({ clock_sync: { enabled: true, interval: 2 } });
+
+test('pings a connection as soon as it is attached', (t) => {
+  const ws = fakeSocket();
+  t.after(ws.close);
+  clockSync.attachClockSync(ws, 'imu', 'phone');
+
+  assert.equal(ws.sent.length, 1);
+  assert.equal(ws.sent[0].type, 'clock');
+  assert.equal(ws.sent[0].id, 1);
+  assert.equal(typeof ws.sent[0].t0, 'number');
+});
+
+test('estimates the phone clock offset from a reply', (t) => {
+  const ws = fakeSocket();
+  t.after(ws.close);
+  clockSync.attachClockSync(ws, 'imu', 'phone');
+
+  assert.equal(clockSync.handleClockReply(ws, reply(ws.sent[0], 5000), false), true);
+
+  const stats = clockSync.getClockStats().find(entry => entry.device === 'phone');
+  assert.equal(stats.synchronized, true);
+  assert.equal(stats.samples, 1);
+  // Send and reply happen within a few ms, so the estimate is off by at most that
+  assert.ok(Math.abs(stats.offset_ms - 5000) < 50, `offset ${stats.offset_ms}`);
+  assert.ok(stats.uncertainty_ms >= 0 && stats.uncertainty_ms < 50);
+});
+
+test('moves device timestamps to server time once synchronized', (t) => {
+  const ws = fakeSocket();
+  t.after(ws.close);
+  assert.equal(clockSync.toServerTime(ws, 123456), 123456);
+
+  clockSync.attachClockSync(ws, 'gps', null);
+  assert.equal(clockSync.toServerTime(ws, 123456), 123456);
+
+  clockSync.handleClockReply(ws, reply(ws.sent[0], -3000), false);
+  const deviceTime = Date.now() - 3000;
+  assert.ok(Math.abs(clockSync.toServerTime(ws, deviceTime) - Date.now()) < 50);
+});
+
+test('leaves other messages to the stream handler', (t) => {
+  const ws = fakeSocket();
+  t.after(ws.close);
+  const imu = Buffer.from(JSON.stringify({ imu: { x: 1 } }));
+  const ping = Buffer.from(JSON.stringify({ type: 'clock', id: 1 }));
+
+  // Not attached yet
+  assert.equal(clockSync.handleClockReply(ws, ping, false), false);
+
+  clockSync.attachClockSync(ws, 'imu', null);
+  assert.equal(clockSync.handleClockReply(ws, imu, false), false);
+  assert.equal(clockSync.handleClockReply(ws, ping, true), false);
+  assert.equal(clockSync.handleClockReply(ws, Buffer.alloc(300, 0x20), false), false);
+});
+
+test('ignores replies to unknown pings', (t) => {
+  const ws = fakeSocket();
+  t.after(ws.close);
+  clockSync.attachClockSync(ws, 'pose', 'unknown-pings');
+  const ping = ws.sent[0];
+
+  assert.equal(clockSync.handleClockReply(ws, reply({ id: 99, t0: ping.t0 }, 0), false), true);
+  assert.equal(clockSync.handleClockReply(ws, reply({ id: ping.id, t0: ping.t0 - 1 }, 0), false), true);
+  assert.equal(clockSync.handleClockReply(ws, Buffer.from('{"type":"clock",'), false), true);
+
+  const stats = clockSync.getClockStats().find(entry => entry.device === 'unknown-pings');
+  assert.equal(stats.synchronized, false);
+  assert.equal(stats.samples, 0);
+});
+
+test('stops pinging and forgets the connection when it closes', async () => {
+  const ws = fakeSocket();
+  clockSync.attachClockSync(ws, 'imu', 'closing');
+  ws.close();
+
+  await new Promise(resolve => setTimeout(resolve, 300));
+  assert.equal(ws.sent.length, 1);
+  assert.equal(clockSync.getClockStats().some(entry => entry.device === 'closing'), false);
+});
+
+test('does nothing when clock sync is disabled', (t) => {
+  t.after(() => clockSync.initClockSync({ clock_sync: { enabled: true } }));
+  clockSync.initClockSync({ clock_sync: { enabled: false } });
+
+  const ws = fakeSocket();
+  clockSync.attachClockSync(ws, 'imu', null);
+  assert.deepEqual(ws.sent, []);
+  assert.equal(ws.clockSync, undefined);
+});
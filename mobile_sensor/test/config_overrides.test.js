@@ -0,0 +1,133 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const configOverrides = require('../src/server/config_overrides');
+
+const overridesOf = (args, env = {}) =>
+  configOverrides.parseOverrides(args, env).overrides.map(({ path: keyPath, value, source }) => ({ path: keyPath, value, source }));
+
+test('maps key paths to environment variable and parameter names', () => {
+  assert.equal(configOverrides.envName('clock_sync.interval'), 'MOBILE_SENSOR_CLOCK_SYNC_INTERVAL');
+  assert.equal(configOverrides.envName('debug.mobile-debug-console'), 'MOBILE_SENSOR_DEBUG_MOBILE_DEBUG_CONSOLE');
+  assert.equal(configOverrides.parameterName('debug.mobile-debug-console'), 'debug.mobile_debug_console');
+  assert.equal(configOverrides.keyPathForParameter('debug.mobile_debug_console'), 'debug.mobile-debug-console');
+  assert.equal(configOverrides.keyPathForParameter('other_node.rate'), 'other_node.rate');
+});
+
+test('reads overrides from the environment', () => {
+  const result = configOverrides.parseOverrides([], {
+    PORT: '5000',
+    MOBILE_SENSOR_CAMERA_FPS: '15',
+    MOBILE_SENSOR_IMU_SAMPLE_RATE: '',
+    MOBILE_SENSOR_CONFIG: '/etc/mobile_sensor.yaml',
+    HOME: '/root'
+  });
+
+  assert.equal(result.configFile, '/etc/mobile_sensor.yaml');
+  assert.equal(result.checkConfig, false);
+  assert.deepEqual(result.errors, []);
+  assert.deepEqual(result.overrides.map(({ path: keyPath, value }) => [keyPath, value]), [
+    ['server.port', '5000'],
+    ['camera.fps', '15']
+  ]);
+});
+
+test('reads --key=value and --key value flags and their aliases', () => {
+  assert.deepEqual(overridesOf(['--camera.fps=20', '--port', '8443', '--namespace', 'robot1', 'extra']), [
+    { path: 'camera.fps', value: '20', source: '--camera.fps' },
+    { path: 'server.port', value: '8443', source: '--port' },
+    { path: 'ros.namespace', value: 'robot1', source: '--namespace' }
+  ]);
+});
+
+test('applies command line flags after the environment', () => {
+  const overrides = overridesOf(['--port=6000'], { PORT: '5000' });
+  assert.deepEqual(overrides.map(override => override.source), ['PORT', '--port']);
+});
+
+test('reads --config and --check-config', () => {
+  const result = configOverrides.parseOverrides(['--check-config', '--config', 'custom.yaml'], { MOBILE_SENSOR_CONFIG: 'env.yaml' });
+  assert.equal(result.checkConfig, true);
+  assert.equal(result.configFile, 'custom.yaml');
+  assert.deepEqual(result.overrides, []);
+});
+
+test('does not take the next option as the value of a flag', () => {
+  const result = configOverrides.parseOverrides(['--port', '--check-config', '--debug.debug_logging', '--camera.fps'], {});
+
+  assert.equal(result.checkConfig, true);
+  assert.deepEqual(result.overrides.map(({ path: keyPath, value }) => [keyPath, value]), [
+    ['debug.debug_logging', 'true']
+  ]);
+  assert.deepEqual(result.errors, [
+    { path: 'server.port', source: '--port', message: 'expects a value' },
+    { path: 'camera.fps', source: '--camera.fps', message: 'expects a value' }
+  ]);
+});
+
+test('ignores flags with an empty value', () => {
+  assert.deepEqual(overridesOf(['--port=', '--namespace', '']), []);
+});
+
+test('reads ROS parameters after --ros-args', () => {
+  const overrides = overridesOf([
+    '--port=5000',
+    '--ros-args', '-r', '__node:=bridge', '-p', 'camera.fps:=10',
+    '--param', 'debug.mobile_debug_console:=true', '-p', 'use_sim_time:=true',
+    '--', '--namespace=robot2'
+  ]);
+
+  assert.deepEqual(overrides, [
+    { path: 'server.port', value: '5000', source: '--port' },
+    { path: 'camera.fps', value: '10', source: '-p camera.fps' },
+    { path: 'debug.mobile-debug-console', value: 'true', source: '-p debug.mobile_debug_console' },
+    { path: 'ros.namespace', value: 'robot2', source: '--namespace' }
+  ]);
+});
+
+test('reads the parameters for this node from a params file', (t) => {
+  const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'mobile-sensor-')), 'params.yaml');
+  t.after(() => fs.rmSync(path.dirname(file), { recursive: true, force: true }));
+  fs.writeFileSync(file, [
+    '/**:',
+    '  ros__parameters:',
+    '    use_sim_time: false',
+    'mobile_sensor_node:',
+    '  ros__parameters:',
+    '    camera:',
+    '      fps: 12',
+    '    connect:',
+    '      sensors: [camera, imu]',
+    'other_node:',
+    '  ros__parameters:',
+    '    rate: 5'
+  ].join('\n'));
+
+  const result = configOverrides.parseOverrides(['--ros-args', '--params-file', file], {});
+  assert.deepEqual(result.errors, []);
+  assert.deepEqual(result.overrides.map(({ path: keyPath, value, ros }) => [keyPath, value, ros]), [
+    ['camera.fps', 12, true],
+    ['connect.sensors', ['camera', 'imu'], true]
+  ]);
+});
+
+test('reports a params file that cannot be read', () => {
+  const result = configOverrides.parseOverrides(['--ros-args', '--params-file', path.join(os.tmpdir(), 'missing-params.yaml')], {});
+  assert.equal(result.errors.length, 1);
+  assert.match(result.errors[0].source, /^--params-file /);
+  assert.match(result.errors[0].message, /ENOENT/);
+});
+
+test('coerces override text to the type of its key', () => {
+  assert.equal(configOverrides.coerce('server.port', '5000'), 5000);
+  assert.equal(configOverrides.coerce('camera.quality', '0.5'), 0.5);
+  assert.equal(configOverrides.coerce('security.pairing', 'false'), false);
+  assert.equal(configOverrides.coerce('ros.namespace', '123'), '123');
+  assert.deepEqual(configOverrides.coerce('connect.sensors', 'camera,imu'), ['camera', 'imu']);
+  assert.deepEqual(configOverrides.coerce('connect.sensors', '[gps]'), ['gps']);
+  // Values that are no strings and unknown keys are left alone
+  assert.equal(configOverrides.coerce('camera.fps', 12), 12);
+  assert.equal(configOverrides.coerce('camera.nope', '12'), '12');
+});
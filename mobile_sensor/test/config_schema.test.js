@@ -0,0 +1,136 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const configSchema = require('../src/server/config_schema');
+
+test('the defaults are a valid config', () => {
+  const defaults = configSchema.getDefaults();
+  const result = configSchema.validateConfig(defaults);
+
+  assert.deepEqual(result.errors, []);
+  assert.deepEqual(result.warnings, []);
+  assert.deepEqual(result.config, defaults);
+  assert.equal(defaults.server.port, 4000);
+  assert.equal(defaults.topics.imu.qos.profile, 'sensor_data');
+  assert.equal(defaults.topics.gps.qos.profile, 'transient_local');
+});
+
+
+test('an empty file is an empty config', () => {
+  for (const empty of [null, undefined, {}]) {
+    const result = configSchema.validateConfig(empty);
+    assert.deepEqual(result, { config: {}, errors: [], warnings: [] });
+  }
+});
+
+test('reports invalid values with the line they are on', () => {
+  const text = [
+    'camera:',
+    '  quality: 0.5',
+    '  fps: fast',
+    'ssl:',
+    '  valid_days: 0'
+  ].join('\n');
+  const result = configSchema.validateConfig({ camera: { quality: 0.5, fps: 'fast' }, ssl: { valid_days: 0 } }, text);
+
+  assert.deepEqual(result.errors.map(({ path, line }) => ({ path, line })), [
+    { path: 'camera.fps', line: 3 },
+    { path: 'ssl.valid_days', line: 5 }
+  ]);
+  assert.match(result.errors[0].message, /expected integer, got string/);
+  assert.match(result.errors[1].message, /at least 1/);
+  // Invalid values are left out, valid ones kept
+  assert.deepEqual(result.config, { camera: { quality: 0.5 }, ssl: {} });
+});
+
+test('warns about unknown keys and suggests the intended one', () => {
+  const text = 'camera:\n  qualty: 0.5\nunrelated: 1\n';
+  const result = configSchema.validateConfig({ camera: { qualty: 0.5 }, unrelated: 1 }, text);
+
+  assert.deepEqual(result.errors, []);
+  assert.equal(result.warnings.length, 2);
+  assert.equal(result.warnings[0].path, 'camera.qualty');
+  assert.equal(result.warnings[0].line, 2);
+  assert.match(result.warnings[0].message, /did you mean 'quality'/);
+  assert.equal(result.warnings[1].path, 'unrelated');
+  assert.doesNotMatch(result.warnings[1].message, /did you mean/);
+  assert.deepEqual(result.config, { camera: {} });
+});
+
+test('checks enums, patterns, array items and recommended ranges', () => {
+  const result = configSchema.validateConfig({
+    camera: { facingMode: 'side', channels: ['back', 'top'] },
+    connect: { sensors: ['camera', 'radar'] },
+    topics: { imu: { topic: 'not a topic', frame_id: '', qos: { profile: 'fast' } } },
+    imu: { sample_rate: 90 }
+  });
+
+  assert.deepEqual(result.errors.map(issue => issue.path), [
+    'camera.facingMode',
+    'camera.channels[1]',
+    'connect.sensors[1]',
+    'topics.imu.topic',
+    'topics.imu.frame_id',
+    'topics.imu.qos.profile'
+  ]);
+  assert.match(result.errors[0].message, /must be one of "environment", "user"/);
+  assert.deepEqual(result.warnings.map(issue => issue.path), ['imu.sample_rate']);
+  assert.match(result.errors.find(issue => issue.path === 'topics.imu.topic').message, /"not a topic" is not a valid name/);
+  assert.match(result.warnings[0].message, /recommended range 10-60/);
+});
+
+test('treats an empty section as the defaults', () => {
+  const result = configSchema.validateConfig({ camera: null, imu: { sample_rate: 30 } });
+  assert.deepEqual(result.errors, []);
+  assert.deepEqual(result.config, { imu: { sample_rate: 30 } });
+});
+
+test('has no QoS settings rclnodejs cannot apply', () => {
+  const result = configSchema.validateConfig({
+    topics: { camera: { qos: { profile: 'custom', deadline: 0.5, lifespan: 0 } } }
+  });
+
+  assert.deepEqual(result.errors, []);
+  assert.deepEqual(result.warnings.map(issue => issue.path), ['topics.camera.qos.deadline', 'topics.camera.qos.lifespan']);
+  assert.ok(!configSchema.leafPaths().includes('topics.camera.qos.deadline'));
+});
+
+test('validates single values by key path', () => {
+  assert.deepEqual(configSchema.validateValue('camera.fps', 15), { value: 15, errors: [], warnings: [] });
+
+  const wrong = configSchema.validateValue('camera.fps', 0);
+  assert.equal(wrong.value, undefined);
+  assert.match(wrong.errors[0].message, /at least 1/);
+
+  const unknown = configSchema.validateValue('camera.fsp', 15);
+  assert.match(unknown.errors[0].message, /unknown key \(did you mean 'camera.fps'\?\)/);
+
+  // Sections cannot be set as a whole
+  assert.match(configSchema.validateValue('camera', {}).errors[0].message, /unknown key/);
+});
+
+
+test('lists the settable keys and their rules', () => {
+  const paths = configSchema.leafPaths();
+  assert.ok(paths.includes('camera.fps'));
+  assert.ok(paths.includes('topics.imu.qos.depth'));
+  assert.ok(!paths.includes('camera'));
+
+  assert.equal(configSchema.getRule('server.port').default, 4000);
+  assert.equal(configSchema.getRule('server.nope'), null);
+});
+
+
+test('locates keys in nested and flow style YAML', () => {
+  const lines = configSchema.locateKeys([
+    '# comment',
+    'queues:',
+    '  imu: { policy: drop-oldest, size: 50 }',
+    '"ssl":',
+    '  valid_days: 365   # certificate lifetime'
+  ].join('\n'));
+
+  assert.equal(lines.get('queues'), 2);
+  assert.equal(lines.get('queues.imu'), 3);
+  assert.equal(lines.get('queues.imu.size'), 3);
+  assert.equal(lines.get('ssl.valid_days'), 5);
+});
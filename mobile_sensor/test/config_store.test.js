@@ -0,0 +1,128 @@
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const configStore = require('../src/server/config_store');
+
+let directory = null;
+
+function writeConfig(name, text) {
+  const file = path.join(directory, name);
+  fs.writeFileSync(file, text);
+  return file;
+}
+
+before(() => {
+  directory = fs.mkdtempSync(path.join(os.tmpdir(), 'mobile-sensor-'));
+});
+
+after(() => {
+  configStore.stopWatching();
+  fs.rmSync(directory, { recursive: true, force: true });
+});
+
+beforeEach(() => {
+  configStore.setOverrides([]);
+});
+
+test('fills in the defaults for keys the file leaves out', () => {
+  const config = configStore.loadConfig(writeConfig('partial.yaml', 'camera:\n  fps: 15\n'));
+
+  assert.equal(config.camera.fps, 15);
+  assert.equal(config.camera.quality, 0.8);
+  assert.equal(config.server.port, 4000);
+  assert.deepEqual(config.connect.sensors, []);
+});
+
+test('applies overrides on top of the file', () => {
+  configStore.setOverrides([
+    { path: 'server.port', value: '5000', source: 'PORT' },
+    { path: 'connect.sensors', value: 'camera,imu', source: '--connect.sensors' }
+  ]);
+  const config = configStore.loadConfig(writeConfig('overridden.yaml', 'server:\n  port: 4500\n'));
+
+  assert.equal(config.server.port, 5000);
+  assert.deepEqual(config.connect.sensors, ['camera', 'imu']);
+});
+
+test('refuses a file or override with errors', () => {
+  assert.throws(() => configStore.loadConfig(writeConfig('invalid.yaml', 'camera:\n  fps: 0\n')), /1 error/);
+  assert.throws(() => configStore.loadConfig(writeConfig('syntax.yaml', 'camera: [\n')), /1 error/);
+  assert.throws(() => configStore.loadConfig(path.join(directory, 'missing.yaml')), /1 error/);
+
+  configStore.setOverrides([{ path: 'server.port', value: 'http', source: '--port' }]);
+  assert.throws(() => configStore.loadConfig(writeConfig('valid.yaml', '')), /1 error/);
+});
+
+test('only warns about unknown ROS parameters', () => {
+  configStore.setOverrides([{ path: 'other_node.rate', value: '5', source: '-p other_node.rate', ros: true }]);
+  assert.equal(configStore.loadConfig(writeConfig('ros.yaml', '')).server.port, 4000);
+
+  configStore.setOverrides([{ path: 'other_node.rate', value: '5', source: '--other_node.rate' }]);
+  assert.throws(() => configStore.loadConfig(writeConfig('ros.yaml', '')), /1 error/);
+});
+
+test('checks a config file without loading it', () => {
+  assert.equal(configStore.checkConfig(writeConfig('check-valid.yaml', 'imu:\n  sample_rate: 30\n')), true);
+  assert.equal(configStore.checkConfig(writeConfig('check-invalid.yaml', 'imu:\n  sample_rate: 500\n')), false);
+});
+
+test('sends the phones only the client sections', () => {
+  configStore.setConfig(configStore.loadConfig(writeConfig('client.yaml', 'camera:\n  fps: 10\n')));
+  const clientConfig = configStore.getClientConfig();
+
+  assert.deepEqual(Object.keys(clientConfig).sort(), configStore.CLIENT_SECTIONS.slice().sort());
+  assert.equal(clientConfig.camera.fps, 10);
+  assert.deepEqual(clientConfig.debug, { 'mobile-debug-console': false });
+});
+
+test('reloads the file and tells the listeners which sections changed', () => {
+  const file = writeConfig('reload.yaml', 'camera:\n  fps: 10\n');
+  configStore.setConfig(configStore.loadConfig(file));
+  const changes = [];
+  configStore.onConfigChange((config, sections) => changes.push({ fps: config.camera.fps, sections }));
+
+  // Nothing changed
+  assert.equal(configStore.reloadConfig(), false);
+
+  fs.writeFileSync(file, 'camera:\n  fps: 10\nimu:\n  sample_rate: 50\n');
+  assert.equal(configStore.reloadConfig(), true);
+  assert.equal(configStore.getConfig().imu.sample_rate, 50);
+  assert.deepEqual(changes, [{ fps: 10, sections: ['imu'] }]);
+
+  // An invalid file keeps the running config
+  fs.writeFileSync(file, 'imu:\n  sample_rate: fast\n');
+  assert.equal(configStore.reloadConfig(), false);
+  assert.equal(configStore.getConfig().imu.sample_rate, 50);
+  assert.equal(changes.length, 1);
+});
+
+test('changes values at runtime and keeps them across reloads', () => {
+  const file = writeConfig('runtime.yaml', 'camera:\n  fps: 10\n');
+  configStore.setConfig(configStore.loadConfig(file));
+  const changes = [];
+  configStore.onConfigChange((config, sections) => changes.push({ fps: config.camera.fps, sections }));
+
+  assert.deepEqual(configStore.setValues({ 'camera.fps': 20 }, 'ROS parameter'), []);
+  assert.equal(configStore.getConfig().camera.fps, 20);
+  assert.deepEqual(changes, [{ fps: 20, sections: ['camera'] }]);
+
+  // Invalid values change nothing
+  const errors = configStore.setValues({ 'camera.fps': 200, 'imu.sample_rate': 20 }, 'ROS parameter');
+  assert.deepEqual(errors.map(issue => issue.path), ['camera.fps']);
+  assert.equal(configStore.getConfig().imu.sample_rate, 30);
+
+  // A reload of the file keeps the runtime value and reports what changed
+  fs.writeFileSync(file, 'camera:\n  fps: 10\nimu:\n  sample_rate: 50\n');
+  assert.equal(configStore.reloadConfig(), true);
+  assert.equal(configStore.getConfig().camera.fps, 20);
+  assert.equal(configStore.getConfig().imu.sample_rate, 50);
+  assert.deepEqual(changes[1], { fps: 20, sections: ['imu'] });
+
+  // An invalid file keeps the running config
+  fs.writeFileSync(file, 'imu:\n  sample_rate: fast\n');
+  assert.equal(configStore.reloadConfig(), false);
+  assert.equal(configStore.getConfig().imu.sample_rate, 50);
+  assert.equal(changes.length, 2);
+});
@@ -0,0 +1,97 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const frameProtocol = require('../src/server/frame_protocol');
+
+// A binary frame as the page sends it (see frameProtocol.js on the client)
+function encodeFrame(fields, data = Buffer.from([0xff, 0xd8, 0xff, 0xd9])) {
+  const header = Buffer.alloc(frameProtocol.HEADER_SIZE);
+  header.writeUInt8(fields.version || frameProtocol.PROTOCOL_VERSION, 0);
+  header.writeUInt8(fields.format || frameProtocol.FORMATS.JPEG, 1);
+  header.writeUInt16LE(fields.flags || 0, 2);
+  header.writeUInt16LE(fields.width || 0, 4);
+  header.writeUInt16LE(fields.height || 0, 6);
+  header.writeDoubleLE(fields.timestamp || 0, 8);
+  header.writeUInt32LE(fields.sequence || 0, 16);
+  return Buffer.concat([header, data]);
+}
+
+test('decodes the header fields and image bytes of a binary frame', () => {
+  const frame = frameProtocol.decodeBinaryFrame(encodeFrame({
+    width: 1280,
+    height: 720,
+    timestamp: 1700000000123.5,
+    sequence: 42
+  }));
+
+  assert.equal(frame.format, 'jpeg');
+  assert.equal(frame.flags, 0);
+  assert.equal(frame.width, 1280);
+  assert.equal(frame.height, 720);
+  assert.equal(frame.timestamp, 1700000000123.5);
+  assert.equal(frame.sequence, 42);
+  assert.equal(frame.facing, 'environment');
+  assert.equal(frame.keyframe, false);
+  assert.deepEqual(Array.from(frame.data), [0xff, 0xd8, 0xff, 0xd9]);
+});
+
+test('reads the front camera flag', () => {
+  const frame = frameProtocol.decodeBinaryFrame(encodeFrame({ flags: frameProtocol.FLAGS.USER_FACING }));
+  assert.equal(frame.flags, frameProtocol.FLAGS.USER_FACING);
+  assert.equal(frame.facing, 'user');
+});
+
+test('decodes H.264 frames and their keyframe flag', () => {
+  const { FLAGS, FORMATS } = frameProtocol;
+  const frame = frameProtocol.decodeBinaryFrame(encodeFrame({
+    format: FORMATS.H264,
+    flags: FLAGS.USER_FACING | FLAGS.KEYFRAME
+  }, Buffer.from([0, 0, 0, 1, 0x67])));
+
+  assert.equal(frame.format, 'h264');
+  assert.equal(frame.facing, 'user');
+  assert.equal(frame.keyframe, true);
+  assert.deepEqual(Array.from(frame.data), [0, 0, 0, 1, 0x67]);
+});
+
+test('returns the image bytes as a view of the received buffer', () => {
+  const buffer = encodeFrame({}, Buffer.from([1, 2, 3]));
+  const frame = frameProtocol.decodeBinaryFrame(buffer);
+  assert.equal(frame.data.buffer, buffer.buffer);
+  assert.equal(frame.data.byteOffset, buffer.byteOffset + frameProtocol.HEADER_SIZE);
+});
+
+test('rejects short frames, other versions and unknown formats', () => {
+  assert.throws(() => frameProtocol.decodeBinaryFrame(Buffer.alloc(10)), /too short/);
+  assert.throws(() => frameProtocol.decodeBinaryFrame(encodeFrame({ version: 2 })), /version 2/);
+  assert.throws(() => frameProtocol.decodeBinaryFrame(encodeFrame({ format: 9 })), /format 9/);
+});
+
+test('decodes legacy JSON frames with a data URL', () => {
+  const frame = frameProtocol.decodeJsonFrame({
+    camera: `data:image/jpeg;base64,${Buffer.from('jpeg').toString('base64')}`,
+    width: 320,
+    height: 240,
+    timestamp: 1000,
+    facingMode: 'user'
+  });
+
+  assert.equal(frame.format, 'jpeg');
+  assert.equal(frame.data.toString(), 'jpeg');
+  assert.equal(frame.width, 320);
+  assert.equal(frame.height, 240);
+  assert.equal(frame.timestamp, 1000);
+  assert.equal(frame.facing, 'user');
+  // JPEG frames stand on their own
+  assert.equal(frame.keyframe, true);
+});
+
+test('fills in defaults for legacy JSON frames without metadata', () => {
+  const frame = frameProtocol.decodeJsonFrame({ camera: Buffer.from('jpeg').toString('base64') });
+
+  assert.equal(frame.data.toString(), 'jpeg');
+  assert.equal(frame.width, 640);
+  assert.equal(frame.height, 480);
+  assert.equal(frame.timestamp, null);
+  assert.equal(frame.facing, null);
+  assert.equal(frameProtocol.decodeJsonFrame({ imu: {} }), null);
+});
@@ -0,0 +1,87 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const jpeg = require('jpeg-js');
+const jpegDecoder = require('../src/server/jpeg_decoder');
+
+const WIDTH = 16;
+const HEIGHT = 8;
+
+// A frame in a single colour, which JPEG compresses almost without loss
+function solidJpeg(red, green, blue) {
+  const data = Buffer.alloc(WIDTH * HEIGHT * 4);
+  for (let i = 0; i < data.length; i += 4) {
+    data[i] = red;
+    data[i + 1] = green;
+    data[i + 2] = blue;
+    data[i + 3] = 255;
+  }
+  return jpeg.encode({ data, width: WIDTH, height: HEIGHT }, 100).data;
+}
+
+function assertPixel(data, offset, expected) {
+  expected.forEach((value, index) => {
+    assert.ok(Math.abs(data[offset + index] - value) <= 2, `channel ${index} is ${data[offset + index]}, expected ${value}`);
+  });
+}
+
+const frame = solidJpeg(200, 100, 50);
+
+// The decoder worker does not keep the process alive, the tests wait for it
+let keepAlive = null;
+
+before(() => {
+  keepAlive = setInterval(() => {}, 1000);
+});
+
+after(() => {
+  clearInterval(keepAlive);
+  jpegDecoder.stopDecoder();
+});
+
+test('decodes a frame to rgb8', async () => {
+  const image = await jpegDecoder.decodeJpeg(frame);
+
+  assert.equal(image.width, WIDTH);
+  assert.equal(image.height, HEIGHT);
+  assert.equal(image.encoding, 'rgb8');
+  assert.equal(image.step, WIDTH * 3);
+  assert.equal(image.data.length, WIDTH * HEIGHT * 3);
+  assertPixel(image.data, 0, [200, 100, 50]);
+});
+
+test('swaps the channels for bgr8', async () => {
+  const image = await jpegDecoder.decodeJpeg(frame, 'bgr8');
+  assert.equal(image.step, WIDTH * 3);
+  assertPixel(image.data, 3, [50, 100, 200]);
+});
+
+test('converts to luma for mono8', async () => {
+  const image = await jpegDecoder.decodeJpeg(frame, 'mono8');
+  assert.equal(image.step, WIDTH);
+  assert.equal(image.data.length, WIDTH * HEIGHT);
+  // 0.299 * 200 + 0.587 * 100 + 0.114 * 50
+  assertPixel(image.data, 0, [124]);
+});
+
+test('skips a waiting frame when a newer one arrives', async () => {
+  const results = await Promise.all([
+    jpegDecoder.decodeJpeg(frame),
+    jpegDecoder.decodeJpeg(frame),
+    jpegDecoder.decodeJpeg(frame)
+  ]);
+
+  assert.notEqual(results[0], null);
+  assert.equal(results[1], null);
+  assert.notEqual(results[2], null);
+  assert.equal(jpegDecoder.getDecoderStats().skipped, 1);
+});
+
+test('rejects data that is no JPEG', async () => {
+  const failed = jpegDecoder.getDecoderStats().failed;
+  await assert.rejects(jpegDecoder.decodeJpeg(Buffer.from('not a jpeg')));
+  assert.equal(jpegDecoder.getDecoderStats().failed, failed + 1);
+
+  // The worker keeps decoding the frames after it
+  assert.equal((await jpegDecoder.decodeJpeg(frame)).width, WIDTH);
+  assert.equal(jpegDecoder.getDecoderStats().running, true);
+});
@@ -0,0 +1,100 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const metrics = require('../src/server/metrics');
+
+// Status as built by express_server.js for /api/status
+function status(streams) {
+  return {
+    uptime_s: 42,
+    memory: { rss: 1000, heap_used: 500, heap_total: 800, external: 10 },
+    ros: { spinning: true, devices: ['phone'], topics: [{ name: '/phone/imu', subscribers: 2 }] },
+    streams,
+    queues: { imu: { queued: 3, dropped: 7 } },
+    clock: [
+      { stream: 'imu', device: 'phone', synchronized: true, offset_ms: -12.5, uncertainty_ms: 1.5, drift_ppm: 3 },
+      { stream: 'gps', device: null, synchronized: false, offset_ms: null, uncertainty_ms: null, drift_ppm: 0 }
+    ],
+    time: { stamp_source: 'device', use_sim_time: true }
+  };
+}
+
+test('counts messages, bytes and errors per stream', () => {
+  metrics.recordMessage('counted', 100);
+  metrics.recordMessage('counted', 50);
+  metrics.recordParseError('counted');
+  metrics.recordPublishFailure('counted');
+  metrics.recordPublishFailure('counted');
+
+  const stream = metrics.getStreamMetrics().counted;
+  assert.equal(stream.clients, 0);
+  assert.equal(stream.messages_total, 2);
+  assert.equal(stream.bytes_total, 150);
+  assert.equal(stream.parse_errors, 1);
+  assert.equal(stream.publish_failures, 2);
+  assert.ok(stream.last_message_age_s >= 0 && stream.last_message_age_s < 1);
+});
+
+test('reports no message age before the first message', () => {
+  metrics.recordParseError('silent');
+  assert.equal(metrics.getStreamMetrics().silent.last_message_age_s, null);
+});
+
+test('reports the clients of a registered server', () => {
+  metrics.registerStream('served', { clients: new Set(['a', 'b']) });
+  assert.equal(metrics.getStreamMetrics().served.clients, 2);
+});
+
+test('averages the rates over the rate window', (t) => {
+  let now = 1000000;
+  t.mock.method(Date, 'now', () => now);
+
+  for (let i = 0; i < 10; i++) {
+    metrics.recordMessage('rated', 100);
+  }
+  assert.equal(metrics.getStreamMetrics().rated.message_rate, 0);
+
+  now += 5000;
+  const stream = metrics.getStreamMetrics().rated;
+  assert.equal(stream.message_rate, 2);
+  assert.equal(stream.bytes_per_second, 200);
+  assert.equal(stream.last_message_age_s, 5);
+});
+
+test('reports uptime and memory of the process', () => {
+  const processMetrics = metrics.getProcessMetrics();
+  assert.ok(processMetrics.uptime_s >= 0);
+  assert.ok(processMetrics.memory.rss > 0);
+  assert.ok(processMetrics.memory.heap_used > 0);
+});
+
+test('renders the status in Prometheus text format', () => {
+  const text = metrics.toPrometheus(status({
+    imu: { clients: 1, messages_total: 10, bytes_total: 2000, message_rate: 2.5, bytes_per_second: 500,
+      parse_errors: 0, publish_failures: 0, last_message_age_s: null }
+  }));
+  const lines = text.split('\n');
+
+  assert.ok(text.endsWith('\n'));
+  assert.ok(lines.includes('# HELP mobile_sensor_ws_messages_total WebSocket messages handled'));
+  assert.ok(lines.includes('# TYPE mobile_sensor_ws_messages_total counter'));
+  assert.ok(lines.includes('mobile_sensor_ws_messages_total{stream="imu"} 10'));
+  assert.ok(lines.includes('mobile_sensor_ws_message_rate{stream="imu"} 2.5'));
+  assert.ok(lines.includes('mobile_sensor_queue_dropped_total{stream="imu"} 7'));
+  assert.ok(lines.includes('mobile_sensor_ros_up 1'));
+  assert.ok(lines.includes('mobile_sensor_ros_sim_time{stamp_source="device"} 1'));
+  assert.ok(lines.includes('mobile_sensor_ros_devices 1'));
+  assert.ok(lines.includes('mobile_sensor_ros_topic_subscribers{topic="/phone/imu"} 2'));
+  assert.ok(lines.includes('mobile_sensor_process_resident_memory_bytes 1000'));
+  assert.ok(lines.includes('mobile_sensor_clock_offset_ms{stream="imu",device="phone"} -12.5'));
+  // Missing values and unsynchronized clocks are left out
+  assert.ok(!text.includes('mobile_sensor_clock_offset_ms{stream="gps"'));
+  assert.ok(!text.includes('mobile_sensor_ws_last_message_age_seconds{'));
+});
+
+test('escapes label values', () => {
+  const text = metrics.toPrometheus(Object.assign(status({}), {
+    ros: { spinning: false, devices: [], topics: [{ name: 'a"b\\c', subscribers: 0 }] }
+  }));
+  assert.ok(text.includes('mobile_sensor_ros_topic_subscribers{topic="a\\"b\\\\c"} 0'));
+  assert.ok(text.includes('mobile_sensor_ros_up 0'));
+});
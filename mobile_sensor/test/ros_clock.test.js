@@ -0,0 +1,73 @@
+const { test, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const rosClock = require('../src/server/ros_clock');
+
+// Node whose clock reads simTime (ms), as under use_sim_time when a bag is replayed
+function simNode(simTime) {
+  return {
+    getClock: () => ({
+      isRosTimeActive: true,
+      now: () => ({ nanoseconds: BigInt(simTime) * 1000000n })
+    })
+  };
+}
+
+afterEach(() => {
+  rosClock.detachNode();
+  rosClock.initRosClock({ time: { stamp_source: 'device' } });
+});
+
+test('converts milliseconds to a builtin_interfaces/Time', () => {
+  assert.deepEqual(rosClock.stampAt(1700000000123.5), { sec: 1700000000, nanosec: 123500000 });
+  assert.deepEqual(rosClock.stampAt(999), { sec: 0, nanosec: 999000000 });
+});
+
+test('stamps with the device time, falling back to the receive time', () => {
+  assert.deepEqual(rosClock.stampFor(5000, 6000), { sec: 5, nanosec: 0 });
+  assert.deepEqual(rosClock.stampFor(null, 6000), { sec: 6, nanosec: 0 });
+});
+
+test('stamps with the receive time when configured', () => {
+  rosClock.initRosClock({ time: { stamp_source: 'receive' } });
+  assert.deepEqual(rosClock.stampFor(5000, 6000), { sec: 6, nanosec: 0 });
+});
+
+test('stamps with the node clock when configured', () => {
+  rosClock.initRosClock({ time: { stamp_source: 'ros' } });
+  rosClock.attachNode(simNode(42000));
+  assert.deepEqual(rosClock.stampFor(5000, 6000), { sec: 42, nanosec: 0 });
+});
+
+test('keeps the stamp source for an unknown value', () => {
+  rosClock.initRosClock({ time: { stamp_source: 'receive' } });
+  rosClock.initRosClock({ time: { stamp_source: 'gps' } });
+  assert.equal(rosClock.getTimeStatus().stamp_source, 'receive');
+});
+
+test('uses the wall clock until a node is attached', () => {
+  const before = Date.now();
+  const now = rosClock.now();
+  const time = now.sec * 1000 + now.nanosec / 1e6;
+  assert.ok(time >= before - 1 && time <= Date.now());
+  assert.equal(rosClock.getTimeStatus().use_sim_time, false);
+});
+
+test('places wall-clock events at the same age before the sim time', () => {
+  rosClock.attachNode(simNode(100000));
+  assert.equal(rosClock.getTimeStatus().use_sim_time, true);
+
+  const stamp = rosClock.stampAt(Date.now() - 2000);
+  const time = stamp.sec * 1000 + stamp.nanosec / 1e6;
+  assert.ok(time <= 98000 && time > 97900, `stamp ${time}`);
+
+  // Never before the start of sim time
+  assert.deepEqual(rosClock.stampAt(Date.now() - 200000), { sec: 0, nanosec: 0 });
+});
+
+test('follows the wall clock with a node on system time', () => {
+  rosClock.attachNode({
+    getClock: () => ({ isRosTimeActive: false, now: () => ({ nanoseconds: 7000000000n }) })
+  });
+  assert.deepEqual(rosClock.stampAt(5000), { sec: 5, nanosec: 0 });
+  assert.deepEqual(rosClock.now(), { sec: 7, nanosec: 0 });
+});
@@ -0,0 +1,69 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+// rclnodejs only loads in a sourced ROS 2 environment. Its parameter and QoS classes
+// are plain JavaScript, the node is a fake that records what the bridge creates
+const subscriptions = [];
+const node = {
+  name: () => 'mobile_sensor_node',
+  createPublisher: (type, topic) => ({ topic }),
+  createSubscription(type, topic, options, callback) {
+    subscriptions.push({ type, topic, options, callback });
+    return {};
+  },
+  createService: () => ({}),
+  declareParameters() {},
+  addOnSetParametersCallback() {},
+  getClock: () => ({ isRosTimeActive: false })
+};
+
+const rclnodejsPath = require.resolve('rclnodejs');
+require.cache[rclnodejsPath] = {
+  id: rclnodejsPath,
+  filename: rclnodejsPath,
+  loaded: true,
+  exports: {
+    ...require('rclnodejs/lib/parameter.js'),
+    QoS: require('rclnodejs/lib/qos.js'),
+    init: async () => {},
+    createNode: () => node,
+    isShutdown: () => false,
+    shutdown() {}
+  }
+};
+
+const { QoS } = require('rclnodejs');
+const configSchema = require('../src/server/config_schema');
+const configStore = require('../src/server/config_store');
+const rosInterface = require('../src/server/ros_interface');
+
+before(async () => {
+  const config = configSchema.getDefaults();
+  Object.assign(config.topics.tts.qos, {
+    profile: 'custom',
+    history: 'keep_last',
+    depth: 3,
+    reliability: 'reliable',
+    durability: 'transient_local'
+  });
+  configStore.setOverrides([]);
+  configStore.setConfig(config);
+  await rosInterface.initRos({ clients: new Set() }, { clients: new Set() }, config);
+});
+
+after(() => rosInterface.shutdown());
+
+test('subscribes with the QoS of each topic', () => {
+  assert.deepEqual(subscriptions.map(({ topic }) => topic), ['mobile_sensor/tts', 'mobile_sensor/tts_wav', 'mobile_sensor/wav_bytes']);
+  // Options come before the callback, in the order of Node.createSubscription
+  subscriptions.forEach(({ options, callback }) => {
+    assert.ok(options.qos instanceof QoS || typeof options.qos === 'string');
+    assert.equal(typeof callback, 'function');
+  });
+
+  const { qos } = subscriptions[0].options;
+  assert.equal(qos.history, QoS.HistoryPolicy.RMW_QOS_POLICY_HISTORY_KEEP_LAST);
+  assert.equal(qos.depth, 3);
+  assert.equal(qos.reliability, QoS.ReliabilityPolicy.RMW_QOS_POLICY_RELIABILITY_RELIABLE);
+  assert.equal(qos.durability, QoS.DurabilityPolicy.RMW_QOS_POLICY_DURABILITY_TRANSIENT_LOCAL);
+});
@@ -0,0 +1,108 @@
+const { test, before } = require('node:test');
+const assert = require('node:assert/strict');
+
+// rclnodejs only loads in a sourced ROS 2 environment. The parameter classes are
+// plain JavaScript, so they stand in for the whole module here
+const rclnodejsPath = require.resolve('rclnodejs');
+require.cache[rclnodejsPath] = {
+  id: rclnodejsPath,
+  filename: rclnodejsPath,
+  loaded: true,
+  exports: require('rclnodejs/lib/parameter.js')
+};
+
+const configSchema = require('../src/server/config_schema');
+const configStore = require('../src/server/config_store');
+const rosParameters = require('../src/server/ros_parameters');
+
+// Node that keeps declared parameters like rclnodejs, without rcl
+const node = {
+  parameters: new Map(),
+  descriptors: new Map(),
+  updates: [],
+  onSet: null,
+  declareParameters(parameters, descriptors, ignoreOverrides) {
+    this.ignoreOverrides = ignoreOverrides;
+    parameters.forEach((parameter, index) => {
+      this.parameters.set(parameter.name, parameter);
+      this.descriptors.set(parameter.name, descriptors[index]);
+    });
+  },
+  addOnSetParametersCallback(callback) {
+    this.onSet = callback;
+  },
+  getParameter(name) {
+    return this.parameters.get(name);
+  },
+  setParameters(parameters) {
+    this.updates.push(...parameters);
+    parameters.forEach(parameter => this.parameters.set(parameter.name, parameter));
+    return parameters.map(() => ({ successful: true, reason: '' }));
+  }
+};
+
+before(() => {
+  configStore.setOverrides([]);
+  configStore.setConfig(configSchema.getDefaults());
+  rosParameters.declareParameters(node, configStore.getConfig());
+});
+
+test('declares a parameter for every config key with its current value', () => {
+  assert.equal(node.parameters.size, configSchema.leafPaths().length);
+  assert.equal(node.ignoreOverrides, true);
+  assert.equal(node.getParameter('camera.fps').value, 30n);
+  assert.equal(node.getParameter('camera.quality').value, 0.8);
+  assert.equal(node.getParameter('security.pairing').value, true);
+  assert.deepEqual(node.getParameter('connect.sensors').value, []);
+  // '-' is not allowed in parameter names
+  assert.equal(node.getParameter('debug.mobile_debug_console').value, false);
+});
+
+test('describes the ranges and allowed values', () => {
+  const fps = node.descriptors.get('camera.fps');
+  assert.equal(fps.readOnly, false);
+  assert.equal(fps.range.fromValue, 1n);
+  assert.equal(fps.range.toValue, 30n);
+  assert.equal(fps.additionalConstraints, '1 to 30');
+
+  const facing = node.descriptors.get('camera.facingMode');
+  assert.equal(facing.range, null);
+  assert.equal(facing.additionalConstraints, 'one of: environment, user');
+
+  const sensors = node.descriptors.get('connect.sensors');
+  assert.match(sensors.additionalConstraints, /^each one of: camera, pose/);
+});
+
+test('declares the settings only read at startup read-only', () => {
+  const port = node.descriptors.get('server.port');
+  assert.equal(port.readOnly, true);
+  assert.match(port.additionalConstraints, /read only/);
+});
+
+test('applies a parameter change to the config', () => {
+  const result = node.onSet([{ name: 'camera.fps', value: 15n }]);
+  assert.deepEqual(result, { successful: true, reason: '' });
+  assert.equal(configStore.getConfig().camera.fps, 15);
+});
+
+test('rejects a change with an invalid value and keeps the config', () => {
+  const result = node.onSet([
+    { name: 'imu.sample_rate', value: 20 },
+    { name: 'camera.facingMode', value: 'side' }
+  ]);
+  assert.equal(result.successful, false);
+  assert.match(result.reason, /^camera\.facingMode: must be one of/);
+  assert.equal(configStore.getConfig().imu.sample_rate, 30);
+});
+
+test('leaves parameters it did not declare to rclnodejs', () => {
+  assert.deepEqual(node.onSet([{ name: 'use_sim_time', value: true }]), { successful: true, reason: '' });
+});
+
+test('updates the parameters when the config changes elsewhere', () => {
+  node.updates.length = 0;
+  assert.deepEqual(configStore.setValues({ 'imu.sample_rate': 50, 'server.port': 5000 }, 'config.yaml'), []);
+
+  // Read-only parameters keep the value they started with
+  assert.deepEqual(node.updates.map(parameter => [parameter.name, parameter.value]), [['imu.sample_rate', 50]]);
+});
@@ -0,0 +1,53 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const serverOptions = require('../src/server/server_options');
+
+const request = (remoteAddress, forwardedFor) => ({
+  socket: { remoteAddress },
+  headers: forwardedFor === undefined ? {} : { 'x-forwarded-for': forwardedFor }
+});
+
+test('normalizes the base path', () => {
+  assert.equal(serverOptions.normalizeBasePath('/sensors/'), '/sensors');
+  assert.equal(serverOptions.normalizeBasePath('sensors'), '/sensors');
+  assert.equal(serverOptions.normalizeBasePath(' /a/b// '), '/a/b');
+  assert.equal(serverOptions.normalizeBasePath('/'), '');
+  assert.equal(serverOptions.normalizeBasePath(undefined), '');
+});
+
+test('strips the base path from request paths', (t) => {
+  t.after(() => serverOptions.initServerOptions({ server: { base_path: '' } }));
+
+  serverOptions.initServerOptions({ server: { base_path: '' } });
+  assert.equal(serverOptions.stripBasePath('/camera'), '/camera');
+
+  serverOptions.initServerOptions({ server: { base_path: 'sensors/' } });
+  assert.equal(serverOptions.getServerOptions().basePath, '/sensors');
+  assert.equal(serverOptions.stripBasePath('/sensors/camera'), '/camera');
+  assert.equal(serverOptions.stripBasePath('/sensorsx/camera'), null);
+  assert.equal(serverOptions.stripBasePath('/camera'), null);
+});
+
+test('ignores X-Forwarded-For unless a proxy is trusted', () => {
+  serverOptions.initServerOptions({ server: { trust_proxy: false } });
+  assert.equal(serverOptions.getTrustProxySetting(), false);
+  assert.equal(serverOptions.getClientAddress(request('10.0.0.5', '127.0.0.1')), '10.0.0.5');
+});
+
+test('takes the client address the proxy added to X-Forwarded-For', (t) => {
+  t.after(() => serverOptions.initServerOptions({ server: { trust_proxy: false } }));
+  serverOptions.initServerOptions({ server: { trust_proxy: true } });
+
+  assert.equal(serverOptions.getTrustProxySetting(), 1);
+  assert.equal(serverOptions.getClientAddress(request('127.0.0.1', '10.0.0.5')), '10.0.0.5');
+  // Entries before the last one come from the client and may be spoofed
+  assert.equal(serverOptions.getClientAddress(request('127.0.0.1', '127.0.0.1, 10.0.0.5')), '10.0.0.5');
+  assert.equal(serverOptions.getClientAddress(request('127.0.0.1', '')), '127.0.0.1');
+  assert.equal(serverOptions.getClientAddress(request('127.0.0.1')), '127.0.0.1');
+});
+
+test('keeps https for an unknown protocol and trims the public URL', () => {
+  serverOptions.initServerOptions({ server: { protocol: 'ftp', public_url: 'https://robot.example/sensors/' } });
+  assert.equal(serverOptions.getServerOptions().protocol, 'https');
+  assert.equal(serverOptions.getServerOptions().publicUrl, 'https://robot.example/sensors');
+});
@@ -0,0 +1,151 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const streamQueue = require('../src/server/stream_queue');
+
+// Stand-in for a ws connection, records what the bridge sends
+function fakeSocket() {
+  return {
+    OPEN: 1,
+    readyState: 1,
+    sent: [],
+    send(message) {
+      this.sent.push(JSON.parse(message));
+    }
+  };
+}
+
+// Let the queue drain (it handles one message per setImmediate)
+const drained = () => new Promise(resolve => setTimeout(resolve, 20));
+
+function fill(stream, settings, count) {
+  streamQueue.initStreamQueues({ queues: { [stream]: settings } });
+  const ws = fakeSocket();
+  const handled = [];
+  const queue = streamQueue.createStreamQueue(stream, ws, (message) => {
+    handled.push(message);
+  });
+  for (let i = 1; i <= count; i++) {
+    queue.push(i, false);
+  }
+  return { ws, queue, handled };
+}
+
+test('drop-oldest keeps the newest messages when full', async () => {
+  const { queue, handled } = fill('pose', { policy: 'drop-oldest', size: 2 }, 5);
+  await drained();
+  assert.deepEqual(handled, [4, 5]);
+  assert.equal(queue.getDropped(), 3);
+  assert.equal(queue.getLength(), 0);
+});
+
+test('drop-newest keeps the oldest messages when full', async () => {
+  const { queue, handled } = fill('microphone', { policy: 'drop-newest', size: 2 }, 5);
+  await drained();
+  assert.deepEqual(handled, [1, 2]);
+  assert.equal(queue.getDropped(), 3);
+});
+
+test('keep-latest only handles the newest message, whatever the size', async () => {
+  const { queue, handled } = fill('camera', { policy: 'keep-latest', size: 10 }, 5);
+  await drained();
+  assert.deepEqual(handled, [5]);
+  assert.equal(queue.getDropped(), 4);
+});
+
+test('handles every message while the queue keeps up', async () => {
+  const { ws, queue, handled } = fill('imu', { policy: 'drop-oldest', size: 100 }, 10);
+  await drained();
+  assert.deepEqual(handled, [1, 2, 3, 4, 5, 6, 7, 8, 9, 10]);
+  assert.equal(queue.getDropped(), 0);
+  assert.deepEqual(ws.sent, []);
+});
+
+test('asks the client to slow down when messages are dropped', async () => {
+  // With a single slot the high watermark is never exceeded, only dropping asks to slow down
+  const { ws } = fill('gps', { policy: 'drop-newest', size: 1 }, 2);
+  await drained();
+  assert.equal(ws.sent.length, 1);
+  assert.equal(ws.sent[0].type, 'flow');
+  assert.equal(ws.sent[0].stream, 'gps');
+  assert.equal(ws.sent[0].state, 'slow');
+  assert.equal(ws.sent[0].dropped, 1);
+});
+
+test('asks the client to slow down above the high watermark, before dropping', async () => {
+  const { ws, queue } = fill('pose', { policy: 'drop-oldest', size: 4 }, 4);
+  assert.equal(queue.getDropped(), 0);
+  assert.deepEqual(ws.sent.map(message => message.state), ['slow']);
+  await drained();
+});
+
+test('does not send flow control to a closed connection', async () => {
+  streamQueue.initStreamQueues({ queues: { gps: { policy: 'drop-newest', size: 1 } } });
+  const ws = fakeSocket();
+  ws.readyState = 3;
+  const queue = streamQueue.createStreamQueue('gps', ws, () => {});
+  queue.push(1, false);
+  queue.push(2, false);
+  await drained();
+  assert.equal(queue.getDropped(), 1);
+  assert.deepEqual(ws.sent, []);
+});
+
+test('waits for an async handler before handling the next message', async () => {
+  streamQueue.initStreamQueues({});
+  const events = [];
+  const queue = streamQueue.createStreamQueue('imu', fakeSocket(), async (message) => {
+    events.push(`start ${message}`);
+    await new Promise(resolve => setTimeout(resolve, 5));
+    events.push(`end ${message}`);
+  });
+  queue.push(1, false);
+  queue.push(2, false);
+  await new Promise(resolve => setTimeout(resolve, 50));
+  assert.deepEqual(events, ['start 1', 'end 1', 'start 2', 'end 2']);
+});
+
+test('goes on after a handler throws', async () => {
+  streamQueue.initStreamQueues({});
+  const handled = [];
+  const queue = streamQueue.createStreamQueue('imu', fakeSocket(), (message) => {
+    if (message === 1) throw new Error('bad message');
+    handled.push(message);
+  });
+  queue.push(1, false);
+  queue.push(2, false);
+  await drained();
+  assert.deepEqual(handled, [2]);
+});
+
+test('passes the binary flag and the receive time to the handler', async () => {
+  streamQueue.initStreamQueues({});
+  const calls = [];
+  const queue = streamQueue.createStreamQueue('camera', fakeSocket(), (...args) => calls.push(args));
+  const before = Date.now();
+  queue.push('frame', true);
+  await drained();
+  assert.equal(calls.length, 1);
+  assert.equal(calls[0][0], 'frame');
+  assert.equal(calls[0][1], true);
+  assert.ok(calls[0][2] >= before && calls[0][2] <= Date.now());
+});
+
+test('clear discards the pending messages', async () => {
+  const { queue, handled } = fill('imu', { policy: 'drop-oldest', size: 10 }, 3);
+  queue.clear();
+  assert.equal(queue.getLength(), 0);
+  await drained();
+  assert.deepEqual(handled, []);
+});
+
+test('falls back to the default policy and size for invalid settings', async () => {
+  const { queue, handled } = fill('gps', { policy: 'drop-everything', size: 'many' }, 12);
+  await drained();
+  // gps defaults to drop-oldest with 10 messages
+  assert.deepEqual(handled, [3, 4, 5, 6, 7, 8, 9, 10, 11, 12]);
+  assert.equal(queue.getDropped(), 2);
+
+  const stats = streamQueue.getQueueStats().gps;
+  assert.equal(stats.policy, 'drop-oldest');
+  assert.equal(stats.size, 10);
+});